@@ -0,0 +1,47 @@
+// Signs a fixture event with STRIPE_WEBHOOK_SECRET and posts it to the
+// local webhook, so the handler can be exercised without the Stripe CLI.
+//
+//   node scripts/send-stripe-event.js checkout.session.completed <applicationId>
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+const stripe = require("stripe")(process.env.STRIPE_SECRET_KEY);
+
+const [name, applicationId] = process.argv.slice(2);
+if (!name) {
+  console.error("Usage: send-stripe-event.js <fixture> [applicationId]");
+  process.exit(1);
+}
+
+const event = JSON.parse(
+  fs.readFileSync(
+    path.join(__dirname, "..", "fixtures", "stripe", `${name}.json`),
+    "utf8"
+  )
+);
+if (applicationId && event.data.object.metadata) {
+  event.data.object.metadata.applicationId = applicationId;
+}
+
+const payload = JSON.stringify(event);
+const signature = stripe.webhooks.generateTestHeaderString({
+  payload,
+  secret: process.env.STRIPE_WEBHOOK_SECRET,
+});
+const url =
+  process.env.WEBHOOK_URL ||
+  `http://localhost:${process.env.PORT || 3000}/api/v1/stripe/webhook`;
+
+fetch(url, {
+  method: "POST",
+  headers: {
+    "Content-Type": "application/json",
+    "Stripe-Signature": signature,
+  },
+  body: payload,
+})
+  .then(async (res) => console.log(res.status, await res.text()))
+  .catch((error) => {
+    console.error("Failed to send event:", error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,128 @@
+const { HttpError, findByIdOr404 } = require("./errors");
+
+const STAFF = ["moderator", "admin"];
+
+const isSameEmail = (a, b) => !!a && !!b && a.toLowerCase() === b.toLowerCase();
+
+// Builds the auth middleware around a Firebase-style `auth` object, anything
+// with verifyIdToken(token) resolving to the decoded user.
+const createAccess = ({ auth, collections }) => {
+  const { usersCollection, applicationCollection, reviewsCollection } =
+    collections;
+
+  const verifyToken = async (req, res, next) => {
+    try {
+      const authHeader = req.headers.authorization;
+      if (!authHeader) {
+        return next(new HttpError(401, "Unauthorized"));
+      }
+
+      const token = authHeader.split(" ")[1];
+      const decodedUser = await auth.verifyIdToken(token);
+
+      req.user = decodedUser;
+      next();
+    } catch (error) {
+      console.error("Token error:", error);
+      next(new HttpError(401, "Unauthorized"));
+    }
+  };
+
+  const getUserRole = async (email) => {
+    const user = await usersCollection.findOne(
+      { email: email?.toLowerCase(), deletedAt: null },
+      { projection: { role: 1 } }
+    );
+    return user?.role || "student";
+  };
+
+  // For public routes that show admins more. Resolves to the caller's role,
+  // or null for anonymous callers and tokens that don't verify.
+  const getRequestRole = async (req) => {
+    const token = req.headers.authorization?.split(" ")[1];
+    if (!token) return null;
+    try {
+      req.user = await auth.verifyIdToken(token);
+    } catch {
+      return null;
+    }
+    return getUserRole(req.user.email);
+  };
+
+  const verifyAdmin = async (req, res, next) => {
+    try {
+      req.role = await getUserRole(req.user.email);
+
+      if (req.role !== "admin") {
+        return next(new HttpError(403, "Forbidden: Admins only"));
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  const verifyModerator = async (req, res, next) => {
+    try {
+      req.role = await getUserRole(req.user.email);
+
+      if (req.role !== "moderator") {
+        return next(new HttpError(403, "Forbidden: Moderators only"));
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  /** -------------------- Access Policies -------------------- **/
+  // Owner checks receive the request and resolve to true when the record
+  // addressed by the route belongs to the caller. A missing record is a
+  // 404 for everyone.
+  const ownsEmailParam = (req) => isSameEmail(req.params.email, req.user.email);
+
+  const ownsDocument = (collection, label, ownerFields) => async (req) => {
+    const doc = await findByIdOr404(collection, req.params.id, label, {
+      projection: Object.fromEntries(ownerFields.map((f) => [f, 1])),
+    });
+    return ownerFields.some((f) => isSameEmail(doc[f], req.user.email));
+  };
+
+  const ownsApplication = ownsDocument(applicationCollection, "Application", [
+    "userEmail",
+    "applicantEmail",
+  ]);
+  const ownsReview = ownsDocument(reviewsCollection, "Review", ["userEmail"]);
+
+  // Runs after verifyToken. Callers holding one of `roles` always pass,
+  // everyone else has to own the record.
+  const authorize =
+    ({ roles = [], isOwner } = {}) =>
+    async (req, res, next) => {
+      try {
+        req.role = await getUserRole(req.user.email);
+        if (roles.includes(req.role)) return next();
+        if (isOwner && (await isOwner(req))) return next();
+
+        next(new HttpError(403, "Forbidden"));
+      } catch (error) {
+        next(error);
+      }
+    };
+
+  return {
+    getUserRole,
+    getRequestRole,
+    verifyToken,
+    verifyAdmin,
+    verifyModerator,
+    authorize,
+    ownsEmailParam,
+    ownsApplication,
+    ownsReview,
+  };
+};
+
+module.exports = { STAFF, isSameEmail, createAccess };
@@ -0,0 +1,95 @@
+const { HttpError } = require("./errors");
+const { parseDateBounds } = require("./dateRange");
+
+const INTERVALS = ["day", "week", "month"];
+
+// Reads `from`, `to` and `interval` from a query string. A bare date in `to`
+// covers that whole day.
+const parseAnalyticsRange = (query, { defaultInterval = "month" } = {}) => {
+  const interval = query.interval || defaultInterval;
+  if (!INTERVALS.includes(interval)) {
+    throw new HttpError(400, `interval must be one of ${INTERVALS.join(", ")}`);
+  }
+
+  const { from, to } = parseDateBounds(query);
+  if (from && to && from >= to) {
+    throw new HttpError(400, "from must be before to");
+  }
+
+  return { from, to, interval };
+};
+
+// Periods are labelled by their first day; weeks start on Monday.
+const periodOf = (interval) => ({
+  $dateToString: {
+    date: {
+      $dateTrunc: { date: "$_at", unit: interval, startOfWeek: "monday" },
+    },
+    format: "%Y-%m-%d",
+  },
+});
+
+// Groups the documents dated by `dateField` inside the range twice: once
+// overall into `totals` and once per period into `buckets`. `key` splits
+// both further, e.g. by scholarship. Dates may be stored as ISO strings or
+// Dates; documents without a usable one are left out, as are soft-deleted
+// ones.
+const aggregateByPeriod = async (
+  collection,
+  { dateField, range, match = {}, key = null, fields }
+) => {
+  const at = {
+    ...(range.from && { $gte: range.from }),
+    ...(range.to && { $lt: range.to }),
+  };
+
+  const [result] = await collection
+    .aggregate([
+      { $match: { deletedAt: null, ...match } },
+      {
+        $addFields: {
+          _at: {
+            $convert: {
+              input: `$${dateField}`,
+              to: "date",
+              onError: null,
+              onNull: null,
+            },
+          },
+        },
+      },
+      { $match: { _at: { $ne: null, ...at } } },
+      {
+        $facet: {
+          totals: [{ $group: { _id: key, ...fields } }],
+          buckets: [
+            {
+              $group: {
+                _id: { period: periodOf(range.interval), key },
+                ...fields,
+              },
+            },
+            { $sort: { "_id.period": 1 } },
+          ],
+        },
+      },
+    ])
+    .toArray();
+
+  return {
+    totals: result.totals.map(({ _id, ...values }) => ({
+      key: _id,
+      ...values,
+    })),
+    buckets: result.buckets.map(({ _id, ...values }) => ({
+      period: _id.period,
+      key: _id.key ?? null,
+      ...values,
+    })),
+  };
+};
+
+const ratio = (part, whole) =>
+  whole ? Math.round((part / whole) * 10000) / 10000 : 0;
+
+module.exports = { INTERVALS, parseAnalyticsRange, aggregateByPeriod, ratio };
@@ -0,0 +1,125 @@
+const express = require("express");
+const cors = require("cors");
+const { loadConfig } = require("./config");
+const { getCollections } = require("./db");
+const { createAccess } = require("./access");
+const { createNotifier, createChannels } = require("./notifications");
+const { createStorage } = require("./storage");
+const { createRateLimitStore, createRateLimiter } = require("./rateLimit");
+const { createAuditLog } = require("./audit");
+const { createEventBus } = require("./events");
+const { requestId, notFound, errorHandler } = require("./errors");
+const { buildOpenApiDocument } = require("./openapi");
+
+const routeModules = [
+  require("./routes/payments"),
+  require("./routes/users"),
+  require("./routes/scholarships"),
+  require("./routes/applications"),
+  require("./routes/attachments"),
+  require("./routes/stats"),
+  require("./routes/reviews"),
+  require("./routes/wishlist"),
+  require("./routes/jobs"),
+  require("./routes/notifications"),
+  require("./routes/audit"),
+  require("./routes/coupons"),
+  require("./routes/events"),
+];
+
+// Builds the Express app around its dependencies:
+//   db     - a MongoDB Db
+//   auth   - anything with verifyIdToken(token), normally firebase-admin's auth
+//   stripe - a Stripe client
+//   channels - notification delivery channels, email when SMTP is set up
+//   storage - where application documents are kept, local disk by default
+//   rateLimitStore - counts for rate limiting, in memory unless Redis is set up
+//   events - pub/sub for live updates, in process by default
+const createApp = ({
+  db,
+  auth,
+  stripe,
+  channels,
+  storage,
+  rateLimitStore,
+  events,
+  config: overrides = {},
+}) => {
+  const config = { ...loadConfig(), ...overrides };
+  const collections = getCollections(db);
+  const access = createAccess({ auth, collections });
+  const notifier = createNotifier({
+    collections,
+    channels: channels || createChannels(config),
+  });
+  const limiterStore = rateLimitStore || createRateLimitStore(config);
+  // Builds the limiter configured under config.rateLimits[name]
+  const rateLimit = (name, options) =>
+    createRateLimiter({
+      store: limiterStore,
+      name,
+      ...config.rateLimits[name],
+      ...options,
+    });
+
+  const deps = {
+    collections,
+    rateLimit,
+    access,
+    stripe,
+    notifier,
+    audit: createAuditLog({ collections }),
+    events: events || createEventBus(),
+    storage: storage || createStorage(config),
+    config,
+  };
+
+  const app = express();
+  app.set("trust proxy", config.trustProxy);
+
+  app.use(requestId);
+  app.use(
+    cors({
+      origin: config.corsOrigins,
+      credentials: true,
+      methods: ["GET", "POST", "PATCH", "PUT", "DELETE", "OPTIONS"],
+      allowedHeaders: ["Content-Type", "Authorization", "X-Request-Id"],
+      exposedHeaders: [
+        "X-Request-Id",
+        "Retry-After",
+        "RateLimit-Limit",
+        "RateLimit-Remaining",
+        "RateLimit-Reset",
+      ],
+    })
+  );
+  const webhookPath = `${config.apiPrefix}/stripe/webhook`;
+  // Stripe's webhook retries come from a few shared IPs
+  app.use(rateLimit("global", { skip: (req) => req.path === webhookPath }));
+  const json = express.json({
+    // Stripe signs the exact bytes it sends, so keep them for the webhook
+    verify: (req, res, buf) => {
+      if (req.originalUrl.startsWith(webhookPath)) req.rawBody = buf;
+    },
+  });
+  // Imports parse their own bodies, which may be far larger
+  const importPath = `${config.apiPrefix}/scholarships/import`;
+  app.use((req, res, next) =>
+    req.path === importPath ? next() : json(req, res, next)
+  );
+
+  app.get("/", (req, res) => res.send("Scholar Stream Server is okay!"));
+
+  const api = express.Router();
+  const spec = buildOpenApiDocument({ serverUrl: config.apiPrefix });
+  api.get("/openapi.json", (req, res) => res.json(spec));
+  for (const routes of routeModules) api.use(routes(deps));
+  app.use(config.apiPrefix, api);
+
+  app.use(notFound);
+  app.use(errorHandler);
+
+  return app;
+};
+
+module.exports = { createApp };
@@ -0,0 +1,78 @@
+const { parseDateRange } = require("./dateRange");
+const { assertSingleParams } = require("./validation");
+
+// Query parameter -> application field, for exact-match filters. Several
+// values may be given comma separated.
+const APPLICATION_FILTERS = {
+  status: "applicationStatus",
+  paymentStatus: "paymentStatus",
+  scholarshipId: "scholarshipId",
+  university: "universityName",
+  degree: "degree",
+};
+
+const APPLICATION_SORTS = {
+  applied: "appliedAt",
+  updated: "updatedAt",
+  name: "userName",
+  university: "universityName",
+  status: "applicationStatus",
+};
+
+const SEARCH_FIELDS = [
+  "userName",
+  "applicantName",
+  "userEmail",
+  "applicantEmail",
+];
+
+// Filters may be repeated instead of comma separated; the rest may not
+const SINGLE_PARAMS = ["search", "assignedTo", "from", "to", "sort", "order"];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// `assignedTo` takes an email, `me` for the caller, or `none` for the
+// unclaimed part of the queue. `from` and `to` bound appliedAt.
+const buildApplicationQuery = (query, { user } = {}) => {
+  assertSingleParams(query, SINGLE_PARAMS);
+  const filter = { deletedAt: null };
+
+  for (const [param, field] of Object.entries(APPLICATION_FILTERS)) {
+    if (!query[param]) continue;
+    const values = String(query[param])
+      .split(",")
+      .map((v) => v.trim())
+      .filter(Boolean);
+    if (values.length) filter[field] = { $in: values };
+  }
+
+  if (query.assignedTo === "none") filter.assignedTo = null;
+  else if (query.assignedTo === "me")
+    filter.assignedTo = user.email.toLowerCase();
+  else if (query.assignedTo) {
+    filter.assignedTo = String(query.assignedTo).toLowerCase();
+  }
+
+  if (query.search?.trim()) {
+    const pattern = new RegExp(escapeRegex(query.search.trim()), "i");
+    filter.$or = SEARCH_FIELDS.map((field) => ({ [field]: pattern }));
+  }
+
+  const appliedAt = parseDateRange(query);
+  if (appliedAt) filter.appliedAt = appliedAt;
+
+  return filter;
+};
+
+// Oldest first by default, so the queue is worked in the order it arrived
+const buildApplicationSort = (query) => {
+  const field = APPLICATION_SORTS[query.sort] || "appliedAt";
+  return { [field]: query.order === "desc" ? -1 : 1, _id: 1 };
+};
+
+module.exports = {
+  APPLICATION_FILTERS,
+  APPLICATION_SORTS,
+  buildApplicationQuery,
+  buildApplicationSort,
+};
@@ -0,0 +1,40 @@
+// Moves a moderator may make on applicationStatus. Completed and rejected
+// are final. Archived is only set when the scholarship is deleted, and
+// withdrawn when the student withdraws.
+const APPLICATION_TRANSITIONS = {
+  pending: ["processing", "rejected"],
+  processing: ["completed", "rejected"],
+  completed: [],
+  rejected: [],
+  archived: [],
+  withdrawn: [],
+};
+const PAID_ONLY_STATUSES = ["processing", "completed"];
+// Applications still being decided on
+const OPEN_STATUSES = ["pending", "processing"];
+
+// Returns why `application` can't move to `status`, or null when it can.
+const checkStatusTransition = (application, status) => {
+  const from = application.applicationStatus || "pending";
+  if (!Object.hasOwn(APPLICATION_TRANSITIONS, status)) return "Invalid status";
+  // Statuses from before transitions were enforced could be any string
+  if (!Object.hasOwn(APPLICATION_TRANSITIONS, from)) {
+    return `Unknown current status ${from}`;
+  }
+  if (!APPLICATION_TRANSITIONS[from].includes(status)) {
+    return `Cannot move application from ${from} to ${status}`;
+  }
+  if (
+    PAID_ONLY_STATUSES.includes(status) &&
+    application.paymentStatus !== "paid"
+  ) {
+    return `Unpaid applications cannot move to ${status}`;
+  }
+  return null;
+};
+
+module.exports = {
+  APPLICATION_TRANSITIONS,
+  OPEN_STATUSES,
+  checkStatusTransition,
+};
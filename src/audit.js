@@ -0,0 +1,57 @@
+// Bookkeeping fields left out of audit diffs
+const IGNORED_FIELDS = ["_id", "statusHistory", "updatedAt"];
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// The fields that differ between two versions of a document, as
+// { field: { from, to } }. A missing version counts as empty, so creations
+// and deletions list every field.
+const diffDocuments = (before, after) => {
+  const changes = {};
+  const fields = new Set([
+    ...Object.keys(before || {}),
+    ...Object.keys(after || {}),
+  ]);
+  for (const field of fields) {
+    if (IGNORED_FIELDS.includes(field)) continue;
+    const from = before?.[field] ?? null;
+    const to = after?.[field] ?? null;
+    if (!same(from, to)) changes[field] = { from, to };
+  }
+  return changes;
+};
+
+// Records who did what to which document, from where and when. Writing the
+// entry happens after the action, so a failure is logged rather than
+// reported as a failed request.
+const createAuditLog = ({ collections }) => {
+  const { auditCollection } = collections;
+
+  const record = async (
+    req,
+    { action, collection, id = null, before, after, details }
+  ) => {
+    const entry = {
+      action,
+      actor: { email: req.user.email.toLowerCase(), role: req.role || null },
+      target: { collection, id: id === null ? null : String(id) },
+      changes: diffDocuments(before, after),
+      ...(details && { details }),
+      ip: req.ip,
+      requestId: req.id,
+      at: new Date().toISOString(),
+    };
+    try {
+      await auditCollection.insertOne(entry);
+    } catch (error) {
+      console.error(
+        `[${req.id}] Could not record audit entry ${action}:`,
+        error
+      );
+    }
+  };
+
+  return { record };
+};
+
+module.exports = { diffDocuments, createAuditLog };
@@ -0,0 +1,111 @@
+const { Transform, pipeline } = require("stream");
+const { ObjectId } = require("mongodb");
+const { parse } = require("csv-parse/sync");
+const { stringify } = require("csv-stringify");
+const { HttpError } = require("./errors");
+
+const EXPORT_FORMATS = ["csv", "json"];
+const MAX_IMPORT_ROWS = 5000;
+// Largest import upload, CSV or JSON
+const IMPORT_BODY_LIMIT = "5mb";
+
+// Reads import rows from a text/csv body, whose header line names the
+// fields, or from a JSON array sent bare or as { rows }.
+const parseImportRows = (req) => {
+  let rows;
+  if (typeof req.body === "string") {
+    try {
+      rows = parse(req.body, {
+        columns: true,
+        skip_empty_lines: true,
+        trim: true,
+        bom: true,
+      });
+    } catch (error) {
+      throw new HttpError(400, `Invalid CSV: ${error.message}`);
+    }
+  } else {
+    rows = Array.isArray(req.body) ? req.body : req.body?.rows;
+    if (!Array.isArray(rows)) {
+      throw new HttpError(400, "Send a CSV file or a JSON array of rows");
+    }
+  }
+
+  if (!rows.length) throw new HttpError(400, "No rows to import");
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new HttpError(400, `Imports are limited to ${MAX_IMPORT_ROWS} rows`);
+  }
+  return rows;
+};
+
+const parseExportFormat = (query) => {
+  const format = query.format || "csv";
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new HttpError(
+      400,
+      `format must be one of ${EXPORT_FORMATS.join(", ")}`
+    );
+  }
+  return format;
+};
+
+// Writes documents out as one JSON array without buffering them
+const jsonArray = () => {
+  let first = true;
+  return new Transform({
+    writableObjectMode: true,
+    transform(doc, encoding, callback) {
+      callback(null, `${first ? "[" : ","}${JSON.stringify(doc)}`);
+      first = false;
+    },
+    flush(callback) {
+      callback(null, first ? "[]" : "]");
+    },
+  });
+};
+
+// Spreadsheets run a cell starting with one of these as a formula, and
+// skip a leading tab or carriage return before looking
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Streams a cursor to the response as a CSV or JSON download holding only
+// `columns`. Once streaming has started errors can only cut the download
+// short, so they are logged rather than answered. CSV cells that would read
+// as formulas get a leading apostrophe.
+const sendExport = (res, cursor, { format, columns, filename }) => {
+  const serializer =
+    format === "csv"
+      ? stringify({
+          header: true,
+          columns,
+          cast: {
+            string: (value) =>
+              FORMULA_PREFIX.test(value) ? `'${value}` : value,
+            date: (value) => value.toISOString(),
+            object: (value) =>
+              value instanceof ObjectId ? String(value) : JSON.stringify(value),
+          },
+        })
+      : jsonArray();
+
+  res.attachment(
+    `${filename}-${new Date().toISOString().slice(0, 10)}.${format}`
+  );
+  pipeline(cursor.stream(), serializer, res, (error) => {
+    if (error) console.error(`Export of ${filename} failed:`, error.message);
+  });
+};
+
+// Projection keeping only the exported columns
+const exportProjection = (columns) =>
+  Object.fromEntries(columns.map((column) => [column, 1]));
+
+module.exports = {
+  EXPORT_FORMATS,
+  MAX_IMPORT_ROWS,
+  IMPORT_BODY_LIMIT,
+  parseImportRows,
+  parseExportFormat,
+  sendExport,
+  exportProjection,
+};
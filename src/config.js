@@ -0,0 +1,56 @@
+// Settings read from the environment. createApp accepts overrides, which is
+// how tests point the app at fixtures.
+const loadConfig = (env = process.env) => ({
+  // Every route is served under this prefix, bumped for breaking changes
+  apiPrefix: "/api/v1",
+  clientUrl: env.CLIENT_URL,
+  stripeWebhookSecret: env.STRIPE_WEBHOOK_SECRET,
+  // Vercel Cron sends this as a bearer token to the /cron/* routes
+  cronSecret: env.CRON_SECRET,
+  reminderDays: Number(env.REMINDER_DAYS) || 3,
+  // Soft-deleted records can be restored until the purge job removes them
+  retentionDays: Number(env.DELETED_RETENTION_DAYS) || 30,
+  // Email notifications are sent only when an SMTP URL is configured
+  smtpUrl: env.SMTP_URL,
+  mailFrom: env.MAIL_FROM || "Scholar Stream <no-reply@scholarstream.app>",
+  // Application documents live on local disk under uploadDir, or in an
+  // S3-compatible bucket with STORAGE_DRIVER=s3
+  storageDriver: env.STORAGE_DRIVER || "local",
+  uploadDir: env.UPLOAD_DIR || "uploads",
+  s3Bucket: env.S3_BUCKET,
+  s3Region: env.S3_REGION,
+  s3Endpoint: env.S3_ENDPOINT,
+  // Signs download links for local storage; PUBLIC_URL prefixes them
+  fileSigningSecret: env.FILE_SIGNING_SECRET,
+  publicUrl: env.PUBLIC_URL || "",
+  uploadMaxBytes: Number(env.UPLOAD_MAX_BYTES) || 10 * 1024 * 1024,
+  downloadUrlSeconds: Number(env.DOWNLOAD_URL_SECONDS) || 300,
+  // Requests per window. `global` covers every route per client IP, the
+  // others guard expensive or abusable routes per signed-in user.
+  rateLimits: {
+    global: {
+      windowMs: 15 * 60 * 1000,
+      max: Number(env.RATE_LIMIT_MAX) || 300,
+    },
+    checkout: {
+      windowMs: 15 * 60 * 1000,
+      max: Number(env.CHECKOUT_RATE_LIMIT_MAX) || 10,
+    },
+    account: {
+      windowMs: 60 * 60 * 1000,
+      max: Number(env.ACCOUNT_RATE_LIMIT_MAX) || 20,
+    },
+  },
+  // Comment lines sent on idle /events streams so proxies keep them open
+  eventsHeartbeatMs: Number(env.EVENTS_HEARTBEAT_MS) || 25 * 1000,
+  // Shares rate limit counts between instances when set
+  redisUrl: env.REDIS_URL,
+  // Proxy hops in front of the app, so req.ip is the client's. Vercel adds one.
+  trustProxy: env.TRUST_PROXY === undefined ? 1 : Number(env.TRUST_PROXY),
+  corsOrigins: [
+    "http://localhost:5173",
+    "https://scholar-stream-client.web.app",
+  ],
+});
+
+module.exports = { loadConfig };
@@ -0,0 +1,64 @@
+const { toMinorUnits } = require("./money");
+
+// percent - `value` percent off every line
+// fixed   - `value` off in the coupon's currency, application fee first
+// waiver  - everything off; the application is paid without Stripe
+const COUPON_TYPES = ["percent", "fixed", "waiver"];
+
+// Returns why `coupon` can't be used on `scholarship`, as { status, code,
+// message }, or null when it can
+const checkCoupon = (coupon, scholarship, currency, now = new Date()) => {
+  if (!coupon || coupon.active === false) {
+    return {
+      status: 404,
+      code: "COUPON_NOT_FOUND",
+      message: "Coupon not found",
+    };
+  }
+  if (coupon.expiresAt && new Date(coupon.expiresAt) <= now) {
+    return {
+      status: 409,
+      code: "COUPON_EXPIRED",
+      message: "This coupon has expired",
+    };
+  }
+  if (coupon.maxUses && (coupon.uses || 0) >= coupon.maxUses) {
+    return {
+      status: 409,
+      code: "COUPON_EXHAUSTED",
+      message: "This coupon has been used up",
+    };
+  }
+  if (
+    (coupon.scholarshipId &&
+      coupon.scholarshipId !== String(scholarship._id)) ||
+    (coupon.type === "fixed" && coupon.currency !== currency)
+  ) {
+    return {
+      status: 409,
+      code: "COUPON_NOT_APPLICABLE",
+      message: "This coupon can't be used for this scholarship",
+    };
+  }
+  return null;
+};
+
+// Takes `coupon` off line amounts given in minor units and returns the new
+// amounts in the same order. No line goes below zero.
+const applyCoupon = (coupon, amounts) => {
+  if (!coupon) return amounts;
+  if (coupon.type === "waiver") return amounts.map(() => 0);
+  if (coupon.type === "percent") {
+    return amounts.map((amount) =>
+      Math.round((amount * (100 - coupon.value)) / 100)
+    );
+  }
+  let off = toMinorUnits(coupon.value);
+  return amounts.map((amount) => {
+    const taken = Math.min(amount, off);
+    off -= taken;
+    return amount - taken;
+  });
+};
+
+module.exports = { COUPON_TYPES, checkCoupon, applyCoupon };
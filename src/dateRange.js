@@ -0,0 +1,33 @@
+const { HttpError } = require("./errors");
+
+const parseDate = (value, param) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new HttpError(400, `${param} must be a valid date`);
+  }
+  return date;
+};
+
+// Reads `from` and `to` query parameters as Dates, null when absent. A bare
+// date in `to` covers that whole day, so it becomes the next midnight and
+// `wholeDay` says the bound is exclusive.
+const parseDateBounds = (query) => {
+  const from = query.from ? parseDate(query.from, "from") : null;
+  const to = query.to ? parseDate(query.to, "to") : null;
+  const wholeDay = Boolean(to) && /^\d{4}-\d{2}-\d{2}$/.test(query.to);
+  if (wholeDay) to.setUTCDate(to.getUTCDate() + 1);
+  return { from, to, wholeDay };
+};
+
+// Turns `from` and `to` into a condition on an ISO date string field, or
+// null when neither is given.
+const parseDateRange = (query) => {
+  const { from, to, wholeDay } = parseDateBounds(query);
+  if (!from && !to) return null;
+  return {
+    ...(from && { $gte: from.toISOString() }),
+    ...(to && { [wholeDay ? "$lt" : "$lte"]: to.toISOString() }),
+  };
+};
+
+module.exports = { parseDateBounds, parseDateRange };
@@ -0,0 +1,94 @@
+const {
+  SCHOLARSHIP_FILTERS,
+  SCHOLARSHIP_SORTS,
+} = require("./scholarshipQuery");
+
+const getCollections = (db) => ({
+  scholarshipsCollection: db.collection("scholarships"),
+  usersCollection: db.collection("users"),
+  applicationCollection: db.collection("application"),
+  reviewsCollection: db.collection("reviews"),
+  paymentsCollection: db.collection("payments"),
+  stripeEventsCollection: db.collection("stripe_events"),
+  wishlistsCollection: db.collection("wishlists"),
+  notificationsCollection: db.collection("notifications"),
+  auditCollection: db.collection("audit_log"),
+  couponsCollection: db.collection("coupons"),
+});
+
+const ensureIndexes = async ({
+  scholarshipsCollection,
+  applicationCollection,
+  reviewsCollection,
+  paymentsCollection,
+  wishlistsCollection,
+  notificationsCollection,
+  auditCollection,
+  couponsCollection,
+}) => {
+  // Applications from before soft deletes lack deletedAt, which would leave
+  // them outside the partial unique index below
+  await applicationCollection.updateMany(
+    { deletedAt: { $exists: false } },
+    { $set: { deletedAt: null } }
+  );
+
+  // Scholarships from before the lifecycle were all public
+  await scholarshipsCollection.updateMany(
+    { status: { $exists: false } },
+    { $set: { status: "published" } }
+  );
+
+  await Promise.all([
+    scholarshipsCollection.createIndex(
+      { scholarshipName: "text", universityName: "text" },
+      { name: "scholarship_search" }
+    ),
+    ...[
+      ...Object.values(SCHOLARSHIP_FILTERS),
+      ...Object.values(SCHOLARSHIP_SORTS),
+    ].map((field) => scholarshipsCollection.createIndex({ [field]: 1 })),
+    // Deleted applications don't count, so the student may apply again
+    applicationCollection.createIndex(
+      { scholarshipId: 1, userEmail: 1 },
+      {
+        unique: true,
+        partialFilterExpression: { deletedAt: { $type: "null" } },
+      }
+    ),
+    applicationCollection.createIndex({ applicationStatus: 1, appliedAt: 1 }),
+    applicationCollection.createIndex({ assignedTo: 1, appliedAt: 1 }),
+    reviewsCollection.createIndex(
+      { scholarshipId: 1, userEmail: 1 },
+      { unique: true }
+    ),
+    wishlistsCollection.createIndex(
+      { userEmail: 1, scholarshipId: 1 },
+      { unique: true }
+    ),
+    wishlistsCollection.createIndex({ scholarshipId: 1 }),
+    notificationsCollection.createIndex({ userEmail: 1, createdAt: -1 }),
+    notificationsCollection.createIndex(
+      { userEmail: 1, dedupeKey: 1 },
+      {
+        unique: true,
+        partialFilterExpression: { dedupeKey: { $exists: true } },
+      }
+    ),
+    auditCollection.createIndex({ at: -1 }),
+    auditCollection.createIndex({ "actor.email": 1, at: -1 }),
+    auditCollection.createIndex({ "target.collection": 1, "target.id": 1 }),
+    couponsCollection.createIndex({ code: 1 }, { unique: true }),
+    // Waivers have no session, so only real session ids are unique
+    paymentsCollection.createIndex(
+      { sessionId: 1 },
+      {
+        unique: true,
+        partialFilterExpression: { sessionId: { $type: "string" } },
+      }
+    ),
+    paymentsCollection.createIndex({ paymentIntentId: 1 }),
+  ]);
+};
+
+module.exports = { getCollections, ensureIndexes };
@@ -0,0 +1,88 @@
+const crypto = require("crypto");
+const { ObjectId } = require("mongodb");
+
+const ERROR_CODES = {
+  400: "BAD_REQUEST",
+  401: "UNAUTHORIZED",
+  403: "FORBIDDEN",
+  404: "NOT_FOUND",
+  409: "CONFLICT",
+  413: "PAYLOAD_TOO_LARGE",
+  415: "UNSUPPORTED_MEDIA_TYPE",
+  429: "TOO_MANY_REQUESTS",
+  502: "BAD_GATEWAY",
+};
+
+// Thrown from handlers and middleware for anything the client should see.
+// `errors` carries field-level details for validation failures.
+class HttpError extends Error {
+  constructor(status, message, { code, errors } = {}) {
+    super(message);
+    this.status = status;
+    this.code = code || ERROR_CODES[status] || "ERROR";
+    this.errors = errors;
+  }
+}
+
+// Forwards rejected promises from async handlers to the error handler
+const asyncHandler = (fn) => (req, res, next) =>
+  Promise.resolve(fn(req, res, next)).catch(next);
+
+// Soft-deleted records count as missing
+const findByIdOr404 = async (collection, id, label, options) => {
+  const doc = await collection.findOne(
+    { _id: new ObjectId(id), deletedAt: null },
+    options
+  );
+  if (!doc) throw new HttpError(404, `${label} not found`);
+  return doc;
+};
+
+const requestId = (req, res, next) => {
+  req.id = req.get("x-request-id") || crypto.randomUUID();
+  res.set("X-Request-Id", req.id);
+  next();
+};
+
+// Param handler for every route addressing a record by `:id`
+const validateObjectId = (req, res, next, id) => {
+  if (!ObjectId.isValid(id) || String(new ObjectId(id)) !== id.toLowerCase()) {
+    return next(new HttpError(400, "Invalid id", { code: "INVALID_ID" }));
+  }
+  next();
+};
+
+const notFound = (req, res, next) =>
+  next(new HttpError(404, "Route not found", { code: "ROUTE_NOT_FOUND" }));
+
+// Every error leaves as { error, code, requestId } plus `errors` for
+// validation failures. Unexpected errors are logged and never echoed.
+// Express only treats a four-parameter function as an error handler.
+const errorHandler = (err, req, res, next) => {
+  let status = 500;
+  if (err instanceof HttpError) status = err.status;
+  else if (err.expose && err.status < 500) status = err.status; // body-parser
+
+  if (status === 500) console.error(`[${req.id}]`, err);
+
+  res.status(status).json({
+    error: status === 500 ? "Internal server error" : err.message,
+    code:
+      err instanceof HttpError
+        ? err.code
+        : ERROR_CODES[status] || "INTERNAL_ERROR",
+    requestId: req.id,
+    ...(err.errors && { errors: err.errors }),
+  });
+};
+
+module.exports = {
+  ERROR_CODES,
+  HttpError,
+  asyncHandler,
+  findByIdOr404,
+  requestId,
+  validateObjectId,
+  notFound,
+  errorHandler,
+};
@@ -0,0 +1,61 @@
+const { EventEmitter } = require("events");
+const { isSameEmail } = require("./access");
+
+// Carries live app events to whoever is listening. An event looks like
+//   { type, data, to: { emails, roles } }
+// and reaches subscribers whose user matches any address in `to`. This bus
+// only reaches clients connected to the same instance; anything with the
+// same publish/subscribe methods, say over MongoDB change streams, can
+// stand in for it.
+const createEventBus = () => {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+  let sequence = 0;
+
+  const publish = (event) => {
+    emitter.emit("event", {
+      id: ++sequence,
+      at: new Date().toISOString(),
+      ...event,
+    });
+  };
+
+  // Returns a function that unsubscribes. A failing listener is logged and
+  // never reaches the publisher.
+  const subscribe = (listener) => {
+    const safe = (event) => {
+      try {
+        listener(event);
+      } catch (error) {
+        console.error(`Event listener failed on ${event.type}:`, error);
+      }
+    };
+    emitter.on("event", safe);
+    return () => emitter.off("event", safe);
+  };
+
+  return { publish, subscribe };
+};
+
+const isRecipient = (event, { email, role }) =>
+  !!event.to?.emails?.some((e) => isSameEmail(e, email)) ||
+  !!event.to?.roles?.includes(role);
+
+// Admin dashboard counters moving by `changes`, e.g. { pending: -1 }
+const statsDelta = (changes) => ({
+  type: "stats.delta",
+  to: { roles: ["admin"] },
+  data: changes,
+});
+
+// A status change on an application, for its student and the admin counters
+const statusEvents = (application, from, to) => [
+  {
+    type: "application.status",
+    to: { emails: [application.userEmail || application.applicantEmail] },
+    data: { applicationId: String(application._id), from, to },
+  },
+  statsDelta({ [from]: -1, [to]: 1 }),
+];
+
+module.exports = { createEventBus, isRecipient, statsDelta, statusEvents };
@@ -0,0 +1,83 @@
+const { publicScholarshipFilter } = require("../scholarshipStatus");
+const { OPEN_STATUSES } = require("../applicationStatus");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const toDay = (date) => date.toISOString().slice(0, 10);
+
+// Queues a reminder for every student who wishlisted, or holds an open
+// unpaid application for, a published scholarship closing within `days`
+// days. Reminders are keyed on the scholarship and its deadline, so reruns
+// never duplicate them.
+const runDeadlineReminders = async (
+  collections,
+  { days = 3, now = new Date() } = {}
+) => {
+  const {
+    scholarshipsCollection,
+    wishlistsCollection,
+    applicationCollection,
+    notificationsCollection,
+  } = collections;
+
+  // Deadlines are stored as dates or ISO timestamps, both sort as strings
+  const scholarships = await scholarshipsCollection
+    .find(
+      {
+        ...publicScholarshipFilter(now),
+        applicationDeadline: {
+          $gte: toDay(now),
+          $lt: toDay(new Date(now.getTime() + (days + 1) * DAY_MS)),
+        },
+        deletedAt: null,
+      },
+      {
+        projection: {
+          scholarshipName: 1,
+          universityName: 1,
+          applicationDeadline: 1,
+        },
+      }
+    )
+    .toArray();
+
+  let queued = 0;
+  for (const scholarship of scholarships) {
+    const scholarshipId = String(scholarship._id);
+    const [wishlisted, unpaid] = await Promise.all([
+      wishlistsCollection.distinct("userEmail", { scholarshipId }),
+      applicationCollection.distinct("userEmail", {
+        scholarshipId,
+        applicationStatus: { $in: OPEN_STATUSES },
+        paymentStatus: "unpaid",
+        deletedAt: null,
+      }),
+    ]);
+
+    const deadline = scholarship.applicationDeadline;
+    for (const userEmail of new Set([...wishlisted, ...unpaid])) {
+      const result = await notificationsCollection.updateOne(
+        {
+          userEmail,
+          dedupeKey: `deadline_reminder:${scholarshipId}:${deadline}`,
+        },
+        {
+          $setOnInsert: {
+            type: "deadline_reminder",
+            title: `${scholarship.scholarshipName} closes soon`,
+            message: `Applications for ${scholarship.scholarshipName} at ${scholarship.universityName} close on ${deadline}.`,
+            data: { scholarshipId, deadline },
+            read: false,
+            status: "queued",
+            createdAt: now.toISOString(),
+          },
+        },
+        { upsert: true }
+      );
+      queued += result.upsertedCount;
+    }
+  }
+
+  return { scholarships: scholarships.length, queued };
+};
+
+module.exports = { runDeadlineReminders };
@@ -0,0 +1,64 @@
+const { removeFiles } = require("../storage");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Permanently removes users, scholarships and applications soft deleted more
+// than `retentionDays` days ago, along with what only existed for them:
+// application attachments, and a scholarship's reviews and wishlist entries.
+// Applications archived with a scholarship keep their own copy of its
+// details and are left alone.
+const purgeDeleted = async (
+  collections,
+  { storage, retentionDays = 30, now = new Date() } = {}
+) => {
+  const {
+    usersCollection,
+    scholarshipsCollection,
+    applicationCollection,
+    reviewsCollection,
+    wishlistsCollection,
+  } = collections;
+  const expired = {
+    deletedAt: {
+      $lte: new Date(now.getTime() - retentionDays * DAY_MS).toISOString(),
+    },
+  };
+
+  const applications = await applicationCollection
+    .find(expired, { projection: { attachments: 1 } })
+    .toArray();
+  const purgedApplications = await applicationCollection.deleteMany({
+    ...expired,
+    _id: { $in: applications.map((a) => a._id) },
+  });
+  const keys = applications.flatMap((a) =>
+    (a.attachments || []).map((attachment) => attachment.key)
+  );
+  await removeFiles(storage, keys);
+
+  const scholarships = await scholarshipsCollection
+    .find(expired, { projection: { _id: 1 } })
+    .toArray();
+  const purgedScholarships = await scholarshipsCollection.deleteMany({
+    ...expired,
+    _id: { $in: scholarships.map((s) => s._id) },
+  });
+  const related = {
+    scholarshipId: { $in: scholarships.map((s) => String(s._id)) },
+  };
+  await Promise.all([
+    reviewsCollection.deleteMany(related),
+    wishlistsCollection.deleteMany(related),
+  ]);
+
+  const purgedUsers = await usersCollection.deleteMany(expired);
+
+  return {
+    users: purgedUsers.deletedCount,
+    scholarships: purgedScholarships.deletedCount,
+    applications: purgedApplications.deletedCount,
+    files: keys.length,
+  };
+};
+
+module.exports = { purgeDeleted };
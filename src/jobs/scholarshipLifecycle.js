@@ -0,0 +1,42 @@
+const { isPastDeadline } = require("../scholarshipStatus");
+
+// Publishes scheduled scholarships whose publishAt has come and closes
+// published ones past their deadline. Reads already treat them that way,
+// this makes it stick so admin filters and counts agree.
+const advanceScholarships = async (
+  { scholarshipsCollection },
+  { now = new Date() } = {}
+) => {
+  const at = now.toISOString();
+
+  const published = await scholarshipsCollection.updateMany(
+    { status: "scheduled", publishAt: { $lte: at }, deletedAt: null },
+    { $set: { status: "published", updatedAt: at } }
+  );
+
+  // Bare date deadlines sort before the same day's timestamps, so the
+  // query over-fetches today's and isPastDeadline settles them
+  const candidates = await scholarshipsCollection
+    .find(
+      {
+        status: "published",
+        applicationDeadline: { $lt: at },
+        deletedAt: null,
+      },
+      { projection: { applicationDeadline: 1 } }
+    )
+    .toArray();
+  const expired = candidates.filter((s) =>
+    isPastDeadline(s.applicationDeadline, now)
+  );
+  const closed = expired.length
+    ? await scholarshipsCollection.updateMany(
+        { _id: { $in: expired.map((s) => s._id) }, status: "published" },
+        { $set: { status: "closed", closedAt: at, updatedAt: at } }
+      )
+    : { modifiedCount: 0 };
+
+  return { published: published.modifiedCount, closed: closed.modifiedCount };
+};
+
+module.exports = { advanceScholarships };
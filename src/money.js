@@ -0,0 +1,9 @@
+// Currencies scholarships may be priced in, as Stripe writes them. All of
+// them have two decimal places.
+const CURRENCIES = ["usd", "eur", "gbp", "bdt"];
+const DEFAULT_CURRENCY = "usd";
+
+// Fees are stored in major units on the scholarship, Stripe wants cents
+const toMinorUnits = (amount) => Math.round(Number(amount || 0) * 100);
+
+module.exports = { CURRENCIES, DEFAULT_CURRENCY, toMinorUnits };
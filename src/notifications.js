@@ -0,0 +1,124 @@
+const nodemailer = require("nodemailer");
+
+// A delivery channel is any object with a `name` and an async
+// `send(notification)`. Notifications are stored first, so a failing channel
+// never loses one; the failure is recorded under `deliveries`.
+//
+// notify() queues and returns without waiting on the channels, so a slow
+// mail server never holds up the request. Delivery starts straight away in
+// the background, and deliverQueued() sends whatever a process didn't get
+// to. Each notification is claimed before sending so it goes out once.
+
+// A claim this old is taken to have died with its process
+const STALE_CLAIM_MS = 15 * 60 * 1000;
+
+const createNotifier = ({ collections, channels = [] }) => {
+  const { notificationsCollection } = collections;
+
+  const claimable = () => ({
+    $or: [
+      { status: "queued" },
+      {
+        status: "sending",
+        claimedAt: {
+          $lt: new Date(Date.now() - STALE_CLAIM_MS).toISOString(),
+        },
+      },
+    ],
+  });
+
+  // Returns whether this call sent it, rather than another claim
+  const deliver = async (notification) => {
+    const claimed = await notificationsCollection.updateOne(
+      { _id: notification._id, ...claimable() },
+      { $set: { status: "sending", claimedAt: new Date().toISOString() } }
+    );
+    if (claimed.modifiedCount === 0) return false;
+
+    const deliveries = {};
+    for (const channel of channels) {
+      try {
+        await channel.send(notification);
+        deliveries[channel.name] = { status: "sent" };
+      } catch (error) {
+        console.error(
+          `Notification delivery via ${channel.name} failed:`,
+          error
+        );
+        deliveries[channel.name] = { status: "failed", error: error.message };
+      }
+      deliveries[channel.name].at = new Date().toISOString();
+    }
+
+    const failed = Object.values(deliveries).some((d) => d.status === "failed");
+    await notificationsCollection.updateOne(
+      { _id: notification._id },
+      { $set: { status: failed ? "failed" : "sent", deliveries } }
+    );
+    return true;
+  };
+
+  const notify = async ({ userEmail, type, title, message, data = {} }) => {
+    const notification = {
+      userEmail: userEmail.toLowerCase(),
+      type,
+      title,
+      message,
+      data,
+      read: false,
+      status: "queued",
+      createdAt: new Date().toISOString(),
+    };
+    const { insertedId } = await notificationsCollection.insertOne(
+      notification
+    );
+    notification._id = insertedId;
+
+    deliver(notification).catch((error) =>
+      console.error(`Notification ${insertedId} was left queued:`, error)
+    );
+    return notification;
+  };
+
+  // Sends notifications queued elsewhere, such as by the reminder job, and
+  // any a request queued but didn't get out
+  const deliverQueued = async ({ limit = 500 } = {}) => {
+    const queued = await notificationsCollection
+      .find(claimable())
+      .sort({ createdAt: 1 })
+      .limit(limit)
+      .toArray();
+    let delivered = 0;
+    for (const notification of queued) {
+      if (await deliver(notification)) delivered += 1;
+    }
+    return { delivered };
+  };
+
+  return { notify, deliverQueued };
+};
+
+// Emails the notification to its recipient. `transport` is anything
+// nodemailer.createTransport accepts, an SMTP URL in production.
+const createEmailChannel = ({ transport, from }) => {
+  const transporter = nodemailer.createTransport(transport);
+  return {
+    name: "email",
+    transporter,
+    send: (notification) =>
+      transporter.sendMail({
+        from,
+        to: notification.userEmail,
+        subject: notification.title,
+        text: notification.message,
+      }),
+  };
+};
+
+// The channels a deployment gets from its configuration
+const createChannels = (config) =>
+  config.smtpUrl
+    ? [createEmailChannel({ transport: config.smtpUrl, from: config.mailFrom })]
+    : [];
+
+module.exports = { createNotifier, createEmailChannel, createChannels };
@@ -0,0 +1,1406 @@
+const { SCHEMAS } = require("./validation");
+const { APPLICATION_TRANSITIONS } = require("./applicationStatus");
+const {
+  SCHOLARSHIP_FILTERS,
+  SCHOLARSHIP_SORTS,
+} = require("./scholarshipQuery");
+const {
+  APPLICATION_FILTERS,
+  APPLICATION_SORTS,
+} = require("./applicationQuery");
+const { INTERVALS } = require("./analytics");
+const { WEIGHTS } = require("./recommendations");
+
+// The OpenAPI 3.1 description of every route. Request bodies come from the
+// validation schemas, so the spec can't drift from what the routes accept;
+// responses are declared here and the contract tests hold every route to
+// them.
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const arrayOf = (items) => ({ type: "array", items });
+const nullable = (schema) => ({ anyOf: [schema, { type: "null" }] });
+// Every listed property is required unless `optional` names it
+const object = (properties, { optional = [], open = false } = {}) => ({
+  type: "object",
+  properties,
+  required: Object.keys(properties).filter((key) => !optional.includes(key)),
+  additionalProperties: open,
+});
+
+const ID = { type: "string", pattern: "^[0-9a-fA-F]{24}$" };
+const FIELD_TYPES = {
+  string: { type: "string" },
+  number: { type: "number" },
+  integer: { type: "integer" },
+  boolean: { type: "boolean" },
+  date: { type: "string" },
+  email: { type: "string", format: "email" },
+  objectId: ID,
+};
+
+// JSON Schema for a validation.js field. Stored documents predate some
+// limits, so responses only keep the type and enum.
+const fieldSchema = (rules, { limits = true } = {}) => ({
+  ...FIELD_TYPES[rules.type],
+  ...(rules.enum && { enum: rules.enum }),
+  ...(limits && rules.min !== undefined && { minimum: rules.min }),
+  ...(limits && rules.max !== undefined && { maximum: rules.max }),
+  ...(limits &&
+    rules.maxLength !== undefined && { maxLength: rules.maxLength }),
+});
+
+const requestBody = (schema, { partial = false } = {}) => ({
+  type: "object",
+  properties: Object.fromEntries(
+    Object.entries(schema).map(([field, rules]) => [field, fieldSchema(rules)])
+  ),
+  required: partial
+    ? []
+    : Object.keys(schema).filter((field) => schema[field].required),
+});
+
+// A stored document: the writable fields plus `extra`, all optional but
+// _id. Unknown fields are allowed, records carry history.
+const documentSchema = (schema, extra = {}) => ({
+  type: "object",
+  properties: {
+    _id: ID,
+    ...Object.fromEntries(
+      Object.entries(schema).map(([field, rules]) => [
+        field,
+        fieldSchema(rules, { limits: false }),
+      ])
+    ),
+    deletedAt: nullable({ type: "string" }),
+    ...extra,
+  },
+  required: ["_id"],
+});
+
+const page = (items, extra = {}) =>
+  object({
+    items: arrayOf(items),
+    total: { type: "integer" },
+    page: { type: "integer" },
+    pageSize: { type: "integer" },
+    ...extra,
+  });
+
+const statusCounts = object(
+  Object.fromEntries(
+    Object.keys(APPLICATION_TRANSITIONS).map((status) => [
+      status,
+      { type: "integer" },
+    ])
+  )
+);
+
+const analyticsReport = (totals, bucket, extra = {}) =>
+  object({
+    from: nullable({ type: "string" }),
+    to: nullable({ type: "string" }),
+    interval: { type: "string", enum: INTERVALS },
+    ...extra,
+    totals,
+    buckets: arrayOf({ ...bucket, required: ["period"] }),
+  });
+
+const COMPONENTS = {
+  Error: object(
+    {
+      error: { type: "string" },
+      code: { type: "string" },
+      requestId: { type: "string" },
+      errors: arrayOf(
+        object({
+          field: nullable({ type: "string" }),
+          message: { type: "string" },
+        })
+      ),
+    },
+    { optional: ["errors"] }
+  ),
+  InsertResult: object({ insertedId: ID }),
+  UpdateResult: object({
+    success: { type: "boolean" },
+    modifiedCount: { type: "integer" },
+  }),
+  DeleteResult: object({
+    success: { type: "boolean" },
+    deletedCount: { type: "integer" },
+  }),
+  RestoreResult: object({
+    success: { type: "boolean" },
+    restored: { type: "boolean" },
+  }),
+  Scholarship: documentSchema(
+    { ...SCHEMAS.scholarship, ...SCHEMAS.scholarshipStatus },
+    {
+      averageRating: nullable({ type: "number" }),
+      reviewCount: { type: "integer" },
+    }
+  ),
+  RecommendedScholarship: {
+    allOf: [ref("Scholarship")],
+    properties: {
+      score: { type: "number" },
+      reasons: arrayOf({ type: "string", enum: Object.keys(WEIGHTS) }),
+    },
+    required: ["score", "reasons"],
+  },
+  StatusHistoryEntry: {
+    type: "object",
+    properties: {
+      type: { type: "string", enum: ["status", "feedback", "assignment"] },
+      from: nullable({ type: "string" }),
+      to: { type: "string" },
+      by: { type: "string" },
+      at: { type: "string" },
+      note: { type: "string" },
+      assignedTo: nullable({ type: "string" }),
+    },
+    required: ["type", "to", "by", "at"],
+  },
+  Attachment: {
+    type: "object",
+    properties: {
+      _id: ID,
+      kind: fieldSchema(SCHEMAS.attachment.kind),
+      filename: { type: "string" },
+      contentType: { type: "string" },
+      size: { type: "integer" },
+      uploadedBy: { type: "string" },
+      uploadedAt: { type: "string" },
+    },
+    required: ["_id", "kind", "filename", "contentType", "size"],
+  },
+  Application: documentSchema(SCHEMAS.application, {
+    userEmail: { type: "string" },
+    userName: nullable({ type: "string" }),
+    applicationStatus: nullable({
+      type: "string",
+      enum: Object.keys(APPLICATION_TRANSITIONS),
+    }),
+    paymentStatus: { type: "string" },
+    currency: { type: "string" },
+    appliedAt: { type: "string" },
+    assignedTo: nullable({ type: "string" }),
+    feedback: { type: "string" },
+    statusHistory: arrayOf(ref("StatusHistoryEntry")),
+    attachments: arrayOf(ref("Attachment")),
+  }),
+  StudentProfile: requestBody(SCHEMAS.studentProfile, { partial: true }),
+  User: documentSchema(SCHEMAS.user, {
+    role: { type: "string", enum: ["student", "moderator", "admin"] },
+    studentProfile: ref("StudentProfile"),
+  }),
+  Review: documentSchema(SCHEMAS.review, {
+    scholarshipId: { type: "string" },
+    applicationId: { type: "string" },
+    userEmail: { type: "string" },
+    userName: { type: "string" },
+    status: nullable(fieldSchema(SCHEMAS.reviewModeration.status)),
+    reviewDate: { type: "string" },
+  }),
+  Notification: documentSchema(
+    {},
+    {
+      userEmail: { type: "string" },
+      type: { type: "string" },
+      title: { type: "string" },
+      message: { type: "string" },
+      data: { type: "object" },
+      read: { type: "boolean" },
+      createdAt: { type: "string" },
+    }
+  ),
+  Coupon: documentSchema(SCHEMAS.coupon, { uses: { type: "integer" } }),
+  AuditEntry: documentSchema(
+    {},
+    {
+      action: { type: "string" },
+      actor: object({
+        email: { type: "string" },
+        role: nullable({ type: "string" }),
+      }),
+      target: object({
+        collection: { type: "string" },
+        id: nullable({ type: "string" }),
+      }),
+      changes: { type: "object" },
+      details: { type: "object" },
+      at: { type: "string" },
+    }
+  ),
+  WishlistEntry: object({
+    _id: ID,
+    scholarshipId: { type: "string" },
+    createdAt: { type: "string" },
+    scholarship: ref("Scholarship"),
+  }),
+  Refund: object({
+    id: { type: "string" },
+    amount: { type: "integer" },
+    paymentStatus: {
+      type: "string",
+      enum: ["refunded", "partially_refunded"],
+    },
+  }),
+};
+
+// Query parameters shared by several routes
+const queryParam = (name, schema = { type: "string" }, description) => ({
+  name,
+  in: "query",
+  schema,
+  ...(description && { description }),
+});
+const PAGINATION = [
+  queryParam("page", { type: "integer", minimum: 1 }),
+  queryParam("pageSize", { type: "integer", minimum: 1 }),
+];
+const sortParams = (sorts) => [
+  queryParam("sort", { type: "string", enum: Object.keys(sorts) }),
+  queryParam("order", { type: "string", enum: ["asc", "desc"] }),
+];
+const SCHOLARSHIP_QUERY = [
+  queryParam("search"),
+  ...Object.keys(SCHOLARSHIP_FILTERS).map((name) =>
+    queryParam(name, { type: "string" }, "Comma separated values")
+  ),
+  queryParam("minFee", { type: "number" }),
+  queryParam("maxFee", { type: "number" }),
+  ...sortParams(SCHOLARSHIP_SORTS),
+];
+const APPLICATION_QUERY = [
+  queryParam("search"),
+  ...Object.keys(APPLICATION_FILTERS).map((name) =>
+    queryParam(name, { type: "string" }, "Comma separated values")
+  ),
+  queryParam(
+    "assignedTo",
+    { type: "string" },
+    "An email, `me` or `none` for unclaimed applications"
+  ),
+  queryParam("from"),
+  queryParam("to"),
+  ...sortParams(APPLICATION_SORTS),
+];
+const ANALYTICS_QUERY = [
+  queryParam("from"),
+  queryParam("to"),
+  queryParam("interval", { type: "string", enum: INTERVALS }),
+];
+const DELETED_QUERY = [
+  queryParam(
+    "deleted",
+    { type: "boolean" },
+    "Admins only: list deleted records instead"
+  ),
+];
+const EXPORT_QUERY = [
+  queryParam("format", { type: "string", enum: ["csv", "json"] }),
+];
+
+const PATH_PARAMS = {
+  id: ID,
+  email: { type: "string", format: "email" },
+};
+
+const json = (schema) => ({ "application/json": { schema } });
+const EXPORT_CONTENT = {
+  "text/csv": { schema: { type: "string" } },
+  "application/json": { schema: arrayOf({ type: "object" }) },
+};
+
+// Who may call an operation. `roles` only documents the role check; the
+// token is what the security requirement covers.
+const SECURITY = {
+  public: [],
+  optional: [{}, { bearerAuth: [] }],
+  user: [{ bearerAuth: [] }],
+  cron: [{ cronSecret: [] }],
+  stripe: [{ stripeSignature: [] }],
+};
+
+// One entry per route: [method, path, options]. `response` is the JSON
+// schema of the 200 body unless `content` gives other media types.
+const OPERATIONS = [
+  // Scholarships
+  [
+    "get",
+    "/scholarships",
+    {
+      tag: "Scholarships",
+      summary: "List scholarships, published only unless the caller is admin",
+      auth: "optional",
+      query: [...SCHOLARSHIP_QUERY, ...DELETED_QUERY, ...PAGINATION],
+      response: page(ref("Scholarship")),
+    },
+  ],
+  [
+    "get",
+    "/scholarships/top",
+    {
+      tag: "Scholarships",
+      summary: "List the cheapest scholarships",
+      auth: "optional",
+      query: [
+        ...SCHOLARSHIP_QUERY,
+        ...DELETED_QUERY,
+        ...PAGINATION,
+        queryParam("limit", { type: "integer" }, "Alias of pageSize"),
+      ],
+      response: page(ref("Scholarship")),
+    },
+  ],
+  [
+    "get",
+    "/scholarships/recommended",
+    {
+      tag: "Scholarships",
+      summary: "Rank open scholarships for the caller",
+      query: PAGINATION,
+      response: page(ref("RecommendedScholarship")),
+    },
+  ],
+  [
+    "get",
+    "/scholarships/export",
+    {
+      tag: "Scholarships",
+      summary: "Export the filtered listing",
+      roles: ["admin"],
+      query: [...SCHOLARSHIP_QUERY, ...EXPORT_QUERY],
+      content: EXPORT_CONTENT,
+    },
+  ],
+  [
+    "post",
+    "/scholarships/import",
+    {
+      tag: "Scholarships",
+      summary: "Upsert scholarships from CSV or a JSON array",
+      roles: ["admin"],
+      query: [queryParam("dryRun", { type: "boolean" })],
+      requestContent: {
+        "application/json": {
+          schema: arrayOf(requestBody(SCHEMAS.scholarship)),
+        },
+        "text/csv": { schema: { type: "string" } },
+      },
+      response: object(
+        {
+          dryRun: { type: "boolean" },
+          total: { type: "integer" },
+          valid: { type: "integer" },
+          invalid: { type: "integer" },
+          errors: arrayOf(
+            object({
+              row: { type: "integer" },
+              errors: arrayOf({ type: "object" }),
+            })
+          ),
+          inserted: { type: "integer" },
+          updated: { type: "integer" },
+        },
+        { optional: ["inserted", "updated"] }
+      ),
+    },
+  ],
+  [
+    "get",
+    "/scholarships/{id}",
+    {
+      tag: "Scholarships",
+      summary: "Get a scholarship; unpublished ones only for admins",
+      auth: "optional",
+      response: ref("Scholarship"),
+    },
+  ],
+  [
+    "post",
+    "/scholarships",
+    {
+      tag: "Scholarships",
+      summary: "Create a scholarship, published unless asked otherwise",
+      roles: ["admin"],
+      body: requestBody({
+        ...SCHEMAS.scholarship,
+        ...SCHEMAS.scholarshipStatus,
+      }),
+      response: object({
+        insertedId: ID,
+        status: fieldSchema(SCHEMAS.scholarshipStatus.status),
+      }),
+    },
+  ],
+  [
+    "patch",
+    "/scholarships/{id}",
+    {
+      tag: "Scholarships",
+      summary: "Update a scholarship",
+      roles: ["admin"],
+      body: requestBody(SCHEMAS.scholarship, { partial: true }),
+      response: ref("UpdateResult"),
+    },
+  ],
+  [
+    "patch",
+    "/scholarships/{id}/status",
+    {
+      tag: "Scholarships",
+      summary: "Move a scholarship through its lifecycle",
+      roles: ["admin"],
+      body: requestBody(SCHEMAS.scholarshipStatus, { partial: true }),
+      response: object(
+        {
+          success: { type: "boolean" },
+          status: fieldSchema(SCHEMAS.scholarshipStatus.status),
+          publishAt: { type: "string" },
+        },
+        { optional: ["publishAt"] }
+      ),
+    },
+  ],
+  [
+    "delete",
+    "/scholarships/{id}",
+    {
+      tag: "Scholarships",
+      summary: "Delete a scholarship, archiving its open applications",
+      roles: ["admin"],
+      response: object({
+        success: { type: "boolean" },
+        deletedCount: { type: "integer" },
+        archivedApplications: { type: "integer" },
+        refundsRequested: { type: "integer" },
+        refundsFailed: { type: "integer" },
+      }),
+    },
+  ],
+  [
+    "post",
+    "/scholarships/{id}/restore",
+    {
+      tag: "Scholarships",
+      summary: "Restore a deleted scholarship with its applications",
+      roles: ["admin"],
+      response: object({
+        success: { type: "boolean" },
+        restored: { type: "boolean" },
+        restoredApplications: { type: "integer" },
+        restoredReviews: { type: "integer" },
+      }),
+    },
+  ],
+  [
+    "get",
+    "/scholarships/{id}/application",
+    {
+      tag: "Applications",
+      summary: "The caller's application to a scholarship, if any",
+      response: object({
+        hasApplied: { type: "boolean" },
+        application: nullable(ref("Application")),
+      }),
+    },
+  ],
+  [
+    "get",
+    "/scholarships/{id}/reviews",
+    {
+      tag: "Reviews",
+      summary: "List a scholarship's reviews",
+      query: [
+        queryParam("status", fieldSchema(SCHEMAS.reviewModeration.status)),
+      ],
+      response: arrayOf(ref("Review")),
+    },
+  ],
+
+  // Applications
+  [
+    "get",
+    "/applications",
+    {
+      tag: "Applications",
+      summary: "The moderator queue with per-status counts",
+      roles: ["moderator", "admin"],
+      query: [...APPLICATION_QUERY, ...DELETED_QUERY, ...PAGINATION],
+      response: page(ref("Application"), { counts: statusCounts }),
+    },
+  ],
+  [
+    "post",
+    "/applications",
+    {
+      tag: "Applications",
+      summary: "Apply to a published scholarship",
+      body: requestBody(SCHEMAS.application),
+      response: ref("InsertResult"),
+    },
+  ],
+  [
+    "get",
+    "/applications/recent",
+    {
+      tag: "Applications",
+      summary: "The caller's latest applications; staff may pass an email",
+      query: [
+        queryParam("email", { type: "string", format: "email" }),
+        queryParam("limit", { type: "integer", minimum: 1, maximum: 100 }),
+      ],
+      response: arrayOf(ref("Application")),
+    },
+  ],
+  [
+    "get",
+    "/applications/export",
+    {
+      tag: "Applications",
+      summary: "Export the filtered queue",
+      roles: ["admin"],
+      query: [...APPLICATION_QUERY, ...EXPORT_QUERY],
+      content: EXPORT_CONTENT,
+    },
+  ],
+  [
+    "get",
+    "/applications/{id}",
+    {
+      tag: "Applications",
+      summary: "Get an application",
+      roles: ["owner", "moderator", "admin"],
+      response: ref("Application"),
+    },
+  ],
+  [
+    "patch",
+    "/applications/{id}",
+    {
+      tag: "Applications",
+      summary: "Edit an application",
+      roles: ["owner", "admin"],
+      body: requestBody(SCHEMAS.applicationUpdate, { partial: true }),
+      response: ref("UpdateResult"),
+    },
+  ],
+  [
+    "delete",
+    "/applications/{id}",
+    {
+      tag: "Applications",
+      summary: "Delete an application",
+      roles: ["owner", "admin"],
+      response: ref("DeleteResult"),
+    },
+  ],
+  [
+    "post",
+    "/applications/{id}/restore",
+    {
+      tag: "Applications",
+      summary: "Restore a deleted application",
+      roles: ["admin"],
+      response: ref("RestoreResult"),
+    },
+  ],
+  [
+    "patch",
+    "/applications/{id}/status",
+    {
+      tag: "Applications",
+      summary: "Move an application to its next status",
+      roles: ["moderator"],
+      body: object(
+        {
+          status: {
+            type: "string",
+            enum: Object.keys(APPLICATION_TRANSITIONS),
+          },
+          note: { type: "string" },
+        },
+        { optional: ["note"], open: true }
+      ),
+      response: ref("UpdateResult"),
+    },
+  ],
+  [
+    "patch",
+    "/applications/{id}/feedback",
+    {
+      tag: "Applications",
+      summary: "Leave feedback for the student",
+      roles: ["moderator"],
+      body: requestBody(SCHEMAS.feedback),
+      response: ref("UpdateResult"),
+    },
+  ],
+  ...["claim", "release"].map((action) => [
+    "post",
+    `/applications/{id}/${action}`,
+    {
+      tag: "Applications",
+      summary: `${action === "claim" ? "Claim" : "Release"} an application`,
+      roles: action === "claim" ? ["moderator"] : ["moderator", "admin"],
+      response: object({ assignedTo: nullable({ type: "string" }) }),
+    },
+  ]),
+  [
+    "patch",
+    "/applications/{id}/assignee",
+    {
+      tag: "Applications",
+      summary: "Assign an application to a moderator",
+      roles: ["admin"],
+      body: object(
+        { assignedTo: nullable({ type: "string", format: "email" }) },
+        { open: true }
+      ),
+      response: object({ assignedTo: nullable({ type: "string" }) }),
+    },
+  ],
+  [
+    "post",
+    "/applications/{id}/withdraw",
+    {
+      tag: "Applications",
+      summary: "Withdraw an open application, refunding what applies",
+      roles: ["owner"],
+      body: requestBody(SCHEMAS.withdrawal),
+      response: object({
+        applicationStatus: { type: "string", enum: ["withdrawn"] },
+        refund: nullable(ref("Refund")),
+      }),
+    },
+  ],
+  [
+    "post",
+    "/applications/{id}/refund",
+    {
+      tag: "Applications",
+      summary: "Refund a paid application in full or in part",
+      roles: ["admin"],
+      body: requestBody(SCHEMAS.refund),
+      response: ref("Refund"),
+    },
+  ],
+  [
+    "get",
+    "/applications/{id}/history",
+    {
+      tag: "Applications",
+      summary: "An application's status history, oldest first",
+      roles: ["owner", "moderator", "admin"],
+      response: arrayOf(ref("StatusHistoryEntry")),
+    },
+  ],
+  [
+    "patch",
+    "/applications/{id}/review",
+    {
+      tag: "Reviews",
+      summary: "Review the scholarship of a completed application",
+      roles: ["owner"],
+      body: requestBody(SCHEMAS.applicationReview),
+      response: object({
+        success: { type: "boolean" },
+        created: { type: "boolean" },
+      }),
+    },
+  ],
+  [
+    "post",
+    "/applications/{id}/attachments",
+    {
+      tag: "Attachments",
+      summary: "Upload documents to an application",
+      roles: ["owner", "admin"],
+      requestContent: {
+        "multipart/form-data": {
+          schema: {
+            type: "object",
+            properties: {
+              ...requestBody(SCHEMAS.attachment).properties,
+              files: arrayOf({ type: "string", format: "binary" }),
+            },
+            required: ["kind", "files"],
+          },
+        },
+      },
+      response: object({ attachments: arrayOf(ref("Attachment")) }),
+    },
+  ],
+  [
+    "get",
+    "/applications/{id}/attachments",
+    {
+      tag: "Attachments",
+      summary: "List an application's documents",
+      roles: ["owner", "moderator", "admin"],
+      response: arrayOf(ref("Attachment")),
+    },
+  ],
+  [
+    "get",
+    "/applications/{id}/attachments/{attachmentId}/url",
+    {
+      tag: "Attachments",
+      summary: "A short-lived download link for a document",
+      roles: ["owner", "moderator", "admin"],
+      response: object({
+        url: { type: "string" },
+        expiresAt: { type: "string" },
+      }),
+    },
+  ],
+  [
+    "delete",
+    "/applications/{id}/attachments/{attachmentId}",
+    {
+      tag: "Attachments",
+      summary: "Remove a document",
+      roles: ["owner", "admin"],
+      response: ref("UpdateResult"),
+    },
+  ],
+  [
+    "get",
+    "/files/{token}",
+    {
+      tag: "Attachments",
+      summary: "Download a document through a signed link",
+      auth: "public",
+      // Served as the type it was uploaded with
+      content: Object.fromEntries(
+        ["application/pdf", "image/png", "image/jpeg"].map((type) => [
+          type,
+          { schema: { type: "string", format: "binary" } },
+        ])
+      ),
+    },
+  ],
+
+  // Payments
+  [
+    "post",
+    "/checkout-sessions",
+    {
+      tag: "Payments",
+      summary: "Start paying for an application",
+      roles: ["owner"],
+      body: object(
+        { applicationId: ID, couponCode: { type: "string" } },
+        { optional: ["couponCode"], open: true }
+      ),
+      response: {
+        oneOf: [
+          object({ url: { type: "string" } }),
+          object({
+            waived: { type: "boolean" },
+            paymentStatus: { type: "string", enum: ["paid"] },
+          }),
+        ],
+      },
+    },
+  ],
+  [
+    "post",
+    "/stripe/webhook",
+    {
+      tag: "Payments",
+      summary: "Stripe event receiver",
+      auth: "stripe",
+      requestContent: { "application/json": { schema: { type: "object" } } },
+      response: object(
+        { received: { type: "boolean" }, duplicate: { type: "boolean" } },
+        { optional: ["duplicate"] }
+      ),
+    },
+  ],
+
+  // Users
+  [
+    "get",
+    "/users",
+    {
+      tag: "Users",
+      summary: "List users",
+      roles: ["admin"],
+      query: DELETED_QUERY,
+      response: arrayOf(ref("User")),
+    },
+  ],
+  [
+    "post",
+    "/users",
+    {
+      tag: "Users",
+      summary: "Register or refresh the caller's account",
+      body: requestBody(SCHEMAS.user),
+      response: object(
+        {
+          message: { type: "string" },
+          created: { type: "boolean" },
+          insertedId: ID,
+        },
+        { optional: ["insertedId"] }
+      ),
+    },
+  ],
+  [
+    "get",
+    "/users/{email}",
+    {
+      tag: "Users",
+      summary: "Get a user",
+      roles: ["owner", "moderator", "admin"],
+      response: ref("User"),
+    },
+  ],
+  [
+    "patch",
+    "/users/{email}",
+    {
+      tag: "Users",
+      summary: "Update a user's name and photo",
+      roles: ["owner", "admin"],
+      body: requestBody(SCHEMAS.profile, { partial: true }),
+      response: object({
+        success: { type: "boolean" },
+        message: { type: "string" },
+        modifiedCount: { type: "integer" },
+      }),
+    },
+  ],
+  [
+    "delete",
+    "/users/{email}",
+    {
+      tag: "Users",
+      summary: "Delete a user",
+      roles: ["admin"],
+      response: ref("DeleteResult"),
+    },
+  ],
+  [
+    "post",
+    "/users/{email}/restore",
+    {
+      tag: "Users",
+      summary: "Restore a deleted user",
+      roles: ["admin"],
+      response: ref("RestoreResult"),
+    },
+  ],
+  [
+    "patch",
+    "/users/{email}/profile",
+    {
+      tag: "Users",
+      summary: "Update the student profile recommendations use",
+      roles: ["owner", "admin"],
+      body: requestBody(SCHEMAS.studentProfile, { partial: true }),
+      response: ref("StudentProfile"),
+    },
+  ],
+  [
+    "get",
+    "/users/{email}/role",
+    {
+      tag: "Users",
+      summary: "A user's role",
+      response: object({
+        role: { type: "string", enum: ["student", "moderator", "admin"] },
+      }),
+    },
+  ],
+  [
+    "patch",
+    "/users/{email}/role",
+    {
+      tag: "Users",
+      summary: "Change a user's role",
+      roles: ["admin"],
+      body: object({
+        role: { type: "string", enum: ["student", "moderator", "admin"] },
+      }),
+      response: ref("UpdateResult"),
+    },
+  ],
+  [
+    "get",
+    "/users/{email}/applications",
+    {
+      tag: "Applications",
+      summary: "A user's applications, newest first",
+      roles: ["owner", "moderator", "admin"],
+      response: arrayOf(ref("Application")),
+    },
+  ],
+  [
+    "get",
+    "/users/{email}/reviews",
+    {
+      tag: "Reviews",
+      summary: "A user's reviews",
+      response: arrayOf(ref("Review")),
+    },
+  ],
+
+  // Reviews
+  [
+    "get",
+    "/reviews",
+    {
+      tag: "Reviews",
+      summary: "List reviews, newest first",
+      query: [
+        queryParam("status", fieldSchema(SCHEMAS.reviewModeration.status)),
+      ],
+      response: arrayOf(ref("Review")),
+    },
+  ],
+  [
+    "patch",
+    "/reviews/{id}",
+    {
+      tag: "Reviews",
+      summary: "Edit a review",
+      roles: ["owner"],
+      body: requestBody(SCHEMAS.review),
+      response: ref("UpdateResult"),
+    },
+  ],
+  [
+    "patch",
+    "/reviews/{id}/moderation",
+    {
+      tag: "Reviews",
+      summary: "Hide, flag or show a review",
+      roles: ["moderator", "admin"],
+      body: requestBody(SCHEMAS.reviewModeration),
+      response: object({
+        success: { type: "boolean" },
+        moderation: object({
+          status: fieldSchema(SCHEMAS.reviewModeration.status),
+          reason: nullable({ type: "string" }),
+          by: { type: "string" },
+          at: { type: "string" },
+        }),
+      }),
+    },
+  ],
+  [
+    "delete",
+    "/reviews/{id}",
+    {
+      tag: "Reviews",
+      summary: "Delete a review",
+      roles: ["owner", "moderator", "admin"],
+      response: ref("DeleteResult"),
+    },
+  ],
+
+  // Wishlist
+  [
+    "get",
+    "/wishlist",
+    {
+      tag: "Wishlist",
+      summary: "The caller's saved scholarships",
+      response: arrayOf(ref("WishlistEntry")),
+    },
+  ],
+  [
+    "post",
+    "/wishlist/{scholarshipId}",
+    {
+      tag: "Wishlist",
+      summary: "Save a scholarship",
+      response: object({
+        success: { type: "boolean" },
+        added: { type: "boolean" },
+      }),
+    },
+  ],
+  [
+    "delete",
+    "/wishlist/{scholarshipId}",
+    {
+      tag: "Wishlist",
+      summary: "Unsave a scholarship",
+      response: ref("DeleteResult"),
+    },
+  ],
+
+  // Notifications and live updates
+  [
+    "get",
+    "/notifications",
+    {
+      tag: "Notifications",
+      summary: "The caller's notifications, newest first",
+      query: [...PAGINATION, queryParam("unread", { type: "boolean" })],
+      response: page(ref("Notification"), { unread: { type: "integer" } }),
+    },
+  ],
+  [
+    "get",
+    "/notifications/unread-count",
+    {
+      tag: "Notifications",
+      summary: "How many notifications are unread",
+      response: object({ unread: { type: "integer" } }),
+    },
+  ],
+  [
+    "patch",
+    "/notifications/{id}/read",
+    {
+      tag: "Notifications",
+      summary: "Mark a notification read",
+      response: ref("UpdateResult"),
+    },
+  ],
+  [
+    "post",
+    "/notifications/read-all",
+    {
+      tag: "Notifications",
+      summary: "Mark every notification read",
+      response: ref("UpdateResult"),
+    },
+  ],
+  [
+    "get",
+    "/events",
+    {
+      tag: "Notifications",
+      summary: "Live updates as server-sent events",
+      query: [
+        queryParam(
+          "access_token",
+          { type: "string" },
+          "For clients that can't set headers on an EventSource"
+        ),
+      ],
+      content: { "text/event-stream": { schema: { type: "string" } } },
+    },
+  ],
+
+  // Stats and analytics
+  [
+    "get",
+    "/stats/dashboard",
+    {
+      tag: "Stats",
+      summary: "Application counts, the caller's own unless staff",
+      response: object({
+        totalApplications: { type: "integer" },
+        pending: { type: "integer" },
+        processing: { type: "integer" },
+        completed: { type: "integer" },
+        rejected: { type: "integer" },
+      }),
+    },
+  ],
+  [
+    "get",
+    "/admin/analytics/fees",
+    {
+      tag: "Stats",
+      summary: "Fees collected and refunded per currency",
+      roles: ["admin"],
+      query: ANALYTICS_QUERY,
+      response: analyticsReport(arrayOf({ type: "object" }), {
+        type: "object",
+      }),
+    },
+  ],
+  [
+    "get",
+    "/admin/analytics/applications",
+    {
+      tag: "Stats",
+      summary: "Applications per scholarship, university, category or country",
+      roles: ["admin"],
+      query: [
+        ...ANALYTICS_QUERY,
+        queryParam("by", {
+          type: "string",
+          enum: ["scholarship", "university", "category", "country"],
+        }),
+      ],
+      response: analyticsReport(
+        arrayOf({ type: "object" }),
+        { type: "object" },
+        { by: { type: "string" } }
+      ),
+    },
+  ],
+  [
+    "get",
+    "/admin/analytics/funnel",
+    {
+      tag: "Stats",
+      summary: "Applied, paid and completed cohorts",
+      roles: ["admin"],
+      query: ANALYTICS_QUERY,
+      response: analyticsReport(
+        object({
+          applied: { type: "integer" },
+          paid: { type: "integer" },
+          completed: { type: "integer" },
+          paidRate: nullable({ type: "number" }),
+          completionRate: nullable({ type: "number" }),
+        }),
+        { type: "object" }
+      ),
+    },
+  ],
+  [
+    "get",
+    "/admin/analytics/ratings",
+    {
+      tag: "Stats",
+      summary: "Average ratings per scholarship",
+      roles: ["admin"],
+      query: ANALYTICS_QUERY,
+      response: analyticsReport(arrayOf({ type: "object" }), {
+        type: "object",
+      }),
+    },
+  ],
+  [
+    "get",
+    "/admin/analytics/users",
+    {
+      tag: "Stats",
+      summary: "New users per period",
+      roles: ["admin"],
+      query: ANALYTICS_QUERY,
+      response: analyticsReport(object({ newUsers: { type: "integer" } }), {
+        type: "object",
+      }),
+    },
+  ],
+
+  // Admin
+  [
+    "get",
+    "/admin/audit",
+    {
+      tag: "Admin",
+      summary: "Query the audit log",
+      roles: ["admin"],
+      query: [
+        queryParam("actor"),
+        queryParam("action"),
+        queryParam("collection"),
+        queryParam("targetId"),
+        queryParam("from"),
+        queryParam("to"),
+        ...PAGINATION,
+      ],
+      response: page(ref("AuditEntry")),
+    },
+  ],
+  [
+    "get",
+    "/admin/audit/export",
+    {
+      tag: "Admin",
+      summary: "Export the audit log",
+      roles: ["admin"],
+      query: EXPORT_QUERY,
+      content: EXPORT_CONTENT,
+    },
+  ],
+  [
+    "get",
+    "/admin/coupons",
+    {
+      tag: "Admin",
+      summary: "List coupons",
+      roles: ["admin"],
+      response: arrayOf(ref("Coupon")),
+    },
+  ],
+  [
+    "post",
+    "/admin/coupons",
+    {
+      tag: "Admin",
+      summary: "Create a coupon",
+      roles: ["admin"],
+      body: requestBody(SCHEMAS.coupon),
+      response: ref("InsertResult"),
+    },
+  ],
+  [
+    "patch",
+    "/admin/coupons/{id}",
+    {
+      tag: "Admin",
+      summary: "Update a coupon",
+      roles: ["admin"],
+      body: requestBody(SCHEMAS.coupon, { partial: true }),
+      response: ref("UpdateResult"),
+    },
+  ],
+  [
+    "delete",
+    "/admin/coupons/{id}",
+    {
+      tag: "Admin",
+      summary: "Delete a coupon",
+      roles: ["admin"],
+      response: ref("DeleteResult"),
+    },
+  ],
+
+  // Jobs, from Vercel Cron or an admin
+  ...[
+    [
+      "deadline-reminders",
+      "Queue and send deadline reminders",
+      object({
+        scholarships: { type: "integer" },
+        queued: { type: "integer" },
+        delivered: { type: "integer" },
+      }),
+      object(
+        { days: { type: "integer", minimum: 0, maximum: 60 } },
+        {
+          optional: ["days"],
+        }
+      ),
+    ],
+    [
+      "purge-deleted",
+      "Permanently remove records deleted past the retention period",
+      object({
+        users: { type: "integer" },
+        scholarships: { type: "integer" },
+        applications: { type: "integer" },
+        files: { type: "integer" },
+      }),
+      object(
+        { retentionDays: { type: "integer", minimum: 0, maximum: 3650 } },
+        { optional: ["retentionDays"] }
+      ),
+    ],
+    [
+      "scholarship-lifecycle",
+      "Publish scheduled and close expired scholarships",
+      object({
+        published: { type: "integer" },
+        closed: { type: "integer" },
+      }),
+    ],
+  ].flatMap(([job, summary, response, body]) => [
+    ["get", `/cron/${job}`, { tag: "Jobs", summary, auth: "cron", response }],
+    [
+      "post",
+      `/admin/jobs/${job}`,
+      { tag: "Jobs", summary, roles: ["admin"], body, response },
+    ],
+  ]),
+];
+
+const operationId = (method, path) =>
+  method +
+  path
+    .split("/")
+    .filter(Boolean)
+    .map((part) =>
+      part.replace(/[{}]/g, "").replace(/-(\w)/g, (m, c) => c.toUpperCase())
+    )
+    .map((part) => part[0].toUpperCase() + part.slice(1))
+    .join("");
+
+const buildOperation = (
+  method,
+  path,
+  {
+    tag,
+    summary,
+    auth = "user",
+    roles,
+    query = [],
+    body,
+    requestContent,
+    response,
+    content,
+  }
+) => {
+  const pathParams = [...path.matchAll(/{(\w+)}/g)].map(([, name]) => ({
+    name,
+    in: "path",
+    required: true,
+    schema: PATH_PARAMS[name] || { type: "string" },
+  }));
+  const parameters = [...pathParams, ...query];
+  const requestBodyContent = requestContent || (body && json(body));
+
+  return {
+    operationId: operationId(method, path),
+    tags: [tag],
+    summary,
+    ...(roles && {
+      description: `Allowed for: ${roles.join(", ")}.`,
+      "x-roles": roles,
+    }),
+    security: SECURITY[auth],
+    ...(parameters.length && { parameters }),
+    ...(requestBodyContent && {
+      requestBody: { required: true, content: requestBodyContent },
+    }),
+    responses: {
+      200: { description: "OK", content: content || json(response) },
+      default: { description: "Error", content: json(ref("Error")) },
+    },
+  };
+};
+
+// `serverUrl` is where the routes are mounted, the API prefix
+const buildOpenApiDocument = ({ serverUrl = "/api/v1" } = {}) => {
+  const paths = {};
+  for (const [method, path, options] of OPERATIONS) {
+    paths[path] = {
+      ...paths[path],
+      [method]: buildOperation(method, path, options),
+    };
+  }
+  return {
+    openapi: "3.1.0",
+    info: { title: "Scholar Stream API", version: "1.0.0" },
+    servers: [{ url: serverUrl }],
+    paths,
+    components: {
+      schemas: COMPONENTS,
+      securitySchemes: {
+        bearerAuth: {
+          type: "http",
+          scheme: "bearer",
+          description: "A Firebase ID token",
+        },
+        cronSecret: {
+          type: "http",
+          scheme: "bearer",
+          description: "The CRON_SECRET, sent by Vercel Cron",
+        },
+        stripeSignature: {
+          type: "apiKey",
+          in: "header",
+          name: "Stripe-Signature",
+        },
+      },
+    },
+  };
+};
+
+module.exports = { buildOpenApiDocument };
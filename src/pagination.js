@@ -0,0 +1,16 @@
+// Reads `page` and `pageSize` from a query string, clamped to sane bounds.
+const parsePagination = (query, { defaultSize = 12, maxSize = 100 } = {}) => {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const pageSize = Math.min(
+    Math.max(parseInt(query.pageSize) || defaultSize, 1),
+    maxSize
+  );
+  return { page, pageSize, skip: (page - 1) * pageSize };
+};
+
+const toNumber = (value) => {
+  const n = Number(value);
+  return value === undefined || value === "" || Number.isNaN(n) ? null : n;
+};
+
+module.exports = { parsePagination, toNumber };
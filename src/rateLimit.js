@@ -0,0 +1,119 @@
+const { HttpError } = require("./errors");
+
+// A store counts hits per key in fixed windows. hit(key, windowMs) resolves
+// to { count, resetAt } for the window the hit landed in.
+
+// Counts in this process only; fine for a single instance and for tests
+const createMemoryStore = () => {
+  const windows = new Map();
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, window] of windows) {
+      if (window.resetAt <= now) windows.delete(key);
+    }
+  }, 60 * 1000);
+  sweep.unref();
+
+  return {
+    hit: async (key, windowMs) => {
+      const now = Date.now();
+      let window = windows.get(key);
+      if (!window || window.resetAt <= now) {
+        window = { count: 0, resetAt: now + windowMs };
+        windows.set(key, window);
+      }
+      window.count += 1;
+      return { count: window.count, resetAt: window.resetAt };
+    },
+  };
+};
+
+// Starts the window on a key's first hit and reports what is left of it
+const HIT_SCRIPT = `
+local count = redis.call("INCR", KEYS[1])
+if count == 1 then redis.call("PEXPIRE", KEYS[1], ARGV[1]) end
+return { count, redis.call("PTTL", KEYS[1]) }
+`;
+
+// Shares counts across instances through anything speaking the Redis
+// protocol. `sendCommand` takes an array of arguments, as node-redis's
+// client.sendCommand does.
+const createRedisStore = ({ sendCommand, prefix = "rate-limit:" }) => ({
+  hit: async (key, windowMs) => {
+    const [count, ttl] = await sendCommand([
+      "EVAL",
+      HIT_SCRIPT,
+      "1",
+      `${prefix}${key}`,
+      String(windowMs),
+    ]);
+    return {
+      count: Number(count),
+      resetAt: Date.now() + (ttl > 0 ? Number(ttl) : windowMs),
+    };
+  },
+});
+
+// The store a deployment gets from its configuration
+const createRateLimitStore = (config) => {
+  if (!config.redisUrl) return createMemoryStore();
+
+  const { createClient } = require("redis");
+  const client = createClient({ url: config.redisUrl });
+  client.on("error", (error) => console.error("Redis error:", error.message));
+  client.connect().catch(() => {});
+  return createRedisStore({ sendCommand: (args) => client.sendCommand(args) });
+};
+
+// Limits each client to `max` requests per `windowMs`. Clients are told
+// apart by IP, or with `by: "user"` by the verified email, so it has to run
+// after verifyToken. Requests over the limit get a 429 with Retry-After. A
+// failing store lets requests through rather than taking the API down.
+const createRateLimiter = ({
+  store,
+  name,
+  windowMs,
+  max,
+  by = "ip",
+  skip = () => false,
+}) => {
+  return async (req, res, next) => {
+    if (skip(req)) return next();
+    const client =
+      by === "user" && req.user ? `user:${req.user.email}` : `ip:${req.ip}`;
+
+    let hit;
+    try {
+      hit = await store.hit(`${name}:${client}`, windowMs);
+    } catch (error) {
+      console.error(`[${req.id}] Rate limit store failed:`, error.message);
+      return next();
+    }
+
+    const resetSeconds = Math.max(
+      Math.ceil((hit.resetAt - Date.now()) / 1000),
+      1
+    );
+    res.set({
+      "RateLimit-Limit": String(max),
+      "RateLimit-Remaining": String(Math.max(max - hit.count, 0)),
+      "RateLimit-Reset": String(resetSeconds),
+    });
+    if (hit.count <= max) return next();
+
+    res.set("Retry-After", String(resetSeconds));
+    next(
+      new HttpError(429, "Too many requests, please try again later", {
+        code: "RATE_LIMITED",
+      })
+    );
+  };
+};
+
+module.exports = {
+  createMemoryStore,
+  createRedisStore,
+  createRateLimitStore,
+  createRateLimiter,
+};
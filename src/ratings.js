@@ -0,0 +1,41 @@
+const { ObjectId } = require("mongodb");
+
+// Keeps a scholarship's averageRating and reviewCount in step with its
+// reviews, leaving out hidden ones. Call after any change to them.
+const refreshScholarshipRating = async (
+  { reviewsCollection, scholarshipsCollection },
+  scholarshipId
+) => {
+  if (!ObjectId.isValid(scholarshipId)) return;
+
+  const [stats] = await reviewsCollection
+    .aggregate([
+      {
+        $match: {
+          scholarshipId: String(scholarshipId),
+          status: { $ne: "hidden" },
+          deletedAt: null,
+        },
+      },
+      {
+        $group: {
+          _id: null,
+          average: { $avg: "$ratingPoint" },
+          count: { $sum: 1 },
+        },
+      },
+    ])
+    .toArray();
+
+  await scholarshipsCollection.updateOne(
+    { _id: new ObjectId(scholarshipId) },
+    {
+      $set: {
+        averageRating: stats ? Math.round(stats.average * 100) / 100 : null,
+        reviewCount: stats ? stats.count : 0,
+      },
+    }
+  );
+};
+
+module.exports = { refreshScholarshipRating };
@@ -0,0 +1,111 @@
+// Points each signal adds to a scholarship's score. A matching degree and
+// subject outweigh everything else; history only nudges the order.
+const WEIGHTS = {
+  degree: 30,
+  subject: 25,
+  country: 15,
+  withinBudget: 15,
+  overBudget: -20,
+  fullFundForHighGpa: 10,
+  wishlisted: 10,
+  similarHistory: 5,
+};
+// On the 5 point scale the application form uses
+const HIGH_GPA = 4;
+// Scholarship fields compared against what the student applied to or saved
+const HISTORY_FIELDS = [
+  "degree",
+  "subjectCategory",
+  "universityCountry",
+  "scholarshipCategory",
+];
+
+const normalize = (value) =>
+  typeof value === "string" ? value.trim().toLowerCase() : value;
+const matches = (a, b) =>
+  a !== undefined && a !== null && a !== "" && normalize(a) === normalize(b);
+
+// Collects the field values of scholarships the student applied to or
+// wishlisted, as { field: Set } for scoreScholarship
+const buildHistory = (scholarships) =>
+  Object.fromEntries(
+    HISTORY_FIELDS.map((field) => [
+      field,
+      new Set(
+        scholarships
+          .map((s) => normalize(s[field]))
+          .filter((value) => value !== undefined && value !== null)
+      ),
+    ])
+  );
+
+// Scores one scholarship for a student and lists the signals that counted.
+// Pure, so the same inputs always rank the same way.
+const scoreScholarship = (
+  scholarship,
+  { profile = {}, history = buildHistory([]), wishlistedIds = new Set() } = {}
+) => {
+  const reasons = [];
+  let score = 0;
+  const add = (reason) => {
+    score += WEIGHTS[reason];
+    reasons.push(reason);
+  };
+
+  if (matches(profile.degree, scholarship.degree)) add("degree");
+  if (matches(profile.subject, scholarship.subjectCategory)) add("subject");
+  if (matches(profile.country, scholarship.universityCountry)) add("country");
+
+  if (typeof profile.budget === "number") {
+    const fees =
+      Number(scholarship.applicationFees || 0) +
+      Number(scholarship.serviceCharge || 0);
+    add(fees <= profile.budget ? "withinBudget" : "overBudget");
+  }
+  if (
+    typeof profile.gpa === "number" &&
+    profile.gpa >= HIGH_GPA &&
+    scholarship.scholarshipCategory === "Full fund"
+  ) {
+    add("fullFundForHighGpa");
+  }
+
+  if (wishlistedIds.has(String(scholarship._id))) add("wishlisted");
+  if (
+    HISTORY_FIELDS.some((field) =>
+      history[field]?.has(normalize(scholarship[field]))
+    )
+  ) {
+    add("similarHistory");
+  }
+
+  return { score, reasons };
+};
+
+// Highest score first. Ties go to the earlier deadline, with open-ended
+// scholarships last, then the id, so the order never depends on how the
+// database returned them.
+const rankScholarships = (scholarships, context) =>
+  scholarships
+    .map((scholarship) => ({
+      scholarship,
+      ...scoreScholarship(scholarship, context),
+    }))
+    .sort(
+      (a, b) =>
+        b.score - a.score ||
+        !a.scholarship.applicationDeadline -
+          !b.scholarship.applicationDeadline ||
+        String(a.scholarship.applicationDeadline || "").localeCompare(
+          String(b.scholarship.applicationDeadline || "")
+        ) ||
+        String(a.scholarship._id).localeCompare(String(b.scholarship._id))
+    );
+
+module.exports = {
+  WEIGHTS,
+  HISTORY_FIELDS,
+  buildHistory,
+  scoreScholarship,
+  rankScholarships,
+};
@@ -0,0 +1,139 @@
+const { HttpError } = require("./errors");
+const { toMinorUnits } = require("./money");
+
+const REFUNDABLE_PAYMENTS = ["paid", "partially_refunded"];
+
+// Students may withdraw while an application is open. Withdrawing a pending
+// application refunds everything; once processing has started the service
+// charge is kept and only the application fee comes back.
+const WITHDRAWAL_REFUNDS = {
+  pending: "full",
+  processing: "applicationFees",
+};
+
+// Returns why `application` has nothing to refund, or null when it has
+const checkRefundable = (application) => {
+  if (
+    !REFUNDABLE_PAYMENTS.includes(application.paymentStatus) ||
+    !application.transactionId
+  ) {
+    return "Application has no payment to refund";
+  }
+  return null;
+};
+
+// The amount, in minor units, a withdrawal refunds. Undefined means
+// whatever is left of the payment. The fees on the application are the
+// applicant's copy, so the application fee comes from the payment's charged
+// lines, which include any coupon, or else the payment less the
+// scholarship's service charge. It never exceeds what is left to refund.
+const withdrawalAmount = (application, { payment, scholarship } = {}) => {
+  const refunds =
+    WITHDRAWAL_REFUNDS[application.applicationStatus || "pending"];
+  if (refunds !== "applicationFees") return undefined;
+  if (!Number.isInteger(payment?.amount)) {
+    return toMinorUnits(scholarship?.applicationFees || 0);
+  }
+  const charged = Number.isInteger(payment.lines?.applicationFees)
+    ? payment.lines.applicationFees
+    : payment.amount - toMinorUnits(scholarship?.serviceCharge || 0);
+  const remaining = payment.amount - (payment.amountRefunded || 0);
+  return Math.max(0, Math.min(charged, remaining));
+};
+
+// Refunds `amount` of a paid application, or everything left of it, and
+// records the refund on the payment. Each refund is keyed on the
+// application and how many came before it, so a retried request never
+// refunds twice. The charge.refunded webhook later confirms the totals.
+const requestRefund = async (
+  { stripe, collections },
+  application,
+  { amount: requested, reason, by } = {}
+) => {
+  const { applicationCollection, paymentsCollection } = collections;
+  const applicationId = String(application._id);
+  const unrefundable = checkRefundable(application);
+  if (unrefundable) {
+    throw new HttpError(409, unrefundable, { code: "NOT_REFUNDABLE" });
+  }
+
+  const payment = await paymentsCollection.findOne({
+    paymentIntentId: application.transactionId,
+  });
+  const remaining = Number.isInteger(payment?.amount)
+    ? payment.amount - (payment.amountRefunded || 0)
+    : null;
+  if (remaining !== null && remaining <= 0) {
+    throw new HttpError(409, "Payment is already fully refunded", {
+      code: "NOT_REFUNDABLE",
+    });
+  }
+  if (requested !== undefined && remaining !== null && requested > remaining) {
+    throw new HttpError(400, `amount can be at most ${remaining}`);
+  }
+  const amount = requested ?? remaining ?? undefined;
+
+  let refund;
+  try {
+    refund = await stripe.refunds.create(
+      {
+        payment_intent: application.transactionId,
+        ...(amount !== undefined && { amount }),
+        metadata: { applicationId, ...(reason && { reason }) },
+      },
+      {
+        idempotencyKey: `refund-${applicationId}-${
+          payment?.refunds?.length || 0
+        }`,
+      }
+    );
+  } catch (error) {
+    console.error(`Refund failed for application ${applicationId}:`, error);
+    throw new HttpError(502, "The refund could not be issued", {
+      code: "REFUND_FAILED",
+    });
+  }
+
+  const refunded = (payment?.amountRefunded || 0) + refund.amount;
+  const status =
+    remaining !== null && refunded < payment.amount
+      ? "partially_refunded"
+      : "refunded";
+  const now = new Date().toISOString();
+
+  if (payment) {
+    await paymentsCollection.updateOne(
+      { _id: payment._id },
+      {
+        $set: {
+          status,
+          amountRefunded: refunded,
+          refundedAt: now,
+          updatedAt: now,
+        },
+        $push: {
+          refunds: {
+            id: refund.id,
+            amount: refund.amount,
+            status: refund.status,
+            reason: reason || null,
+            by: by || null,
+            createdAt: now,
+          },
+        },
+      }
+    );
+  }
+  await applicationCollection.updateOne(
+    { _id: application._id },
+    { $set: { paymentStatus: status, refundedAt: now, updatedAt: now } }
+  );
+  return { id: refund.id, amount: refund.amount, paymentStatus: status };
+};
+
+module.exports = {
+  WITHDRAWAL_REFUNDS,
+  checkRefundable,
+  withdrawalAmount,
+  requestRefund,
+};
@@ -0,0 +1,831 @@
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const {
+  HttpError,
+  asyncHandler,
+  findByIdOr404,
+  validateObjectId,
+} = require("../errors");
+const { STAFF, isSameEmail } = require("../access");
+const { SCHEMAS, validateBody } = require("../validation");
+const {
+  APPLICATION_TRANSITIONS,
+  checkStatusTransition,
+} = require("../applicationStatus");
+const {
+  buildApplicationQuery,
+  buildApplicationSort,
+} = require("../applicationQuery");
+const { parsePagination, toNumber } = require("../pagination");
+const { parseExportFormat, sendExport, exportProjection } = require("../bulk");
+const {
+  softDelete,
+  restoreDeleted,
+  deletedAtFilter,
+} = require("../softDelete");
+const {
+  WITHDRAWAL_REFUNDS,
+  checkRefundable,
+  withdrawalAmount,
+  requestRefund,
+} = require("../refunds");
+const { checkAcceptingApplications } = require("../scholarshipStatus");
+const { statsDelta, statusEvents } = require("../events");
+
+// Copied from the scholarship onto each application, so what the applicant
+// saw can't be changed from the request
+const SCHOLARSHIP_SNAPSHOT_FIELDS = [
+  "scholarshipName",
+  "universityName",
+  "universityCountry",
+  "universityCity",
+  "scholarshipCategory",
+  "subjectCategory",
+  "degree",
+  "applicationFees",
+  "serviceCharge",
+  "currency",
+];
+
+const EXPORT_COLUMNS = [
+  "_id",
+  "userName",
+  "userEmail",
+  ...Object.keys(SCHEMAS.application),
+  "applicationStatus",
+  "paymentStatus",
+  "transactionId",
+  "paidAt",
+  "assignedTo",
+  "feedback",
+  "appliedAt",
+  "updatedAt",
+];
+
+module.exports = ({ collections, access, stripe, notifier, audit, events }) => {
+  const {
+    applicationCollection,
+    scholarshipsCollection,
+    usersCollection,
+    paymentsCollection,
+  } = collections;
+  const {
+    getUserRole,
+    verifyToken,
+    verifyAdmin,
+    verifyModerator,
+    authorize,
+    ownsApplication,
+    ownsEmailParam,
+  } = access;
+  const router = express.Router();
+  router.param("id", validateObjectId);
+
+  // A claimed application may only be worked by the moderator holding it
+  const assertAssignee = (application, req) => {
+    if (
+      application.assignedTo &&
+      !isSameEmail(application.assignedTo, req.user.email)
+    ) {
+      throw new HttpError(
+        409,
+        `Application is assigned to ${application.assignedTo}`
+      );
+    }
+  };
+
+  const recordAssignment = (req, application, assignedTo) =>
+    audit.record(req, {
+      action: "application.assign",
+      collection: "application",
+      id: application._id,
+      before: { assignedTo: application.assignedTo || null },
+      after: { assignedTo },
+    });
+
+  const assignmentEntry = (application, req, assignedTo, now) => ({
+    type: "assignment",
+    from: application.applicationStatus || "pending",
+    to: application.applicationStatus || "pending",
+    by: req.user.email,
+    at: now,
+    assignedTo,
+  });
+
+  // One application per student and scholarship, while it is open. The
+  // applicant is whoever holds the token. Deleting an application frees the
+  // student to apply again.
+  router.post(
+    "/applications",
+    verifyToken,
+    validateBody(SCHEMAS.application),
+    asyncHandler(async (req, res) => {
+      const userEmail = req.user.email.toLowerCase();
+      const scholarship = await findByIdOr404(
+        scholarshipsCollection,
+        req.body.scholarshipId,
+        "Scholarship"
+      );
+      const closed = checkAcceptingApplications(scholarship);
+      if (closed)
+        throw new HttpError(409, closed.message, { code: closed.code });
+
+      const duplicate = () =>
+        new HttpError(409, "You have already applied to this scholarship", {
+          code: "DUPLICATE_APPLICATION",
+        });
+      const existing = await applicationCollection.findOne(
+        { scholarshipId: req.body.scholarshipId, userEmail, deletedAt: null },
+        { projection: { _id: 1 } }
+      );
+      if (existing) throw duplicate();
+
+      const profile = req.user.name
+        ? null
+        : await usersCollection.findOne(
+            { email: userEmail },
+            { projection: { name: 1 } }
+          );
+
+      const now = new Date().toISOString();
+      const application = {
+        ...req.body,
+        ...Object.fromEntries(
+          SCHOLARSHIP_SNAPSHOT_FIELDS.filter(
+            (field) => scholarship[field] !== undefined
+          ).map((field) => [field, scholarship[field]])
+        ),
+        userEmail,
+        userName: req.user.name || profile?.name || null,
+        appliedAt: now,
+        applicationStatus: "pending",
+        paymentStatus: "unpaid",
+        statusHistory: [
+          {
+            type: "status",
+            from: null,
+            to: "pending",
+            by: userEmail,
+            at: now,
+          },
+        ],
+        createdAt: now,
+        // Set explicitly so the unique index, partial on null, covers it
+        deletedAt: null,
+      };
+
+      let result;
+      try {
+        result = await applicationCollection.insertOne(application);
+      } catch (error) {
+        // The unique index catches two submissions racing past the check
+        if (error.code === 11000) throw duplicate();
+        throw error;
+      }
+
+      events.publish({
+        type: "application.created",
+        to: { roles: STAFF },
+        data: {
+          applicationId: String(result.insertedId),
+          scholarshipId: application.scholarshipId,
+          scholarshipName: application.scholarshipName,
+          universityName: application.universityName,
+          userName: application.userName,
+          appliedAt: now,
+        },
+      });
+      events.publish(statsDelta({ totalApplications: 1, pending: 1 }));
+      res.json({ insertedId: result.insertedId });
+    })
+  );
+
+  // The moderator queue. `counts` tallies each status under every filter
+  // except `status` itself, so clients can label their status tabs.
+  router.get(
+    "/applications",
+    verifyToken,
+    authorize({ roles: STAFF }),
+    asyncHandler(async (req, res) => {
+      const query = req.query;
+      const filter = {
+        ...buildApplicationQuery(query, { user: req.user }),
+        deletedAt: deletedAtFilter(query, req.role),
+      };
+      const { applicationStatus, ...countFilter } = filter;
+      const { page, pageSize, skip } = parsePagination(query, {
+        defaultSize: 20,
+      });
+
+      const [items, total, grouped] = await Promise.all([
+        applicationCollection
+          .find(filter, { projection: { statusHistory: 0 } })
+          .sort(buildApplicationSort(query))
+          .skip(skip)
+          .limit(pageSize)
+          .toArray(),
+        applicationCollection.countDocuments(filter),
+        applicationCollection
+          .aggregate([
+            { $match: countFilter },
+            { $group: { _id: "$applicationStatus", count: { $sum: 1 } } },
+          ])
+          .toArray(),
+      ]);
+
+      const counts = Object.fromEntries(
+        Object.keys(APPLICATION_TRANSITIONS).map((status) => [status, 0])
+      );
+      for (const { _id, count } of grouped) {
+        const status = _id || "pending";
+        counts[status] = (counts[status] || 0) + count;
+      }
+
+      res.json({ items, total, page, pageSize, counts });
+    })
+  );
+
+  // The caller's latest applications. Staff may ask for anyone's.
+  router.get(
+    "/applications/recent",
+    verifyToken,
+    asyncHandler(async (req, res) => {
+      const role = await getUserRole(req.user.email);
+      const email =
+        req.query.email && STAFF.includes(role)
+          ? String(req.query.email)
+          : req.user.email;
+      const limit = Math.min(toNumber(req.query.limit) || 5, 100);
+
+      const result = await applicationCollection
+        .find({ userEmail: email.toLowerCase(), deletedAt: null })
+        .sort({ appliedAt: -1, _id: -1 })
+        .limit(limit)
+        .toArray();
+      res.json(result);
+    })
+  );
+
+  // Takes the moderator queue's filters and sort
+  router.get(
+    "/applications/export",
+    verifyToken,
+    verifyAdmin,
+    asyncHandler(async (req, res) => {
+      const format = parseExportFormat(req.query);
+      const cursor = applicationCollection
+        .find(buildApplicationQuery(req.query, { user: req.user }), {
+          projection: exportProjection(EXPORT_COLUMNS),
+        })
+        .sort(buildApplicationSort(req.query));
+      sendExport(res, cursor, {
+        format,
+        columns: EXPORT_COLUMNS,
+        filename: "applications",
+      });
+    })
+  );
+
+  router.get(
+    "/applications/:id",
+    verifyToken,
+    authorize({ roles: STAFF, isOwner: ownsApplication }),
+    asyncHandler(async (req, res) => {
+      const result = await findByIdOr404(
+        applicationCollection,
+        req.params.id,
+        "Application"
+      );
+      res.json(result);
+    })
+  );
+
+  router.get(
+    "/users/:email/applications",
+    verifyToken,
+    authorize({ roles: STAFF, isOwner: ownsEmailParam }),
+    asyncHandler(async (req, res) => {
+      const email = req.params.email;
+      const result = await applicationCollection
+        .find({ userEmail: email.toLowerCase(), deletedAt: null })
+        .sort({ appliedAt: -1, _id: -1 })
+        .toArray();
+      res.json(result);
+    })
+  );
+
+  router.patch(
+    "/applications/:id",
+    verifyToken,
+    authorize({ roles: ["admin"], isOwner: ownsApplication }),
+    validateBody(SCHEMAS.applicationUpdate, { partial: true }),
+    asyncHandler(async (req, res) => {
+      const id = req.params.id;
+      const result = await applicationCollection.updateOne(
+        { _id: new ObjectId(id), deletedAt: null },
+        { $set: req.body }
+      );
+      if (result.matchedCount === 0) {
+        throw new HttpError(404, "Application not found");
+      }
+      res.json({ success: true, modifiedCount: result.modifiedCount });
+    })
+  );
+
+  router.patch(
+    "/applications/:id/status",
+    verifyToken,
+    verifyModerator,
+    asyncHandler(async (req, res) => {
+      const { status, note } = req.body;
+      const application = await findByIdOr404(
+        applicationCollection,
+        req.params.id,
+        "Application"
+      );
+
+      assertAssignee(application, req);
+      const invalid = checkStatusTransition(application, status);
+      if (invalid) throw new HttpError(409, invalid);
+
+      const now = new Date().toISOString();
+      const entry = {
+        type: "status",
+        from: application.applicationStatus || "pending",
+        to: status,
+        by: req.user.email,
+        at: now,
+        ...(note && { note }),
+      };
+
+      // Matching on the old status and assignee keeps two moderators from
+      // both applying a transition from the same starting point. Working an
+      // unclaimed application claims it.
+      const result = await applicationCollection.updateOne(
+        {
+          _id: application._id,
+          applicationStatus: application.applicationStatus,
+          assignedTo: application.assignedTo || null,
+        },
+        {
+          $set: {
+            applicationStatus: status,
+            assignedTo: application.assignedTo || req.user.email.toLowerCase(),
+            updatedAt: now,
+          },
+          $push: { statusHistory: entry },
+        }
+      );
+      if (result.modifiedCount === 0) {
+        throw new HttpError(409, "Application changed, please retry");
+      }
+      await audit.record(req, {
+        action: "application.status.update",
+        collection: "application",
+        id: application._id,
+        before: {
+          applicationStatus: entry.from,
+          assignedTo: application.assignedTo || null,
+        },
+        after: {
+          applicationStatus: status,
+          assignedTo: application.assignedTo || req.user.email.toLowerCase(),
+        },
+        ...(note && { details: { note } }),
+      });
+      statusEvents(application, entry.from, status).forEach(events.publish);
+
+      await notifier.notify({
+        userEmail: application.userEmail || application.applicantEmail,
+        type: "application_status",
+        title: `Application ${status}`,
+        message: `Your application to ${
+          application.universityName
+        } is now ${status}.${note ? ` Note: ${note}` : ""}`,
+        data: {
+          applicationId: String(application._id),
+          from: entry.from,
+          to: status,
+        },
+      });
+
+      res.json({ success: true, modifiedCount: result.modifiedCount });
+    })
+  );
+
+  router.patch(
+    "/applications/:id/feedback",
+    verifyToken,
+    verifyModerator,
+    validateBody(SCHEMAS.feedback),
+    asyncHandler(async (req, res) => {
+      const { feedback } = req.body;
+      const application = await findByIdOr404(
+        applicationCollection,
+        req.params.id,
+        "Application",
+        {
+          projection: {
+            applicationStatus: 1,
+            assignedTo: 1,
+            feedback: 1,
+            universityName: 1,
+            userEmail: 1,
+            applicantEmail: 1,
+          },
+        }
+      );
+      assertAssignee(application, req);
+
+      const now = new Date().toISOString();
+      const status = application.applicationStatus || "pending";
+      const result = await applicationCollection.updateOne(
+        { _id: application._id },
+        {
+          $set: { feedback, updatedAt: now },
+          $push: {
+            statusHistory: {
+              type: "feedback",
+              from: status,
+              to: status,
+              by: req.user.email,
+              at: now,
+              note: feedback,
+            },
+          },
+        }
+      );
+
+      await audit.record(req, {
+        action: "application.feedback.update",
+        collection: "application",
+        id: application._id,
+        before: { feedback: application.feedback },
+        after: { feedback },
+      });
+
+      if (feedback !== application.feedback) {
+        events.publish({
+          type: "application.feedback",
+          to: {
+            emails: [application.userEmail || application.applicantEmail],
+          },
+          data: { applicationId: String(application._id), feedback },
+        });
+        await notifier.notify({
+          userEmail: application.userEmail || application.applicantEmail,
+          type: "application_feedback",
+          title: "New feedback on your application",
+          message: `A moderator left feedback on your application to ${application.universityName}: ${feedback}`,
+          data: { applicationId: String(application._id) },
+        });
+      }
+
+      res.json({ success: true, modifiedCount: result.modifiedCount });
+    })
+  );
+
+  router.post(
+    "/applications/:id/claim",
+    verifyToken,
+    verifyModerator,
+    asyncHandler(async (req, res) => {
+      const email = req.user.email.toLowerCase();
+      const application = await findByIdOr404(
+        applicationCollection,
+        req.params.id,
+        "Application",
+        { projection: { applicationStatus: 1, assignedTo: 1 } }
+      );
+      assertAssignee(application, req);
+      if (application.assignedTo) return res.json({ assignedTo: email });
+
+      const now = new Date().toISOString();
+      const result = await applicationCollection.updateOne(
+        { _id: application._id, assignedTo: null },
+        {
+          $set: { assignedTo: email, assignedAt: now, updatedAt: now },
+          $push: {
+            statusHistory: assignmentEntry(application, req, email, now),
+          },
+        }
+      );
+      if (result.modifiedCount === 0) {
+        throw new HttpError(409, "Application was claimed by someone else");
+      }
+      await recordAssignment(req, application, email);
+      res.json({ assignedTo: email });
+    })
+  );
+
+  router.post(
+    "/applications/:id/release",
+    verifyToken,
+    authorize({ roles: STAFF }),
+    asyncHandler(async (req, res) => {
+      const application = await findByIdOr404(
+        applicationCollection,
+        req.params.id,
+        "Application",
+        { projection: { applicationStatus: 1, assignedTo: 1 } }
+      );
+      if (!application.assignedTo) return res.json({ assignedTo: null });
+      if (req.role !== "admin") assertAssignee(application, req);
+
+      const now = new Date().toISOString();
+      await applicationCollection.updateOne(
+        { _id: application._id },
+        {
+          $set: { assignedTo: null, assignedAt: null, updatedAt: now },
+          $push: {
+            statusHistory: assignmentEntry(application, req, null, now),
+          },
+        }
+      );
+      await recordAssignment(req, application, null);
+      res.json({ assignedTo: null });
+    })
+  );
+
+  router.patch(
+    "/applications/:id/assignee",
+    verifyToken,
+    verifyAdmin,
+    asyncHandler(async (req, res) => {
+      const assignedTo = req.body?.assignedTo?.toLowerCase?.() || null;
+      if (assignedTo && (await getUserRole(assignedTo)) !== "moderator") {
+        throw new HttpError(400, "assignedTo must be a moderator's email");
+      }
+      const application = await findByIdOr404(
+        applicationCollection,
+        req.params.id,
+        "Application",
+        { projection: { applicationStatus: 1, assignedTo: 1 } }
+      );
+
+      const now = new Date().toISOString();
+      await applicationCollection.updateOne(
+        { _id: application._id },
+        {
+          $set: {
+            assignedTo,
+            assignedAt: assignedTo ? now : null,
+            updatedAt: now,
+          },
+          $push: {
+            statusHistory: assignmentEntry(application, req, assignedTo, now),
+          },
+        }
+      );
+      await recordAssignment(req, application, assignedTo);
+      res.json({ assignedTo });
+    })
+  );
+
+  // Students withdraw their own open applications. The withdrawal is claimed
+  // first, so a status change made meanwhile can't leave a refunded
+  // application open. A paid one is then refunded as WITHDRAWAL_REFUNDS
+  // allows, and a failed refund puts the application back as it was.
+  router.post(
+    "/applications/:id/withdraw",
+    verifyToken,
+    authorize({ isOwner: ownsApplication }),
+    validateBody(SCHEMAS.withdrawal),
+    asyncHandler(async (req, res) => {
+      const { reason } = req.body;
+      const application = await findByIdOr404(
+        applicationCollection,
+        req.params.id,
+        "Application",
+        { projection: { statusHistory: 0 } }
+      );
+      const from = application.applicationStatus || "pending";
+      if (!Object.hasOwn(WITHDRAWAL_REFUNDS, from)) {
+        throw new HttpError(409, `A ${from} application can't be withdrawn`, {
+          code: "CANNOT_WITHDRAW",
+        });
+      }
+
+      const now = new Date().toISOString();
+      const result = await applicationCollection.updateOne(
+        {
+          _id: application._id,
+          applicationStatus: application.applicationStatus,
+        },
+        {
+          $set: {
+            applicationStatus: "withdrawn",
+            withdrawnAt: now,
+            updatedAt: now,
+          },
+          $push: {
+            statusHistory: {
+              type: "status",
+              from,
+              to: "withdrawn",
+              by: req.user.email,
+              at: now,
+              ...(reason && { note: reason }),
+            },
+          },
+        }
+      );
+      if (result.modifiedCount === 0) {
+        throw new HttpError(409, "Application changed, please retry");
+      }
+
+      let refund = null;
+      if (!checkRefundable(application)) {
+        const [payment, scholarship] = await Promise.all([
+          paymentsCollection.findOne({
+            paymentIntentId: application.transactionId,
+          }),
+          ObjectId.isValid(application.scholarshipId)
+            ? scholarshipsCollection.findOne({
+                _id: new ObjectId(application.scholarshipId),
+              })
+            : null,
+        ]);
+        const amount = withdrawalAmount(application, { payment, scholarship });
+        if (amount !== 0) {
+          try {
+            refund = await requestRefund({ stripe, collections }, application, {
+              amount,
+              reason: "withdrawn",
+              by: req.user.email,
+            });
+          } catch (error) {
+            await applicationCollection.updateOne(
+              { _id: application._id, applicationStatus: "withdrawn" },
+              {
+                $set: {
+                  applicationStatus: application.applicationStatus,
+                  updatedAt: new Date().toISOString(),
+                },
+                $unset: { withdrawnAt: "" },
+                $pull: { statusHistory: { type: "status", at: now } },
+              }
+            );
+            throw error;
+          }
+        }
+      }
+
+      statusEvents(application, from, "withdrawn").forEach(events.publish);
+      res.json({ applicationStatus: "withdrawn", refund });
+    })
+  );
+
+  // Admins may refund any paid application, in full or in part. `amount` is
+  // in the currency's minor unit and defaults to what is left of the payment.
+  router.post(
+    "/applications/:id/refund",
+    verifyToken,
+    verifyAdmin,
+    validateBody(SCHEMAS.refund),
+    asyncHandler(async (req, res) => {
+      const { amount, reason } = req.body;
+      const application = await findByIdOr404(
+        applicationCollection,
+        req.params.id,
+        "Application",
+        { projection: { statusHistory: 0 } }
+      );
+
+      const refund = await requestRefund({ stripe, collections }, application, {
+        amount,
+        reason,
+        by: req.user.email,
+      });
+      await audit.record(req, {
+        action: "application.refund",
+        collection: "application",
+        id: application._id,
+        before: { paymentStatus: application.paymentStatus },
+        after: { paymentStatus: refund.paymentStatus },
+        details: { refundId: refund.id, amount: refund.amount, reason },
+      });
+      await notifier.notify({
+        userEmail: application.userEmail || application.applicantEmail,
+        type: "application_refund",
+        title: "Refund issued",
+        message: `Your payment for ${application.universityName} has been ${
+          refund.paymentStatus === "refunded" ? "refunded" : "partly refunded"
+        }.`,
+        data: {
+          applicationId: String(application._id),
+          refundId: refund.id,
+          amount: refund.amount,
+        },
+      });
+      res.json(refund);
+    })
+  );
+
+  router.get(
+    "/applications/:id/history",
+    verifyToken,
+    authorize({ roles: STAFF, isOwner: ownsApplication }),
+    asyncHandler(async (req, res) => {
+      const application = await findByIdOr404(
+        applicationCollection,
+        req.params.id,
+        "Application",
+        { projection: { statusHistory: 1 } }
+      );
+
+      const history = [...(application.statusHistory || [])].sort((a, b) =>
+        a.at.localeCompare(b.at)
+      );
+      res.json(history);
+    })
+  );
+
+  // Whether the caller has applied to the scholarship
+  router.get(
+    "/scholarships/:id/application",
+    verifyToken,
+    asyncHandler(async (req, res) => {
+      const existingApplication = await applicationCollection.findOne({
+        scholarshipId: req.params.id,
+        userEmail: req.user.email.toLowerCase(),
+        deletedAt: null,
+      });
+
+      res.json({
+        hasApplied: !!existingApplication,
+        application: existingApplication,
+      });
+    })
+  );
+
+  // Attachments stay in storage until the purge job removes the record
+  router.delete(
+    "/applications/:id",
+    verifyToken,
+    authorize({ roles: ["admin"], isOwner: ownsApplication }),
+    asyncHandler(async (req, res) => {
+      const id = req.params.id;
+      const application = await softDelete(applicationCollection, id, req, {
+        projection: { statusHistory: 0 },
+      });
+      if (!application) throw new HttpError(404, "Application not found");
+
+      await audit.record(req, {
+        action: "application.delete",
+        collection: "application",
+        id,
+        before: application,
+      });
+      events.publish(
+        statsDelta({
+          totalApplications: -1,
+          [application.applicationStatus || "pending"]: -1,
+        })
+      );
+      res.json({ success: true, deletedCount: 1 });
+    })
+  );
+
+  router.post(
+    "/applications/:id/restore",
+    verifyToken,
+    verifyAdmin,
+    asyncHandler(async (req, res) => {
+      const id = req.params.id;
+      let application;
+      try {
+        application = await restoreDeleted(applicationCollection, id, {
+          projection: { deletedAt: 1, applicationStatus: 1 },
+        });
+      } catch (error) {
+        if (error.code === 11000) {
+          throw new HttpError(
+            409,
+            "The student has applied to this scholarship again",
+            { code: "DUPLICATE_APPLICATION" }
+          );
+        }
+        throw error;
+      }
+      if (!application)
+        throw new HttpError(404, "Deleted application not found");
+
+      await audit.record(req, {
+        action: "application.restore",
+        collection: "application",
+        id,
+        details: { deletedAt: application.deletedAt },
+      });
+      events.publish(
+        statsDelta({
+          totalApplications: 1,
+          [application.applicationStatus || "pending"]: 1,
+        })
+      );
+      res.json({ success: true, restored: true });
+    })
+  );
+
+  return router;
+};
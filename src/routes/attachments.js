@@ -0,0 +1,234 @@
+const path = require("path");
+const express = require("express");
+const multer = require("multer");
+const { ObjectId } = require("mongodb");
+const {
+  HttpError,
+  asyncHandler,
+  findByIdOr404,
+  validateObjectId,
+} = require("../errors");
+const { STAFF } = require("../access");
+const { SCHEMAS, validatePayload } = require("../validation");
+const { removeFiles } = require("../storage");
+
+// Accepted types, the extension they are stored under and the bytes their
+// files start with. The declared type has to match the content.
+const FILE_TYPES = {
+  "application/pdf": { ext: ".pdf", magic: Buffer.from("%PDF-") },
+  "image/png": { ext: ".png", magic: Buffer.from([0x89, 0x50, 0x4e, 0x47]) },
+  "image/jpeg": { ext: ".jpg", magic: Buffer.from([0xff, 0xd8, 0xff]) },
+};
+const MAX_FILES_PER_UPLOAD = 5;
+const MAX_ATTACHMENTS = 20;
+
+const unsupportedType = (file) =>
+  new HttpError(415, `${file.originalname} must be a PDF, PNG or JPEG`, {
+    code: "UNSUPPORTED_FILE_TYPE",
+  });
+
+module.exports = ({ collections, access, storage, config }) => {
+  const { applicationCollection } = collections;
+  const { verifyToken, authorize, ownsApplication } = access;
+  const router = express.Router();
+  router.param("id", validateObjectId);
+  router.param("attachmentId", validateObjectId);
+
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: config.uploadMaxBytes, files: MAX_FILES_PER_UPLOAD },
+    fileFilter: (req, file, callback) =>
+      Object.hasOwn(FILE_TYPES, file.mimetype)
+        ? callback(null, true)
+        : callback(unsupportedType(file)),
+  }).array("files", MAX_FILES_PER_UPLOAD);
+
+  // Multipart bodies arrive as req.files, with multer's errors turned into
+  // client errors
+  const receiveFiles = (req, res, next) =>
+    upload(req, res, (error) => {
+      if (error instanceof multer.MulterError) {
+        const tooLarge = error.code === "LIMIT_FILE_SIZE";
+        return next(
+          new HttpError(tooLarge ? 413 : 400, error.message, {
+            code: tooLarge ? "FILE_TOO_LARGE" : "INVALID_UPLOAD",
+          })
+        );
+      }
+      next(error);
+    });
+
+  const findAttachment = async (req) => {
+    const application = await findByIdOr404(
+      applicationCollection,
+      req.params.id,
+      "Application",
+      { projection: { attachments: 1 } }
+    );
+    const attachment = (application.attachments || []).find((a) =>
+      a._id.equals(req.params.attachmentId)
+    );
+    if (!attachment) throw new HttpError(404, "Attachment not found");
+    return attachment;
+  };
+
+  router.post(
+    "/applications/:id/attachments",
+    verifyToken,
+    authorize({ roles: ["admin"], isOwner: ownsApplication }),
+    receiveFiles,
+    asyncHandler(async (req, res) => {
+      const { data, errors } = validatePayload(SCHEMAS.attachment, req.body);
+      if (errors.length) {
+        throw new HttpError(400, "Validation failed", {
+          code: "VALIDATION_FAILED",
+          errors,
+        });
+      }
+      const files = req.files || [];
+      if (!files.length) throw new HttpError(400, "No files uploaded");
+      for (const file of files) {
+        const { magic } = FILE_TYPES[file.mimetype];
+        if (!file.buffer.subarray(0, magic.length).equals(magic)) {
+          throw unsupportedType(file);
+        }
+      }
+
+      const application = await findByIdOr404(
+        applicationCollection,
+        req.params.id,
+        "Application",
+        { projection: { attachments: 1 } }
+      );
+      if (
+        (application.attachments || []).length + files.length >
+        MAX_ATTACHMENTS
+      ) {
+        throw new HttpError(
+          409,
+          `Applications can hold at most ${MAX_ATTACHMENTS} attachments`
+        );
+      }
+
+      const now = new Date().toISOString();
+      const attachments = files.map((file) => {
+        const _id = new ObjectId();
+        return {
+          _id,
+          kind: data.kind,
+          filename: path.basename(file.originalname).slice(0, 255),
+          contentType: file.mimetype,
+          size: file.size,
+          key: `applications/${application._id}/${_id}${
+            FILE_TYPES[file.mimetype].ext
+          }`,
+          storage: storage.name,
+          uploadedBy: req.user.email,
+          uploadedAt: now,
+        };
+      });
+
+      // Files go first so a stored attachment always has its file; anything
+      // saved before a failure is cleaned up again
+      try {
+        for (const [i, attachment] of attachments.entries()) {
+          await storage.save(attachment.key, files[i].buffer, {
+            contentType: attachment.contentType,
+          });
+        }
+        const result = await applicationCollection.updateOne(
+          { _id: application._id },
+          { $push: { attachments: { $each: attachments } } }
+        );
+        if (result.matchedCount === 0) {
+          throw new HttpError(404, "Application not found");
+        }
+      } catch (error) {
+        await removeFiles(
+          storage,
+          attachments.map((a) => a.key)
+        );
+        throw error;
+      }
+
+      res.json({ attachments });
+    })
+  );
+
+  router.get(
+    "/applications/:id/attachments",
+    verifyToken,
+    authorize({ roles: STAFF, isOwner: ownsApplication }),
+    asyncHandler(async (req, res) => {
+      const application = await findByIdOr404(
+        applicationCollection,
+        req.params.id,
+        "Application",
+        { projection: { attachments: 1 } }
+      );
+      res.json(application.attachments || []);
+    })
+  );
+
+  router.get(
+    "/applications/:id/attachments/:attachmentId/url",
+    verifyToken,
+    authorize({ roles: STAFF, isOwner: ownsApplication }),
+    asyncHandler(async (req, res) => {
+      const attachment = await findAttachment(req);
+      const expiresIn = config.downloadUrlSeconds;
+      const url = await storage.getSignedUrl(attachment.key, {
+        expiresIn,
+        filename: attachment.filename,
+        contentType: attachment.contentType,
+      });
+      res.json({
+        url,
+        expiresAt: new Date(Date.now() + expiresIn * 1000).toISOString(),
+      });
+    })
+  );
+
+  router.delete(
+    "/applications/:id/attachments/:attachmentId",
+    verifyToken,
+    authorize({ roles: ["admin"], isOwner: ownsApplication }),
+    asyncHandler(async (req, res) => {
+      const attachment = await findAttachment(req);
+      const result = await applicationCollection.updateOne(
+        { _id: new ObjectId(req.params.id) },
+        { $pull: { attachments: { _id: attachment._id } } }
+      );
+      await removeFiles(storage, [attachment.key]);
+      res.json({ success: true, modifiedCount: result.modifiedCount });
+    })
+  );
+
+  // Signed download links for backends without their own, i.e. local disk.
+  // The token is the only credential.
+  router.get("/files/:token", (req, res, next) => {
+    if (!storage.verifyToken) return next();
+    const claims = storage.verifyToken(req.params.token);
+    if (!claims) {
+      return next(
+        new HttpError(403, "Download link is invalid or has expired", {
+          code: "INVALID_DOWNLOAD_LINK",
+        })
+      );
+    }
+
+    const stream = storage.createReadStream(claims.key);
+    stream.on("error", (error) =>
+      next(
+        error.code === "ENOENT" ? new HttpError(404, "File not found") : error
+      )
+    );
+    stream.on("open", () => {
+      res.attachment(claims.filename);
+      res.type(claims.contentType);
+      stream.pipe(res);
+    });
+  });
+
+  return router;
+};
@@ -0,0 +1,86 @@
+const express = require("express");
+const { asyncHandler } = require("../errors");
+const { parsePagination } = require("../pagination");
+const { parseDateRange } = require("../dateRange");
+const { parseExportFormat, sendExport, exportProjection } = require("../bulk");
+
+const EXPORT_COLUMNS = [
+  "at",
+  "action",
+  "actor.email",
+  "actor.role",
+  "target.collection",
+  "target.id",
+  "changes",
+  "details",
+  "ip",
+  "requestId",
+];
+
+// `action` takes several values comma separated; `from` and `to` bound `at`
+const buildAuditQuery = (query) => {
+  const filter = {};
+  if (query.actor) filter["actor.email"] = String(query.actor).toLowerCase();
+  if (query.action) {
+    filter.action = {
+      $in: String(query.action)
+        .split(",")
+        .map((a) => a.trim()),
+    };
+  }
+  if (query.collection) filter["target.collection"] = String(query.collection);
+  if (query.targetId) filter["target.id"] = String(query.targetId);
+  const at = parseDateRange(query);
+  if (at) filter.at = at;
+  return filter;
+};
+
+module.exports = ({ collections, access }) => {
+  const { auditCollection } = collections;
+  const { verifyToken, verifyAdmin } = access;
+  const router = express.Router();
+
+  router.get(
+    "/admin/audit",
+    verifyToken,
+    verifyAdmin,
+    asyncHandler(async (req, res) => {
+      const filter = buildAuditQuery(req.query);
+      const { page, pageSize, skip } = parsePagination(req.query, {
+        defaultSize: 50,
+        maxSize: 200,
+      });
+      const [items, total] = await Promise.all([
+        auditCollection
+          .find(filter)
+          .sort({ at: -1, _id: -1 })
+          .skip(skip)
+          .limit(pageSize)
+          .toArray(),
+        auditCollection.countDocuments(filter),
+      ]);
+      res.json({ items, total, page, pageSize });
+    })
+  );
+
+  router.get(
+    "/admin/audit/export",
+    verifyToken,
+    verifyAdmin,
+    asyncHandler(async (req, res) => {
+      const format = parseExportFormat(req.query);
+      const cursor = auditCollection
+        .find(buildAuditQuery(req.query), {
+          projection: exportProjection(EXPORT_COLUMNS),
+        })
+        .sort({ at: 1, _id: 1 });
+      sendExport(res, cursor, {
+        format,
+        columns: EXPORT_COLUMNS,
+        filename: "audit-log",
+      });
+    })
+  );
+
+  return router;
+};
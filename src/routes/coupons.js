@@ -0,0 +1,148 @@
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const {
+  HttpError,
+  asyncHandler,
+  findByIdOr404,
+  validateObjectId,
+} = require("../errors");
+const { SCHEMAS, validateBody } = require("../validation");
+const { diffDocuments } = require("../audit");
+
+// Checks what the schema can't: the value each coupon type needs
+const checkCouponValue = (coupon) => {
+  if (coupon.type === "percent" && !(coupon.value > 0 && coupon.value <= 100)) {
+    return "Percent coupons need a value from 1 to 100";
+  }
+  if (coupon.type === "fixed" && !(coupon.value > 0 && coupon.currency)) {
+    return "Fixed coupons need a value and a currency";
+  }
+  return null;
+};
+
+const duplicateCode = () =>
+  new HttpError(409, "A coupon with this code already exists", {
+    code: "DUPLICATE_COUPON",
+  });
+
+// Admin-managed coupons for checkout. Codes are matched case-insensitively
+// and stored upper case; `uses` counts completed payments and waivers.
+module.exports = ({ collections, access, audit }) => {
+  const { couponsCollection } = collections;
+  const { verifyToken, verifyAdmin } = access;
+  const router = express.Router();
+  router.param("id", validateObjectId);
+
+  router.get(
+    "/admin/coupons",
+    verifyToken,
+    verifyAdmin,
+    asyncHandler(async (req, res) => {
+      const coupons = await couponsCollection
+        .find()
+        .sort({ createdAt: -1 })
+        .toArray();
+      res.json(coupons);
+    })
+  );
+
+  router.post(
+    "/admin/coupons",
+    verifyToken,
+    verifyAdmin,
+    validateBody(SCHEMAS.coupon),
+    asyncHandler(async (req, res) => {
+      const invalid = checkCouponValue(req.body);
+      if (invalid) throw new HttpError(400, invalid);
+
+      const coupon = {
+        ...req.body,
+        code: req.body.code.toUpperCase(),
+        active: req.body.active ?? true,
+        uses: 0,
+        createdBy: req.user.email,
+        createdAt: new Date().toISOString(),
+      };
+      let result;
+      try {
+        result = await couponsCollection.insertOne(coupon);
+      } catch (error) {
+        if (error.code === 11000) throw duplicateCode();
+        throw error;
+      }
+
+      await audit.record(req, {
+        action: "coupon.create",
+        collection: "coupons",
+        id: result.insertedId,
+        after: coupon,
+      });
+      res.json({ insertedId: result.insertedId });
+    })
+  );
+
+  router.patch(
+    "/admin/coupons/:id",
+    verifyToken,
+    verifyAdmin,
+    validateBody(SCHEMAS.coupon, { partial: true }),
+    asyncHandler(async (req, res) => {
+      const id = req.params.id;
+      const current = await findByIdOr404(couponsCollection, id, "Coupon");
+      const updates = {
+        ...req.body,
+        ...(req.body.code && { code: req.body.code.toUpperCase() }),
+      };
+      const after = { ...current, ...updates };
+      const invalid = checkCouponValue(after);
+      if (invalid) throw new HttpError(400, invalid);
+
+      try {
+        await couponsCollection.updateOne(
+          { _id: new ObjectId(id) },
+          { $set: { ...updates, updatedAt: new Date().toISOString() } }
+        );
+      } catch (error) {
+        if (error.code === 11000) throw duplicateCode();
+        throw error;
+      }
+
+      await audit.record(req, {
+        action: "coupon.update",
+        collection: "coupons",
+        id,
+        before: current,
+        after,
+      });
+      res.json({
+        success: true,
+        modifiedCount: Object.keys(diffDocuments(current, after)).length
+          ? 1
+          : 0,
+      });
+    })
+  );
+
+  router.delete(
+    "/admin/coupons/:id",
+    verifyToken,
+    verifyAdmin,
+    asyncHandler(async (req, res) => {
+      const id = req.params.id;
+      const coupon = await couponsCollection.findOneAndDelete({
+        _id: new ObjectId(id),
+      });
+      if (!coupon) throw new HttpError(404, "Coupon not found");
+
+      await audit.record(req, {
+        action: "coupon.delete",
+        collection: "coupons",
+        id,
+        before: coupon,
+      });
+      res.json({ success: true, deletedCount: 1 });
+    })
+  );
+
+  return router;
+};
@@ -0,0 +1,59 @@
+const express = require("express");
+const { asyncHandler } = require("../errors");
+const { isRecipient } = require("../events");
+
+// Server-sent events for dashboards. Each event arrives as
+//   id: <n>, event: <type>, data: <JSON with `at`>
+// and a comment line keeps idle connections open through proxies.
+module.exports = ({ access, events, config }) => {
+  const { verifyToken, getUserRole } = access;
+  const router = express.Router();
+
+  // EventSource can't send headers, so browsers may pass the ID token as
+  // ?access_token instead
+  const tokenFromQuery = (req, res, next) => {
+    const token = req.query.access_token;
+    if (!req.headers.authorization && typeof token === "string") {
+      req.headers.authorization = `Bearer ${token}`;
+    }
+    next();
+  };
+
+  router.get(
+    "/events",
+    tokenFromQuery,
+    verifyToken,
+    asyncHandler(async (req, res) => {
+      const user = {
+        email: req.user.email,
+        role: await getUserRole(req.user.email),
+      };
+
+      res.set({
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache, no-transform",
+        Connection: "keep-alive",
+        "X-Accel-Buffering": "no",
+      });
+      res.flushHeaders();
+      res.write(": connected\n\n");
+
+      const unsubscribe = events.subscribe((event) => {
+        if (!isRecipient(event, user)) return;
+        const data = JSON.stringify({ ...event.data, at: event.at });
+        res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${data}\n\n`);
+      });
+      const heartbeat = setInterval(
+        () => res.write(": ping\n\n"),
+        config.eventsHeartbeatMs
+      );
+
+      res.on("close", () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+      });
+    })
+  );
+
+  return router;
+};
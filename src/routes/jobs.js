@@ -0,0 +1,110 @@
+const crypto = require("crypto");
+const express = require("express");
+const { HttpError, asyncHandler } = require("../errors");
+const { runDeadlineReminders } = require("../jobs/deadlineReminders");
+const { purgeDeleted } = require("../jobs/purgeDeleted");
+const { advanceScholarships } = require("../jobs/scholarshipLifecycle");
+
+module.exports = ({ collections, access, notifier, storage, config }) => {
+  const { verifyToken, verifyAdmin } = access;
+  const router = express.Router();
+
+  // Vercel Cron calls GET with `Authorization: Bearer $CRON_SECRET`. Without
+  // a configured secret the cron routes stay closed.
+  const verifyCronSecret = (req, res, next) => {
+    const expected = Buffer.from(`Bearer ${config.cronSecret || ""}`);
+    const given = Buffer.from(req.get("authorization") || "");
+    if (
+      !config.cronSecret ||
+      given.length !== expected.length ||
+      !crypto.timingSafeEqual(given, expected)
+    ) {
+      return next(new HttpError(401, "Unauthorized"));
+    }
+    next();
+  };
+
+  router.get(
+    "/cron/deadline-reminders",
+    verifyCronSecret,
+    asyncHandler(async (req, res) => {
+      const result = await runDeadlineReminders(collections, {
+        days: config.reminderDays,
+      });
+      const { delivered } = await notifier.deliverQueued();
+      res.json({ ...result, delivered });
+    })
+  );
+
+  // Manual trigger for admins, optionally with a different window
+  router.post(
+    "/admin/jobs/deadline-reminders",
+    verifyToken,
+    verifyAdmin,
+    asyncHandler(async (req, res) => {
+      const days = req.body?.days ?? config.reminderDays;
+      if (!Number.isInteger(days) || days < 0 || days > 60) {
+        throw new HttpError(400, "days must be a whole number from 0 to 60");
+      }
+      const result = await runDeadlineReminders(collections, { days });
+      const { delivered } = await notifier.deliverQueued();
+      res.json({ ...result, delivered });
+    })
+  );
+
+  router.get(
+    "/cron/purge-deleted",
+    verifyCronSecret,
+    asyncHandler(async (req, res) => {
+      const result = await purgeDeleted(collections, {
+        storage,
+        retentionDays: config.retentionDays,
+      });
+      res.json(result);
+    })
+  );
+
+  // Manual trigger for admins; `retentionDays: 0` purges everything deleted
+  router.post(
+    "/admin/jobs/purge-deleted",
+    verifyToken,
+    verifyAdmin,
+    asyncHandler(async (req, res) => {
+      const retentionDays = req.body?.retentionDays ?? config.retentionDays;
+      if (
+        !Number.isInteger(retentionDays) ||
+        retentionDays < 0 ||
+        retentionDays > 3650
+      ) {
+        throw new HttpError(
+          400,
+          "retentionDays must be a whole number from 0 to 3650"
+        );
+      }
+      const result = await purgeDeleted(collections, {
+        storage,
+        retentionDays,
+      });
+      res.json(result);
+    })
+  );
+
+  router.get(
+    "/cron/scholarship-lifecycle",
+    verifyCronSecret,
+    asyncHandler(async (req, res) => {
+      res.json(await advanceScholarships(collections));
+    })
+  );
+
+  router.post(
+    "/admin/jobs/scholarship-lifecycle",
+    verifyToken,
+    verifyAdmin,
+    asyncHandler(async (req, res) => {
+      res.json(await advanceScholarships(collections));
+    })
+  );
+
+  return router;
+};
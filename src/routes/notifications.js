@@ -0,0 +1,79 @@
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const { HttpError, asyncHandler, validateObjectId } = require("../errors");
+const { parsePagination } = require("../pagination");
+
+module.exports = ({ collections, access }) => {
+  const { notificationsCollection } = collections;
+  const { verifyToken } = access;
+  const router = express.Router();
+  router.param("id", validateObjectId);
+
+  const countUnread = (userEmail) =>
+    notificationsCollection.countDocuments({ userEmail, read: false });
+
+  router.get(
+    "/notifications",
+    verifyToken,
+    asyncHandler(async (req, res) => {
+      const userEmail = req.user.email.toLowerCase();
+      const { page, pageSize, skip } = parsePagination(req.query, {
+        defaultSize: 20,
+      });
+      const filter = { userEmail };
+      if (req.query.unread === "true") filter.read = false;
+
+      const [items, total, unread] = await Promise.all([
+        notificationsCollection
+          .find(filter)
+          .sort({ createdAt: -1, _id: -1 })
+          .skip(skip)
+          .limit(pageSize)
+          .toArray(),
+        notificationsCollection.countDocuments(filter),
+        countUnread(userEmail),
+      ]);
+      res.json({ items, total, unread, page, pageSize });
+    })
+  );
+
+  router.get(
+    "/notifications/unread-count",
+    verifyToken,
+    asyncHandler(async (req, res) => {
+      res.json({ unread: await countUnread(req.user.email.toLowerCase()) });
+    })
+  );
+
+  router.patch(
+    "/notifications/:id/read",
+    verifyToken,
+    asyncHandler(async (req, res) => {
+      const result = await notificationsCollection.updateOne(
+        {
+          _id: new ObjectId(req.params.id),
+          userEmail: req.user.email.toLowerCase(),
+        },
+        { $set: { read: true, readAt: new Date().toISOString() } }
+      );
+      if (result.matchedCount === 0) {
+        throw new HttpError(404, "Notification not found");
+      }
+      res.json({ success: true, modifiedCount: result.modifiedCount });
+    })
+  );
+
+  router.post(
+    "/notifications/read-all",
+    verifyToken,
+    asyncHandler(async (req, res) => {
+      const result = await notificationsCollection.updateMany(
+        { userEmail: req.user.email.toLowerCase(), read: false },
+        { $set: { read: true, readAt: new Date().toISOString() } }
+      );
+      res.json({ success: true, modifiedCount: result.modifiedCount });
+    })
+  );
+
+  return router;
+};
@@ -0,0 +1,504 @@
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const { HttpError, asyncHandler, findByIdOr404 } = require("../errors");
+const { DEFAULT_CURRENCY, toMinorUnits } = require("../money");
+const { checkCoupon, applyCoupon } = require("../coupons");
+const { STAFF } = require("../access");
+const { OPEN_STATUSES } = require("../applicationStatus");
+
+// A session holds its coupon use until it is paid or expires, so sessions
+// live just over Stripe's 30 minute minimum, counted from when it gets the
+// request.
+const CHECKOUT_SESSION_SECONDS = 31 * 60;
+
+// Only unpaid applications still being decided on can be charged
+const PAYABLE = {
+  paymentStatus: "unpaid",
+  applicationStatus: { $in: OPEN_STATUSES },
+};
+
+module.exports = ({
+  collections,
+  access,
+  stripe,
+  config,
+  rateLimit,
+  events,
+}) => {
+  const {
+    applicationCollection,
+    scholarshipsCollection,
+    paymentsCollection,
+    stripeEventsCollection,
+    couponsCollection,
+  } = collections;
+  const { verifyToken } = access;
+  const router = express.Router();
+
+  // Checkouts and full waivers both end here, so a waived application looks
+  // paid like any other. Applications that stopped being payable after
+  // checkout began are left as they are.
+  const markApplicationPaid = async (
+    applicationId,
+    { transactionId, amount, currency, now }
+  ) => {
+    const result = await applicationCollection.updateOne(
+      { _id: new ObjectId(applicationId), ...PAYABLE },
+      {
+        $set: {
+          paymentStatus: "paid",
+          transactionId,
+          paidAt: now,
+          updatedAt: now,
+        },
+      }
+    );
+    if (result.modifiedCount) {
+      events.publish({
+        type: "payment.completed",
+        to: { roles: STAFF },
+        data: { applicationId, amount, currency },
+      });
+    }
+    return result.modifiedCount > 0;
+  };
+
+  // Takes one use of `coupon` up front, so two checkouts can't both have its
+  // last use. Handed back with releaseCouponUse when the payment falls through.
+  const reserveCouponUse = async (coupon) => {
+    const used = await couponsCollection.updateOne(
+      {
+        _id: coupon._id,
+        ...(coupon.maxUses && { uses: { $lt: coupon.maxUses } }),
+      },
+      { $inc: { uses: 1 } }
+    );
+    if (used.modifiedCount === 0) {
+      throw new HttpError(409, "This coupon has been used up", {
+        code: "COUPON_EXHAUSTED",
+      });
+    }
+  };
+  const releaseCouponUse = (couponId) =>
+    couponsCollection.updateOne(
+      { _id: new ObjectId(couponId), uses: { $gt: 0 } },
+      { $inc: { uses: -1 } }
+    );
+
+  // Pays a fully discounted application without Stripe. The coupon use is
+  // taken first and handed back if the application is no longer payable.
+  const applyWaiver = async ({
+    application,
+    coupon,
+    currency,
+    subtotal,
+    email,
+  }) => {
+    await reserveCouponUse(coupon);
+
+    const applicationId = String(application._id);
+    const now = new Date().toISOString();
+    const paid = await markApplicationPaid(applicationId, {
+      transactionId: null,
+      amount: 0,
+      currency,
+      now,
+    });
+    if (!paid) {
+      await releaseCouponUse(coupon._id);
+      throw new HttpError(409, "Application can no longer be paid");
+    }
+
+    await paymentsCollection.insertOne({
+      applicationId,
+      sessionId: null,
+      paymentIntentId: null,
+      amount: 0,
+      currency,
+      couponId: String(coupon._id),
+      couponCode: coupon.code,
+      discount: subtotal,
+      lines: { applicationFees: 0, serviceCharge: 0 },
+      waived: true,
+      customerEmail: email,
+      status: "paid",
+      paidAt: now,
+      createdAt: now,
+      updatedAt: now,
+    });
+  };
+
+  // An application has one open session at a time. Starting another closes
+  // the last, which hands back its coupon use, so repeated checkouts can't
+  // pile up reservations. Sessions past their expiry are left to the
+  // expired event.
+  const expireOpenSessions = async (applicationId) => {
+    const open = await paymentsCollection
+      .find(
+        {
+          applicationId,
+          status: "open",
+          expiresAt: { $gt: new Date().toISOString() },
+        },
+        { projection: { sessionId: 1 } }
+      )
+      .toArray();
+    for (const { sessionId } of open) {
+      let session;
+      try {
+        session = await stripe.checkout.sessions.expire(sessionId);
+      } catch (error) {
+        console.error(`Could not expire checkout ${sessionId}:`, error.message);
+        throw new HttpError(409, "A checkout for this application is underway");
+      }
+      await handleCheckoutExpired(session);
+    }
+  };
+
+  router.post(
+    "/checkout-sessions",
+    verifyToken,
+    rateLimit("checkout", { by: "user" }),
+    asyncHandler(async (req, res) => {
+      const { applicationId, couponCode } = req.body;
+      if (
+        typeof applicationId !== "string" ||
+        !ObjectId.isValid(applicationId)
+      ) {
+        throw new HttpError(400, "Invalid application id", {
+          code: "INVALID_ID",
+        });
+      }
+
+      const application = await findByIdOr404(
+        applicationCollection,
+        applicationId,
+        "Application"
+      );
+
+      const ownerEmail = (
+        application.userEmail ||
+        application.applicantEmail ||
+        ""
+      ).toLowerCase();
+      if (ownerEmail !== req.user.email.toLowerCase()) {
+        throw new HttpError(403, "Forbidden");
+      }
+      if (application.paymentStatus === "paid") {
+        throw new HttpError(409, "Application is already paid");
+      }
+      if (
+        application.paymentStatus !== PAYABLE.paymentStatus ||
+        !OPEN_STATUSES.includes(application.applicationStatus)
+      ) {
+        throw new HttpError(409, "Application can no longer be paid");
+      }
+
+      const scholarship = ObjectId.isValid(application.scholarshipId)
+        ? await scholarshipsCollection.findOne({
+            _id: new ObjectId(application.scholarshipId),
+            deletedAt: null,
+          })
+        : null;
+      if (!scholarship) throw new HttpError(404, "Scholarship not found");
+
+      const currency = scholarship.currency || DEFAULT_CURRENCY;
+      const fees = [
+        {
+          name: `${scholarship.scholarshipName} - ${scholarship.universityName}`,
+          description: `${scholarship.degree} Degree Application`,
+          images: ["https://i.ibb.co/YpjwXXP/scholarship-icon.png"],
+          amount: toMinorUnits(scholarship.applicationFees),
+        },
+        {
+          name: "Service charge",
+          amount: toMinorUnits(scholarship.serviceCharge),
+        },
+      ];
+      const subtotal = fees.reduce((sum, fee) => sum + fee.amount, 0);
+      if (subtotal <= 0) {
+        throw new HttpError(400, "Scholarship has no payable fees");
+      }
+
+      // Before the coupon is checked, so the use it held counts as free
+      await expireOpenSessions(applicationId);
+
+      let coupon = null;
+      if (couponCode !== undefined) {
+        coupon =
+          typeof couponCode === "string"
+            ? await couponsCollection.findOne({
+                code: couponCode.trim().toUpperCase(),
+              })
+            : null;
+        const unusable = checkCoupon(coupon, scholarship, currency);
+        if (unusable) {
+          throw new HttpError(unusable.status, unusable.message, {
+            code: unusable.code,
+          });
+        }
+      }
+      const amounts = applyCoupon(
+        coupon,
+        fees.map((fee) => fee.amount)
+      );
+      const total = amounts.reduce((sum, amount) => sum + amount, 0);
+      const discount = subtotal - total;
+
+      if (total === 0) {
+        await applyWaiver({
+          application,
+          coupon,
+          currency,
+          subtotal,
+          email: req.user.email,
+        });
+        return res.json({ waived: true, paymentStatus: "paid" });
+      }
+
+      const customerName =
+        application.userName ||
+        application.applicantName ||
+        req.user.name ||
+        "";
+
+      if (coupon) await reserveCouponUse(coupon);
+      const expiresAt =
+        Math.floor(Date.now() / 1000) + CHECKOUT_SESSION_SECONDS;
+      let session;
+      try {
+        session = await stripe.checkout.sessions.create({
+          expires_at: expiresAt,
+          payment_method_types: ["card"],
+          line_items: fees
+            .map((fee, index) => ({ ...fee, amount: amounts[index] }))
+            .filter((fee) => fee.amount > 0)
+            .map(({ amount, ...product }) => ({
+              price_data: {
+                currency,
+                product_data: product,
+                unit_amount: amount,
+              },
+              quantity: 1,
+            })),
+          mode: "payment",
+          success_url: `${config.clientUrl}/payment-success?session_id={CHECKOUT_SESSION_ID}&application_id=${applicationId}`,
+          cancel_url: `${config.clientUrl}/payment-failed?application_id=${applicationId}`,
+          customer_email: req.user.email,
+          metadata: {
+            applicationId,
+            scholarshipName: scholarship.scholarshipName,
+            universityName: scholarship.universityName,
+            customerName,
+            customerEmail: req.user.email,
+            applicationFeesCharged: String(amounts[0]),
+            serviceChargeCharged: String(amounts[1]),
+            ...(coupon && {
+              couponId: String(coupon._id),
+              couponCode: coupon.code,
+              couponReserved: "true",
+              discount: String(discount),
+            }),
+          },
+        });
+      } catch (error) {
+        if (coupon) await releaseCouponUse(coupon._id);
+        throw error;
+      }
+
+      const now = new Date().toISOString();
+      await paymentsCollection.insertOne({
+        applicationId,
+        sessionId: session.id,
+        paymentIntentId: null,
+        amount: total,
+        currency,
+        ...(coupon && { couponId: String(coupon._id) }),
+        status: "open",
+        expiresAt: new Date(expiresAt * 1000).toISOString(),
+        createdAt: now,
+        updatedAt: now,
+      });
+      res.json({ url: session.url });
+    })
+  );
+
+  // What each fee came to after any coupon, as recorded on the session.
+  // Withdrawals refund by these. Sessions from before they were recorded
+  // have none.
+  const chargedLines = (metadata = {}) => {
+    const lines = {
+      applicationFees: Number(metadata.applicationFeesCharged),
+      serviceCharge: Number(metadata.serviceChargeCharged),
+    };
+    return Object.values(lines).every(Number.isInteger) ? lines : null;
+  };
+
+  // Amounts are stored as Stripe sends them, in the currency's minor unit
+  const handleCheckoutCompleted = async (session) => {
+    const applicationId = session.metadata?.applicationId;
+    if (!applicationId || !ObjectId.isValid(applicationId)) return;
+    const lines = chargedLines(session.metadata);
+
+    const now = new Date().toISOString();
+    const paid = session.payment_status === "paid";
+
+    const before = await paymentsCollection.findOneAndUpdate(
+      { sessionId: session.id },
+      {
+        $set: {
+          applicationId,
+          paymentIntentId: session.payment_intent,
+          amount: session.amount_total,
+          currency: session.currency,
+          customerEmail:
+            session.customer_details?.email || session.customer_email,
+          ...(session.metadata?.couponCode && {
+            couponCode: session.metadata.couponCode,
+            discount: Number(session.metadata.discount) || 0,
+          }),
+          ...(lines && { lines }),
+          status: paid ? "paid" : "unpaid",
+          paidAt: paid ? now : null,
+          updatedAt: now,
+        },
+        $setOnInsert: { createdAt: now },
+      },
+      { upsert: true, returnDocument: "before", projection: { status: 1 } }
+    );
+
+    if (!paid) return;
+
+    await markApplicationPaid(applicationId, {
+      transactionId: session.payment_intent,
+      amount: session.amount_total,
+      currency: session.currency,
+      now,
+    });
+    // Sessions from before uses were reserved at checkout count theirs
+    // here, once per session however often Stripe reports it paid
+    const couponId = session.metadata?.couponId;
+    if (
+      couponId &&
+      ObjectId.isValid(couponId) &&
+      !session.metadata.couponReserved &&
+      before?.status !== "paid"
+    ) {
+      await couponsCollection.updateOne(
+        { _id: new ObjectId(couponId) },
+        { $inc: { uses: 1 } }
+      );
+    }
+  };
+
+  // An abandoned session hands its coupon use back, once
+  const handleCheckoutExpired = async (session) => {
+    const existing = await paymentsCollection.findOne(
+      { sessionId: session.id },
+      { projection: { status: 1 } }
+    );
+    if (["paid", "expired"].includes(existing?.status)) return;
+
+    const now = new Date().toISOString();
+    const result = await paymentsCollection.updateOne(
+      { sessionId: session.id, status: { $nin: ["paid", "expired"] } },
+      {
+        $set: {
+          applicationId: session.metadata?.applicationId,
+          amount: session.amount_total,
+          currency: session.currency,
+          status: "expired",
+          expiredAt: now,
+          updatedAt: now,
+        },
+        $setOnInsert: { createdAt: now },
+      },
+      { upsert: true }
+    );
+    const couponId = session.metadata?.couponId;
+    if (
+      session.metadata?.couponReserved &&
+      ObjectId.isValid(couponId) &&
+      (result.upsertedCount || result.modifiedCount)
+    ) {
+      await releaseCouponUse(couponId);
+    }
+  };
+
+  const handleChargeRefunded = async (charge) => {
+    const payment = await paymentsCollection.findOne({
+      paymentIntentId: charge.payment_intent,
+    });
+    if (!payment) return;
+
+    const now = new Date().toISOString();
+    const status = charge.refunded ? "refunded" : "partially_refunded";
+
+    await paymentsCollection.updateOne(
+      { _id: payment._id },
+      {
+        $set: {
+          status,
+          amountRefunded: charge.amount_refunded,
+          refundedAt: now,
+          updatedAt: now,
+        },
+      }
+    );
+    await applicationCollection.updateOne(
+      { _id: new ObjectId(payment.applicationId) },
+      { $set: { paymentStatus: status, updatedAt: now } }
+    );
+  };
+
+  const webhookHandlers = {
+    "checkout.session.completed": handleCheckoutCompleted,
+    "checkout.session.expired": handleCheckoutExpired,
+    "charge.refunded": handleChargeRefunded,
+  };
+
+  router.post(
+    "/stripe/webhook",
+    asyncHandler(async (req, res) => {
+      let event;
+      try {
+        event = stripe.webhooks.constructEvent(
+          req.rawBody,
+          req.headers["stripe-signature"],
+          config.stripeWebhookSecret
+        );
+      } catch (error) {
+        throw new HttpError(400, "Invalid signature", {
+          code: "INVALID_SIGNATURE",
+        });
+      }
+
+      // Stripe retries deliveries, sometimes while the first is still being
+      // handled, so an event is claimed by inserting it before it is applied.
+      // A failed handler gives the claim up for the next retry.
+      try {
+        await stripeEventsCollection.insertOne({
+          _id: event.id,
+          type: event.type,
+          receivedAt: new Date().toISOString(),
+        });
+      } catch (error) {
+        if (error.code === 11000) {
+          return res.json({ received: true, duplicate: true });
+        }
+        throw error;
+      }
+
+      const handler = webhookHandlers[event.type];
+      try {
+        if (handler) await handler(event.data.object);
+      } catch (error) {
+        await stripeEventsCollection.deleteOne({ _id: event.id });
+        throw error;
+      }
+      res.json({ received: true });
+    })
+  );
+
+  return router;
+};
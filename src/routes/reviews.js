@@ -0,0 +1,222 @@
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const {
+  HttpError,
+  asyncHandler,
+  findByIdOr404,
+  validateObjectId,
+} = require("../errors");
+const { STAFF, isSameEmail } = require("../access");
+const { SCHEMAS, validateBody } = require("../validation");
+const { refreshScholarshipRating } = require("../ratings");
+
+module.exports = ({ collections, access, audit }) => {
+  const { reviewsCollection, applicationCollection, scholarshipsCollection } =
+    collections;
+  const { getUserRole, verifyToken, authorize, ownsApplication, ownsReview } =
+    access;
+  const router = express.Router();
+  router.param("id", validateObjectId);
+
+  // Hidden reviews are only listed for staff and for their own author.
+  // Staff may also filter by moderation status. Reviews deleted with their
+  // scholarship are never listed.
+  const reviewFilter = async (req, { authorEmail } = {}) => {
+    const role = await getUserRole(req.user.email);
+    if (STAFF.includes(role)) {
+      const { status } = req.query;
+      if (!status) return { deletedAt: null };
+      return {
+        deletedAt: null,
+        status: status === "visible" ? { $in: [null, status] } : status,
+      };
+    }
+    if (isSameEmail(authorEmail, req.user.email)) return { deletedAt: null };
+    return { deletedAt: null, status: { $ne: "hidden" } };
+  };
+
+  router.get(
+    "/reviews",
+    verifyToken,
+    asyncHandler(async (req, res) => {
+      const result = await reviewsCollection
+        .find(await reviewFilter(req))
+        .sort({ reviewDate: -1 })
+        .toArray();
+      res.json(result);
+    })
+  );
+
+  router.get(
+    "/scholarships/:id/reviews",
+    verifyToken,
+    asyncHandler(async (req, res) => {
+      const scholarshipId = req.params.id;
+      const result = await reviewsCollection
+        .find({ scholarshipId, ...(await reviewFilter(req)) })
+        .sort({ reviewDate: -1 })
+        .toArray();
+      res.json(result);
+    })
+  );
+
+  router.get(
+    "/users/:email/reviews",
+    verifyToken,
+    asyncHandler(async (req, res) => {
+      const email = req.params.email;
+      const result = await reviewsCollection
+        .find({
+          userEmail: email,
+          ...(await reviewFilter(req, { authorEmail: email })),
+        })
+        .toArray();
+      res.json(result);
+    })
+  );
+
+  router.patch(
+    "/applications/:id/review",
+    verifyToken,
+    authorize({ isOwner: ownsApplication }),
+    validateBody(SCHEMAS.applicationReview),
+    asyncHandler(async (req, res) => {
+      const applicationId = req.params.id;
+      const { rating, comment } = req.body;
+
+      const application = await findByIdOr404(
+        applicationCollection,
+        applicationId,
+        "Application"
+      );
+      if (application.applicationStatus !== "completed") {
+        throw new HttpError(409, "Only completed applications can be reviewed");
+      }
+      const scholarship = ObjectId.isValid(application.scholarshipId)
+        ? await scholarshipsCollection.findOne({
+            _id: new ObjectId(application.scholarshipId),
+            deletedAt: null,
+          })
+        : null;
+      if (!scholarship) throw new HttpError(404, "Scholarship not found");
+
+      const userEmail = application.applicantEmail || application.userEmail;
+      const userName = application.applicantName || application.userName;
+      const userPhoto = application.applicantPhoto || application.userPhoto;
+
+      const reviewData = {
+        applicationId,
+        scholarshipId: application.scholarshipId,
+        scholarshipName: scholarship.scholarshipName,
+        universityName: scholarship.universityName,
+        userEmail,
+        userName: userName || "Anonymous User",
+        userPhoto: userPhoto || null,
+        ratingPoint: rating,
+        reviewComment: comment,
+        reviewDate: new Date(),
+      };
+
+      // One review per applicant and scholarship; reviewing again edits it
+      // without clearing any moderation.
+      const { upsertedId } = await reviewsCollection.updateOne(
+        { scholarshipId: application.scholarshipId, userEmail },
+        {
+          $set: reviewData,
+          $setOnInsert: { status: "visible", createdAt: new Date() },
+        },
+        { upsert: true }
+      );
+
+      await applicationCollection.updateOne(
+        { _id: new ObjectId(applicationId) },
+        { $set: { reviewed: true } }
+      );
+      await refreshScholarshipRating(collections, application.scholarshipId);
+
+      res.json({ success: true, created: !!upsertedId });
+    })
+  );
+
+  router.patch(
+    "/reviews/:id",
+    verifyToken,
+    authorize({ isOwner: ownsReview }),
+    validateBody(SCHEMAS.review),
+    asyncHandler(async (req, res) => {
+      const id = req.params.id;
+      const { reviewComment, ratingPoint } = req.body;
+      const review = await reviewsCollection.findOneAndUpdate(
+        { _id: new ObjectId(id) },
+        { $set: { reviewComment, ratingPoint, reviewDate: new Date() } },
+        { projection: { scholarshipId: 1 } }
+      );
+      if (!review) throw new HttpError(404, "Review not found");
+
+      await refreshScholarshipRating(collections, review.scholarshipId);
+      res.json({ success: true, modifiedCount: 1 });
+    })
+  );
+
+  // Hiding takes a review out of listings and the scholarship's rating;
+  // flagging only marks it for a second look. Both need a reason.
+  router.patch(
+    "/reviews/:id/moderation",
+    verifyToken,
+    authorize({ roles: STAFF }),
+    validateBody(SCHEMAS.reviewModeration),
+    asyncHandler(async (req, res) => {
+      const { status, reason } = req.body;
+      if (status !== "visible" && !reason) {
+        throw new HttpError(400, "Validation failed", {
+          code: "VALIDATION_FAILED",
+          errors: [{ field: "reason", message: "is required" }],
+        });
+      }
+
+      const moderation = {
+        status,
+        reason: reason || null,
+        by: req.user.email,
+        at: new Date().toISOString(),
+      };
+      const review = await reviewsCollection.findOneAndUpdate(
+        { _id: new ObjectId(req.params.id) },
+        { $set: { status, moderation } },
+        { projection: { scholarshipId: 1, status: 1 } }
+      );
+      if (!review) throw new HttpError(404, "Review not found");
+
+      await audit.record(req, {
+        action: "review.moderate",
+        collection: "reviews",
+        id: review._id,
+        before: { status: review.status || "visible" },
+        after: { status },
+        ...(reason && { details: { reason } }),
+      });
+
+      await refreshScholarshipRating(collections, review.scholarshipId);
+      res.json({ success: true, moderation });
+    })
+  );
+
+  router.delete(
+    "/reviews/:id",
+    verifyToken,
+    authorize({ roles: STAFF, isOwner: ownsReview }),
+    asyncHandler(async (req, res) => {
+      const id = req.params.id;
+      const review = await reviewsCollection.findOneAndDelete(
+        { _id: new ObjectId(id) },
+        { projection: { scholarshipId: 1 } }
+      );
+      if (!review) throw new HttpError(404, "Review not found");
+
+      await refreshScholarshipRating(collections, review.scholarshipId);
+      res.json({ success: true, deletedCount: 1 });
+    })
+  );
+
+  return router;
+};
@@ -0,0 +1,630 @@
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const {
+  HttpError,
+  asyncHandler,
+  findByIdOr404,
+  validateObjectId,
+} = require("../errors");
+const { SCHEMAS, validateBody, validatePayload } = require("../validation");
+const { parsePagination } = require("../pagination");
+const {
+  buildScholarshipQuery,
+  buildScholarshipSort,
+} = require("../scholarshipQuery");
+const {
+  parseImportRows,
+  parseExportFormat,
+  sendExport,
+  exportProjection,
+  IMPORT_BODY_LIMIT,
+} = require("../bulk");
+const { diffDocuments } = require("../audit");
+const {
+  softDelete,
+  restoreDeleted,
+  deletedAtFilter,
+} = require("../softDelete");
+const { requestRefund } = require("../refunds");
+const { refreshScholarshipRating } = require("../ratings");
+const { statusEvents } = require("../events");
+const {
+  checkAcceptingApplications,
+  getScholarshipStatus,
+  publicScholarshipFilter,
+  planStatusChange,
+} = require("../scholarshipStatus");
+const {
+  HISTORY_FIELDS,
+  buildHistory,
+  rankScholarships,
+} = require("../recommendations");
+
+const EXPORT_COLUMNS = ["_id", ...Object.keys(SCHEMAS.scholarship)];
+
+// Applications still in these statuses are archived with their scholarship
+const OPEN_STATUSES = [null, "pending", "processing"];
+
+module.exports = ({ collections, access, audit, stripe, notifier, events }) => {
+  const {
+    scholarshipsCollection,
+    applicationCollection,
+    reviewsCollection,
+    usersCollection,
+    wishlistsCollection,
+  } = collections;
+  const { verifyToken, verifyAdmin, getRequestRole } = access;
+  const router = express.Router();
+  router.param("id", validateObjectId);
+
+  // Admins see every status, everyone else only published scholarships
+  const listingFilter = async (req) => {
+    const role = await getRequestRole(req);
+    const filter = {
+      ...buildScholarshipQuery(req.query),
+      deletedAt: deletedAtFilter(req.query, role),
+    };
+    if (role === "admin") return filter;
+    return { ...filter, ...publicScholarshipFilter() };
+  };
+
+  // Both listings answer with { items, total, page, pageSize }
+  const findScholarshipsPage = async (
+    filter,
+    { page, pageSize, skip },
+    sort
+  ) => {
+    const [items, total] = await Promise.all([
+      scholarshipsCollection
+        .find(filter)
+        .sort(sort)
+        .skip(skip)
+        .limit(pageSize)
+        .toArray(),
+      scholarshipsCollection.countDocuments(filter),
+    ]);
+    return { items, total, page, pageSize };
+  };
+
+  router.get(
+    "/scholarships",
+    asyncHandler(async (req, res) => {
+      const result = await findScholarshipsPage(
+        await listingFilter(req),
+        parsePagination(req.query),
+        buildScholarshipSort(req.query)
+      );
+      res.json(result);
+    })
+  );
+
+  router.get(
+    "/scholarships/top",
+    asyncHandler(async (req, res) => {
+      const pagination = parsePagination(
+        { ...req.query, pageSize: req.query.pageSize || req.query.limit },
+        { defaultSize: 6 }
+      );
+      const result = await findScholarshipsPage(
+        await listingFilter(req),
+        pagination,
+        buildScholarshipSort(req.query, { applicationFees: 1 })
+      );
+      res.json(result);
+    })
+  );
+
+  // Open scholarships ranked for the signed-in student by their profile and
+  // what they applied to or saved, in the listing envelope. Scholarships
+  // they already applied to are left out.
+  router.get(
+    "/scholarships/recommended",
+    verifyToken,
+    asyncHandler(async (req, res) => {
+      const email = req.user.email.toLowerCase();
+      const { page, pageSize, skip } = parsePagination(req.query, {
+        defaultSize: 6,
+        maxSize: 50,
+      });
+      const historyProjection = Object.fromEntries(
+        HISTORY_FIELDS.map((field) => [field, 1])
+      );
+
+      const [user, applications, wishlist, candidates] = await Promise.all([
+        usersCollection.findOne(
+          { email, deletedAt: null },
+          { projection: { studentProfile: 1 } }
+        ),
+        applicationCollection
+          .find(
+            { userEmail: email, deletedAt: null },
+            { projection: { scholarshipId: 1, ...historyProjection } }
+          )
+          .toArray(),
+        wishlistsCollection
+          .find({ userEmail: email }, { projection: { scholarshipId: 1 } })
+          .toArray(),
+        scholarshipsCollection
+          .find({ deletedAt: null, ...publicScholarshipFilter() })
+          .toArray(),
+      ]);
+      const wishlisted = await scholarshipsCollection
+        .find(
+          {
+            _id: {
+              $in: wishlist
+                .filter((entry) => ObjectId.isValid(entry.scholarshipId))
+                .map((entry) => new ObjectId(entry.scholarshipId)),
+            },
+          },
+          { projection: historyProjection }
+        )
+        .toArray();
+
+      const applied = new Set(applications.map((a) => a.scholarshipId));
+      const ranked = rankScholarships(
+        candidates.filter(
+          (s) => !applied.has(String(s._id)) && !checkAcceptingApplications(s)
+        ),
+        {
+          profile: user?.studentProfile,
+          history: buildHistory([...applications, ...wishlisted]),
+          wishlistedIds: new Set(wishlist.map((entry) => entry.scholarshipId)),
+        }
+      );
+
+      res.json({
+        items: ranked
+          .slice(skip, skip + pageSize)
+          .map(({ scholarship, score, reasons }) => ({
+            ...scholarship,
+            score,
+            reasons,
+          })),
+        total: ranked.length,
+        page,
+        pageSize,
+      });
+    })
+  );
+
+  router.get(
+    "/scholarships/export",
+    verifyToken,
+    verifyAdmin,
+    asyncHandler(async (req, res) => {
+      const format = parseExportFormat(req.query);
+      const cursor = scholarshipsCollection
+        .find(buildScholarshipQuery(req.query), {
+          projection: exportProjection(EXPORT_COLUMNS),
+        })
+        .sort(buildScholarshipSort(req.query));
+      sendExport(res, cursor, {
+        format,
+        columns: EXPORT_COLUMNS,
+        filename: "scholarships",
+      });
+    })
+  );
+
+  // Upserts rows from a CSV upload or a JSON array. Rows with an `_id`
+  // update that scholarship, the rest match on name and university among
+  // those not deleted. Invalid rows, and rows whose `_id` is deleted, are
+  // skipped and reported by their 1-based position; `?dryRun=true` only
+  // reports.
+  router.post(
+    "/scholarships/import",
+    verifyToken,
+    verifyAdmin,
+    express.json({ limit: IMPORT_BODY_LIMIT }),
+    express.text({ type: "text/csv", limit: IMPORT_BODY_LIMIT }),
+    asyncHandler(async (req, res) => {
+      const rows = parseImportRows(req);
+      const dryRun = req.query.dryRun === "true";
+
+      const ids = rows
+        .map((row) => row?._id)
+        .filter((id) => typeof id === "string" && ObjectId.isValid(id))
+        .map((id) => new ObjectId(id));
+      const deleted = new Set(
+        (
+          await scholarshipsCollection
+            .find(
+              { _id: { $in: ids }, deletedAt: { $ne: null } },
+              { projection: { _id: 1 } }
+            )
+            .toArray()
+        ).map((scholarship) => String(scholarship._id))
+      );
+
+      const errors = [];
+      const operations = [];
+      rows.forEach((row, index) => {
+        const { data, errors: rowErrors } = validatePayload(
+          SCHEMAS.scholarship,
+          row
+        );
+        const id = row?._id;
+        if (id && !(typeof id === "string" && ObjectId.isValid(id))) {
+          rowErrors.push({ field: "_id", message: "must be an id" });
+        } else if (id && deleted.has(String(new ObjectId(id)))) {
+          rowErrors.push({ field: "_id", message: "is a deleted scholarship" });
+        }
+        if (rowErrors.length) {
+          errors.push({ row: index + 1, errors: rowErrors });
+          return;
+        }
+
+        const filter = id
+          ? { _id: new ObjectId(id), deletedAt: null }
+          : {
+              scholarshipName: data.scholarshipName,
+              universityName: data.universityName,
+              deletedAt: null,
+            };
+        // New rows are published, like those created one at a time
+        operations.push({
+          updateOne: {
+            filter,
+            update: { $set: data, $setOnInsert: { status: "published" } },
+            upsert: true,
+          },
+        });
+      });
+
+      const report = {
+        dryRun,
+        total: rows.length,
+        valid: operations.length,
+        invalid: errors.length,
+        errors,
+      };
+      if (!dryRun && operations.length) {
+        const result = await scholarshipsCollection.bulkWrite(operations, {
+          ordered: false,
+        });
+        report.inserted = result.upsertedCount;
+        report.updated = result.matchedCount;
+        await audit.record(req, {
+          action: "scholarship.import",
+          collection: "scholarships",
+          details: {
+            total: report.total,
+            inserted: report.inserted,
+            updated: report.updated,
+            ids: Object.values(result.upsertedIds).map(String),
+          },
+        });
+      }
+      res.json(report);
+    })
+  );
+
+  // Unpublished scholarships are missing to everyone but admins
+  router.get(
+    "/scholarships/:id",
+    asyncHandler(async (req, res) => {
+      const result = await findByIdOr404(
+        scholarshipsCollection,
+        req.params.id,
+        "Scholarship"
+      );
+      if (
+        getScholarshipStatus(result) !== "published" &&
+        (await getRequestRole(req)) !== "admin"
+      ) {
+        throw new HttpError(404, "Scholarship not found");
+      }
+      res.json(result);
+    })
+  );
+
+  // Published straight away unless the body asks for a draft or a later
+  // publishAt
+  router.post(
+    "/scholarships",
+    verifyToken,
+    verifyAdmin,
+    validateBody({ ...SCHEMAS.scholarship, ...SCHEMAS.scholarshipStatus }),
+    asyncHandler(async (req, res) => {
+      const { status, publishAt, ...fields } = req.body;
+      const { set, error } = planStatusChange(null, {
+        status,
+        publishAt,
+        applicationDeadline: fields.applicationDeadline,
+      });
+      if (error) {
+        throw new HttpError(error.status, error.message, { code: error.code });
+      }
+
+      const scholarship = { ...fields, ...set };
+      const result = await scholarshipsCollection.insertOne(scholarship);
+      await audit.record(req, {
+        action: "scholarship.create",
+        collection: "scholarships",
+        id: result.insertedId,
+        after: scholarship,
+      });
+      res.json({ insertedId: result.insertedId, status: set.status });
+    })
+  );
+
+  // Moves a scholarship through draft, scheduled, published, closed and
+  // archived. Sending only publishAt schedules or publishes it.
+  router.patch(
+    "/scholarships/:id/status",
+    verifyToken,
+    verifyAdmin,
+    validateBody(SCHEMAS.scholarshipStatus),
+    asyncHandler(async (req, res) => {
+      const scholarship = await findByIdOr404(
+        scholarshipsCollection,
+        req.params.id,
+        "Scholarship"
+      );
+      const { set, error } = planStatusChange(scholarship, req.body);
+      if (error) {
+        throw new HttpError(error.status, error.message, { code: error.code });
+      }
+
+      const now = new Date().toISOString();
+      // Matching on the stored status keeps concurrent changes from both
+      // starting at the same place
+      const result = await scholarshipsCollection.updateOne(
+        {
+          _id: scholarship._id,
+          status: scholarship.status ?? null,
+          deletedAt: null,
+        },
+        { $set: { ...set, updatedAt: now } }
+      );
+      if (result.modifiedCount === 0) {
+        throw new HttpError(409, "Scholarship changed, please retry");
+      }
+      await audit.record(req, {
+        action: "scholarship.status.update",
+        collection: "scholarships",
+        id: scholarship._id,
+        before: {
+          status: getScholarshipStatus(scholarship),
+          publishAt: scholarship.publishAt ?? null,
+        },
+        after: { publishAt: scholarship.publishAt ?? null, ...set },
+      });
+      res.json({ success: true, ...set });
+    })
+  );
+
+  router.patch(
+    "/scholarships/:id",
+    verifyToken,
+    verifyAdmin,
+    validateBody(SCHEMAS.scholarship, { partial: true }),
+    asyncHandler(async (req, res) => {
+      const id = req.params.id;
+      const before = await scholarshipsCollection.findOneAndUpdate(
+        { _id: new ObjectId(id), deletedAt: null },
+        { $set: req.body }
+      );
+      if (!before) throw new HttpError(404, "Scholarship not found");
+
+      const after = { ...before, ...req.body };
+      await audit.record(req, {
+        action: "scholarship.update",
+        collection: "scholarships",
+        id,
+        before,
+        after,
+      });
+      const changed = Object.keys(diffDocuments(before, after)).length > 0;
+      res.json({ success: true, modifiedCount: changed ? 1 : 0 });
+    })
+  );
+
+  const statusEntry = (req, from, to, now, note) => ({
+    type: "status",
+    from,
+    to,
+    by: req.user.email,
+    at: now,
+    note,
+  });
+
+  // Archives the scholarship's open applications and refunds the paid ones.
+  // A failed refund is counted, it doesn't undo the delete.
+  const archiveApplications = async (req, scholarship, now) => {
+    const applications = await applicationCollection
+      .find({
+        scholarshipId: String(scholarship._id),
+        applicationStatus: { $in: OPEN_STATUSES },
+        deletedAt: null,
+      })
+      .toArray();
+
+    const summary = { archived: 0, refunded: 0, refundsFailed: 0 };
+    for (const application of applications) {
+      const from = application.applicationStatus || "pending";
+      const result = await applicationCollection.updateOne(
+        {
+          _id: application._id,
+          applicationStatus: application.applicationStatus,
+        },
+        {
+          $set: {
+            applicationStatus: "archived",
+            archivedFrom: from,
+            archivedAt: now,
+            updatedAt: now,
+          },
+          $push: {
+            statusHistory: statusEntry(
+              req,
+              from,
+              "archived",
+              now,
+              "Scholarship deleted"
+            ),
+          },
+        }
+      );
+      if (result.modifiedCount === 0) continue;
+      summary.archived += 1;
+      statusEvents(application, from, "archived").forEach(events.publish);
+
+      const paid = application.paymentStatus === "paid";
+      if (paid) {
+        try {
+          await requestRefund({ stripe, collections }, application, {
+            reason: "scholarship_deleted",
+            by: req.user.email,
+          });
+          summary.refunded += 1;
+        } catch {
+          summary.refundsFailed += 1;
+        }
+      }
+
+      await notifier.notify({
+        userEmail: application.userEmail || application.applicantEmail,
+        type: "application_status",
+        title: "Application archived",
+        message: `${scholarship.scholarshipName} at ${
+          scholarship.universityName
+        } is no longer offered, so your application was archived.${
+          paid ? " Your application fee will be refunded." : ""
+        }`,
+        data: { applicationId: String(application._id), from, to: "archived" },
+      });
+    }
+    return summary;
+  };
+
+  // Puts applications archived with the scholarship back where they were.
+  // Refunded ones stay archived: they could never be paid for or completed
+  // again.
+  const unarchiveApplications = async (req, scholarship, now) => {
+    const applications = await applicationCollection
+      .find(
+        {
+          scholarshipId: String(scholarship._id),
+          applicationStatus: "archived",
+          archivedFrom: { $ne: null },
+          paymentStatus: { $nin: ["refunded", "partially_refunded"] },
+          deletedAt: null,
+        },
+        { projection: { archivedFrom: 1, userEmail: 1, applicantEmail: 1 } }
+      )
+      .toArray();
+
+    let restored = 0;
+    for (const application of applications) {
+      const result = await applicationCollection.updateOne(
+        { _id: application._id, applicationStatus: "archived" },
+        {
+          $set: {
+            applicationStatus: application.archivedFrom,
+            archivedFrom: null,
+            archivedAt: null,
+            updatedAt: now,
+          },
+          $push: {
+            statusHistory: statusEntry(
+              req,
+              "archived",
+              application.archivedFrom,
+              now,
+              "Scholarship restored"
+            ),
+          },
+        }
+      );
+      if (result.modifiedCount === 0) continue;
+      restored += 1;
+      statusEvents(application, "archived", application.archivedFrom).forEach(
+        events.publish
+      );
+    }
+    return restored;
+  };
+
+  // Open applications are archived, paid ones refunded, and the reviews are
+  // deleted along with the scholarship
+  router.delete(
+    "/scholarships/:id",
+    verifyToken,
+    verifyAdmin,
+    asyncHandler(async (req, res) => {
+      const id = req.params.id;
+      const deletedAt = new Date().toISOString();
+      const scholarship = await softDelete(scholarshipsCollection, id, req, {
+        now: deletedAt,
+      });
+      if (!scholarship) throw new HttpError(404, "Scholarship not found");
+
+      const { archived, refunded, refundsFailed } = await archiveApplications(
+        req,
+        scholarship,
+        deletedAt
+      );
+      await reviewsCollection.updateMany(
+        { scholarshipId: id, deletedAt: null },
+        { $set: { deletedAt, deletedBy: req.user.email } }
+      );
+
+      await audit.record(req, {
+        action: "scholarship.delete",
+        collection: "scholarships",
+        id,
+        before: scholarship,
+        details: { archived, refunded, refundsFailed },
+      });
+      res.json({
+        success: true,
+        deletedCount: 1,
+        archivedApplications: archived,
+        refundsRequested: refunded,
+        refundsFailed,
+      });
+    })
+  );
+
+  router.post(
+    "/scholarships/:id/restore",
+    verifyToken,
+    verifyAdmin,
+    asyncHandler(async (req, res) => {
+      const id = req.params.id;
+      const scholarship = await restoreDeleted(scholarshipsCollection, id);
+      if (!scholarship)
+        throw new HttpError(404, "Deleted scholarship not found");
+
+      const now = new Date().toISOString();
+      const applications = await unarchiveApplications(req, scholarship, now);
+      // Reviews deleted at the same moment went with the scholarship
+      const reviews = await reviewsCollection.updateMany(
+        { scholarshipId: id, deletedAt: scholarship.deletedAt },
+        { $set: { deletedAt: null, deletedBy: null } }
+      );
+      await refreshScholarshipRating(collections, id);
+
+      await audit.record(req, {
+        action: "scholarship.restore",
+        collection: "scholarships",
+        id,
+        details: {
+          deletedAt: scholarship.deletedAt,
+          applications,
+          reviews: reviews.modifiedCount,
+        },
+      });
+      res.json({
+        success: true,
+        restored: true,
+        restoredApplications: applications,
+        restoredReviews: reviews.modifiedCount,
+      });
+    })
+  );
+
+  return router;
+};
@@ -0,0 +1,266 @@
+const express = require("express");
+const { HttpError, asyncHandler } = require("../errors");
+const { STAFF } = require("../access");
+const {
+  parseAnalyticsRange,
+  aggregateByPeriod,
+  ratio,
+} = require("../analytics");
+
+// Dimensions admins can count applications by
+const APPLICATION_DIMENSIONS = {
+  scholarship: "$scholarshipId",
+  university: "$universityName",
+  category: "$scholarshipCategory",
+  country: "$universityCountry",
+};
+const PAID_STATUSES = ["paid", "refunded", "partially_refunded"];
+
+const describeRange = ({ from, to, interval }) => ({
+  from: from && from.toISOString(),
+  to: to && to.toISOString(),
+  interval,
+});
+
+const byCountDesc = (a, b) =>
+  b.count - a.count || String(a.key).localeCompare(b.key);
+
+module.exports = ({ collections, access }) => {
+  const {
+    applicationCollection,
+    usersCollection,
+    paymentsCollection,
+    reviewsCollection,
+  } = collections;
+  const { getUserRole, verifyToken, verifyAdmin } = access;
+  const router = express.Router();
+
+  router.get(
+    "/stats/dashboard",
+    verifyToken,
+    asyncHandler(async (req, res) => {
+      const role = await getUserRole(req.user.email);
+      const query = STAFF.includes(role)
+        ? { deletedAt: null }
+        : { userEmail: req.user.email.toLowerCase(), deletedAt: null };
+
+      const totalApplications = await applicationCollection.countDocuments(
+        query
+      );
+      const stats = await applicationCollection
+        .aggregate([
+          { $match: query },
+          {
+            $group: {
+              _id: null,
+              total: { $sum: 1 },
+              pending: {
+                $sum: {
+                  $cond: [{ $eq: ["$applicationStatus", "pending"] }, 1, 0],
+                },
+              },
+              processing: {
+                $sum: {
+                  $cond: [{ $eq: ["$applicationStatus", "processing"] }, 1, 0],
+                },
+              },
+              completed: {
+                $sum: {
+                  $cond: [{ $eq: ["$applicationStatus", "completed"] }, 1, 0],
+                },
+              },
+              rejected: {
+                $sum: {
+                  $cond: [{ $eq: ["$applicationStatus", "rejected"] }, 1, 0],
+                },
+              },
+            },
+          },
+        ])
+        .toArray();
+
+      const result = stats[0] || {
+        total: 0,
+        pending: 0,
+        processing: 0,
+        completed: 0,
+        rejected: 0,
+      };
+      result.total = totalApplications;
+
+      res.json({
+        totalApplications: result.total,
+        pending: result.pending,
+        processing: result.processing,
+        completed: result.completed,
+        rejected: result.rejected,
+      });
+    })
+  );
+
+  // Every analytics endpoint takes `from`, `to` and `interval` (day, week
+  // or month) and answers with `totals` for the whole range plus `buckets`
+  // per period. Amounts are in the currency's minor unit, as Stripe sends.
+  router.get(
+    "/admin/analytics/fees",
+    verifyToken,
+    verifyAdmin,
+    asyncHandler(async (req, res) => {
+      const range = parseAnalyticsRange(req.query);
+      const { totals, buckets } = await aggregateByPeriod(paymentsCollection, {
+        dateField: "paidAt",
+        range,
+        match: { status: { $in: PAID_STATUSES } },
+        key: "$currency",
+        fields: {
+          payments: { $sum: 1 },
+          collected: { $sum: "$amount" },
+          refunded: { $sum: { $ifNull: ["$amountRefunded", 0] } },
+        },
+      });
+
+      const toFees = ({ key, ...values }) => ({
+        currency: key,
+        ...values,
+        net: values.collected - values.refunded,
+      });
+      res.json({
+        ...describeRange(range),
+        totals: totals.map(toFees),
+        buckets: buckets.map(toFees),
+      });
+    })
+  );
+
+  router.get(
+    "/admin/analytics/applications",
+    verifyToken,
+    verifyAdmin,
+    asyncHandler(async (req, res) => {
+      const by = req.query.by || "scholarship";
+      if (!Object.hasOwn(APPLICATION_DIMENSIONS, by)) {
+        throw new HttpError(
+          400,
+          `by must be one of ${Object.keys(APPLICATION_DIMENSIONS).join(", ")}`
+        );
+      }
+      const range = parseAnalyticsRange(req.query);
+      const { totals, buckets } = await aggregateByPeriod(
+        applicationCollection,
+        {
+          dateField: "appliedAt",
+          range,
+          key: APPLICATION_DIMENSIONS[by],
+          fields: {
+            count: { $sum: 1 },
+            ...(by === "scholarship" && {
+              scholarshipName: { $first: "$scholarshipName" },
+            }),
+          },
+        }
+      );
+
+      res.json({
+        ...describeRange(range),
+        by,
+        totals: totals.sort(byCountDesc),
+        buckets,
+      });
+    })
+  );
+
+  router.get(
+    "/admin/analytics/funnel",
+    verifyToken,
+    verifyAdmin,
+    asyncHandler(async (req, res) => {
+      const range = parseAnalyticsRange(req.query);
+      const { totals, buckets } = await aggregateByPeriod(
+        applicationCollection,
+        {
+          dateField: "appliedAt",
+          range,
+          fields: {
+            applied: { $sum: 1 },
+            paid: {
+              $sum: {
+                $cond: [{ $in: ["$paymentStatus", PAID_STATUSES] }, 1, 0],
+              },
+            },
+            completed: {
+              $sum: {
+                $cond: [{ $eq: ["$applicationStatus", "completed"] }, 1, 0],
+              },
+            },
+          },
+        }
+      );
+
+      // Cohorts are the applications made in each period
+      const toStage = ({ key, ...counts }) => ({
+        ...counts,
+        paidRate: ratio(counts.paid, counts.applied),
+        completionRate: ratio(counts.completed, counts.paid),
+      });
+      res.json({
+        ...describeRange(range),
+        totals: toStage(totals[0] || { applied: 0, paid: 0, completed: 0 }),
+        buckets: buckets.map(toStage),
+      });
+    })
+  );
+
+  router.get(
+    "/admin/analytics/ratings",
+    verifyToken,
+    verifyAdmin,
+    asyncHandler(async (req, res) => {
+      const range = parseAnalyticsRange(req.query);
+      const { totals, buckets } = await aggregateByPeriod(reviewsCollection, {
+        dateField: "reviewDate",
+        range,
+        key: "$scholarshipId",
+        fields: {
+          scholarshipName: { $first: "$scholarshipName" },
+          reviews: { $sum: 1 },
+          averageRating: { $avg: "$ratingPoint" },
+        },
+      });
+
+      const toRating = ({ key, averageRating, ...values }) => ({
+        scholarshipId: key,
+        ...values,
+        averageRating: Math.round(averageRating * 100) / 100,
+      });
+      res.json({
+        ...describeRange(range),
+        totals: totals
+          .map(toRating)
+          .sort((a, b) => b.averageRating - a.averageRating),
+        buckets: buckets.map(toRating),
+      });
+    })
+  );
+
+  router.get(
+    "/admin/analytics/users",
+    verifyToken,
+    verifyAdmin,
+    asyncHandler(async (req, res) => {
+      const range = parseAnalyticsRange(req.query, { defaultInterval: "week" });
+      const { totals, buckets } = await aggregateByPeriod(usersCollection, {
+        dateField: "createdAt",
+        range,
+        fields: { newUsers: { $sum: 1 } },
+      });
+
+      res.json({
+        ...describeRange(range),
+        totals: { newUsers: totals[0]?.newUsers || 0 },
+        buckets: buckets.map(({ period, newUsers }) => ({ period, newUsers })),
+      });
+    })
+  );
+
+  return router;
+};
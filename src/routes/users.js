@@ -0,0 +1,227 @@
+const express = require("express");
+const { HttpError, asyncHandler } = require("../errors");
+const { STAFF, isSameEmail } = require("../access");
+const { SCHEMAS, validateBody } = require("../validation");
+const {
+  softDelete,
+  restoreDeleted,
+  deletedAtFilter,
+} = require("../softDelete");
+
+module.exports = ({ collections, access, rateLimit, audit }) => {
+  const { usersCollection } = collections;
+  const { verifyToken, verifyAdmin, authorize, ownsEmailParam } = access;
+  const router = express.Router();
+
+  // Resolves to the live user with `email`, or a 404
+  const findUserOr404 = async (email, projection) => {
+    const user = await usersCollection.findOne(
+      { email: email.toLowerCase(), deletedAt: null },
+      { projection }
+    );
+    if (!user) throw new HttpError(404, "User not found");
+    return user;
+  };
+
+  router.get(
+    "/users",
+    verifyToken,
+    verifyAdmin,
+    asyncHandler(async (req, res) => {
+      const result = await usersCollection
+        .find({ deletedAt: deletedAtFilter(req.query, req.role) })
+        .toArray();
+      res.json(result);
+    })
+  );
+
+  router.get(
+    "/users/:email",
+    verifyToken,
+    authorize({ roles: STAFF, isOwner: ownsEmailParam }),
+    asyncHandler(async (req, res) => {
+      res.json(await findUserOr404(req.params.email));
+    })
+  );
+
+  router.get(
+    "/users/:email/role",
+    verifyToken,
+    asyncHandler(async (req, res) => {
+      const email = req.params.email;
+      const user = await usersCollection.findOne(
+        { email: email.toLowerCase(), deletedAt: null },
+        { projection: { role: 1, name: 1, photoURL: 1 } }
+      );
+      res.json({ role: user?.role || "student" });
+    })
+  );
+
+  // Registers or refreshes the signed-in user. Accounts always start as
+  // students; roles only change through PATCH /users/:email/role.
+  router.post(
+    "/users",
+    verifyToken,
+    rateLimit("account", { by: "user" }),
+    validateBody(SCHEMAS.user),
+    asyncHandler(async (req, res) => {
+      const { email, ...profile } = req.body;
+      if (!isSameEmail(email, req.user.email)) {
+        throw new HttpError(403, "You can only register your own account");
+      }
+
+      const now = new Date().toISOString();
+      const result = await usersCollection.updateOne(
+        { email },
+        {
+          $set: { ...profile, updatedAt: now },
+          $setOnInsert: { email, role: "student", createdAt: now },
+        },
+        { upsert: true }
+      );
+
+      if (!result.upsertedId) {
+        return res.json({ message: "User updated", created: false });
+      }
+      res.json({
+        message: "User created",
+        created: true,
+        insertedId: result.upsertedId,
+      });
+    })
+  );
+
+  router.patch(
+    "/users/:email",
+    verifyToken,
+    authorize({ roles: ["admin"], isOwner: ownsEmailParam }),
+    validateBody(SCHEMAS.profile, { partial: true }),
+    asyncHandler(async (req, res) => {
+      const email = req.params.email;
+      const { displayName, photoURL } = req.body;
+      const updateFields = { updatedAt: new Date().toISOString() };
+      if (displayName) updateFields.name = displayName;
+      if (photoURL) updateFields.photoURL = photoURL;
+
+      const result = await usersCollection.updateOne(
+        { email: email.toLowerCase(), deletedAt: null },
+        { $set: updateFields }
+      );
+      if (result.matchedCount === 0) {
+        throw new HttpError(404, "User not found");
+      }
+      res.json({
+        success: true,
+        message: "Profile updated",
+        modifiedCount: result.modifiedCount,
+      });
+    })
+  );
+
+  // The student profile recommendations are scored against. Fields left
+  // out keep their current value.
+  router.patch(
+    "/users/:email/profile",
+    verifyToken,
+    authorize({ roles: ["admin"], isOwner: ownsEmailParam }),
+    validateBody(SCHEMAS.studentProfile, { partial: true }),
+    asyncHandler(async (req, res) => {
+      const updates = Object.fromEntries(
+        Object.entries(req.body).map(([field, value]) => [
+          `studentProfile.${field}`,
+          value,
+        ])
+      );
+      const user = await usersCollection.findOneAndUpdate(
+        { email: req.params.email.toLowerCase(), deletedAt: null },
+        { $set: { ...updates, updatedAt: new Date().toISOString() } },
+        { returnDocument: "after", projection: { studentProfile: 1 } }
+      );
+      if (!user) throw new HttpError(404, "User not found");
+      res.json(user.studentProfile || {});
+    })
+  );
+
+  router.patch(
+    "/users/:email/role",
+    verifyToken,
+    verifyAdmin,
+    asyncHandler(async (req, res) => {
+      const { role } = req.body;
+
+      if (!["student", "moderator", "admin"].includes(role)) {
+        throw new HttpError(400, "Invalid role");
+      }
+
+      const before = await usersCollection.findOneAndUpdate(
+        { email: req.params.email.toLowerCase(), deletedAt: null },
+        { $set: { role, updatedAt: new Date().toISOString() } },
+        { projection: { email: 1, role: 1 } }
+      );
+      if (!before) throw new HttpError(404, "User not found");
+
+      await audit.record(req, {
+        action: "user.role.update",
+        collection: "users",
+        id: before._id,
+        before: { role: before.role },
+        after: { role },
+        details: { email: before.email },
+      });
+      res.json({
+        success: true,
+        modifiedCount: before.role === role ? 0 : 1,
+      });
+    })
+  );
+
+  // A deleted user keeps their applications and reviews, but loses any
+  // staff role until restored
+  router.delete(
+    "/users/:email",
+    verifyToken,
+    verifyAdmin,
+    asyncHandler(async (req, res) => {
+      const { _id } = await findUserOr404(req.params.email, { _id: 1 });
+      const user = await softDelete(usersCollection, _id, req);
+      if (!user) throw new HttpError(404, "User not found");
+
+      await audit.record(req, {
+        action: "user.delete",
+        collection: "users",
+        id: _id,
+        before: user,
+        details: { email: user.email },
+      });
+      res.json({ success: true, deletedCount: 1 });
+    })
+  );
+
+  router.post(
+    "/users/:email/restore",
+    verifyToken,
+    verifyAdmin,
+    asyncHandler(async (req, res) => {
+      const deleted = await usersCollection.findOne(
+        { email: req.params.email.toLowerCase(), deletedAt: { $ne: null } },
+        { projection: { _id: 1 } }
+      );
+      const user =
+        deleted &&
+        (await restoreDeleted(usersCollection, deleted._id, {
+          projection: { email: 1, deletedAt: 1 },
+        }));
+      if (!user) throw new HttpError(404, "Deleted user not found");
+
+      await audit.record(req, {
+        action: "user.restore",
+        collection: "users",
+        id: user._id,
+        details: { email: user.email, deletedAt: user.deletedAt },
+      });
+      res.json({ success: true, restored: true });
+    })
+  );
+
+  return router;
+};
@@ -0,0 +1,95 @@
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const {
+  HttpError,
+  asyncHandler,
+  findByIdOr404,
+  validateObjectId,
+} = require("../errors");
+const {
+  getScholarshipStatus,
+  publicScholarshipFilter,
+} = require("../scholarshipStatus");
+
+module.exports = ({ collections, access }) => {
+  const { wishlistsCollection, scholarshipsCollection } = collections;
+  const { verifyToken } = access;
+  const router = express.Router();
+  router.param("scholarshipId", validateObjectId);
+
+  router.get(
+    "/wishlist",
+    verifyToken,
+    asyncHandler(async (req, res) => {
+      const entries = await wishlistsCollection
+        .find({ userEmail: req.user.email.toLowerCase() })
+        .sort({ createdAt: -1 })
+        .toArray();
+
+      const scholarships = await scholarshipsCollection
+        .find({
+          _id: {
+            $in: entries.map((entry) => new ObjectId(entry.scholarshipId)),
+          },
+          deletedAt: null,
+          ...publicScholarshipFilter(),
+        })
+        .toArray();
+      const byId = new Map(scholarships.map((s) => [String(s._id), s]));
+
+      // Scholarships deleted or no longer published since they were saved
+      // are left out
+      res.json(
+        entries
+          .filter((entry) => byId.has(entry.scholarshipId))
+          .map((entry) => ({
+            _id: entry._id,
+            scholarshipId: entry.scholarshipId,
+            createdAt: entry.createdAt,
+            scholarship: byId.get(entry.scholarshipId),
+          }))
+      );
+    })
+  );
+
+  router.post(
+    "/wishlist/:scholarshipId",
+    verifyToken,
+    asyncHandler(async (req, res) => {
+      const { scholarshipId } = req.params;
+      const scholarship = await findByIdOr404(
+        scholarshipsCollection,
+        scholarshipId,
+        "Scholarship"
+      );
+      if (getScholarshipStatus(scholarship) !== "published") {
+        throw new HttpError(404, "Scholarship not found");
+      }
+
+      const userEmail = req.user.email.toLowerCase();
+      const result = await wishlistsCollection.updateOne(
+        { userEmail, scholarshipId },
+        { $setOnInsert: { createdAt: new Date().toISOString() } },
+        { upsert: true }
+      );
+      res.json({ success: true, added: result.upsertedCount === 1 });
+    })
+  );
+
+  router.delete(
+    "/wishlist/:scholarshipId",
+    verifyToken,
+    asyncHandler(async (req, res) => {
+      const result = await wishlistsCollection.deleteOne({
+        userEmail: req.user.email.toLowerCase(),
+        scholarshipId: req.params.scholarshipId,
+      });
+      if (result.deletedCount === 0) {
+        throw new HttpError(404, "Scholarship is not in your wishlist");
+      }
+      res.json({ success: true, deletedCount: result.deletedCount });
+    })
+  );
+
+  return router;
+};
@@ -0,0 +1,69 @@
+const { toNumber } = require("./pagination");
+const { assertSingleParams } = require("./validation");
+
+// Query parameter -> scholarship field, for exact-match filters. Several
+// values may be given comma separated.
+const SCHOLARSHIP_FILTERS = {
+  country: "universityCountry",
+  category: "scholarshipCategory",
+  subject: "subjectCategory",
+  degree: "degree",
+  // Public routes only ever see published scholarships
+  status: "status",
+};
+
+const SCHOLARSHIP_SORTS = {
+  deadline: "applicationDeadline",
+  fee: "applicationFees",
+  posted: "scholarshipPostDate",
+  rating: "averageRating",
+};
+
+// Filters may be repeated instead of comma separated; the rest may not
+const SINGLE_PARAMS = ["search", "minFee", "maxFee", "sort", "order"];
+
+const buildScholarshipQuery = (query) => {
+  assertSingleParams(query, SINGLE_PARAMS);
+  const filter = { deletedAt: null };
+
+  if (query.search?.trim()) filter.$text = { $search: query.search.trim() };
+
+  for (const [param, field] of Object.entries(SCHOLARSHIP_FILTERS)) {
+    if (!query[param]) continue;
+    const values = String(query[param])
+      .split(",")
+      .map((v) => v.trim())
+      .filter(Boolean);
+    if (values.length) filter[field] = { $in: values };
+  }
+
+  const minFee = toNumber(query.minFee);
+  const maxFee = toNumber(query.maxFee);
+  if (minFee !== null || maxFee !== null) {
+    filter.applicationFees = {
+      ...(minFee !== null && { $gte: minFee }),
+      ...(maxFee !== null && { $lte: maxFee }),
+    };
+  }
+
+  return filter;
+};
+
+const buildScholarshipSort = (
+  query,
+  fallback = { scholarshipPostDate: -1 }
+) => {
+  const field = SCHOLARSHIP_SORTS[query.sort];
+  if (field) {
+    return { [field]: query.order === "desc" ? -1 : 1, _id: 1 };
+  }
+  if (query.search?.trim()) return { score: { $meta: "textScore" }, _id: 1 };
+  return { ...fallback, _id: 1 };
+};
+
+module.exports = {
+  SCHOLARSHIP_FILTERS,
+  SCHOLARSHIP_SORTS,
+  buildScholarshipQuery,
+  buildScholarshipSort,
+};
@@ -0,0 +1,152 @@
+// Only published scholarships are public and take applications. Scheduled
+// ones publish at publishAt and published ones close at the deadline, both
+// on read and for good when the lifecycle job runs. Scholarships from before
+// the lifecycle have no status and count as published.
+const SCHOLARSHIP_STATUSES = [
+  "draft",
+  "scheduled",
+  "published",
+  "closed",
+  "archived",
+];
+// Moves an admin may make. Staying put is always allowed.
+const SCHOLARSHIP_TRANSITIONS = {
+  draft: ["scheduled", "published", "archived"],
+  scheduled: ["draft", "published", "archived"],
+  published: ["closed", "archived"],
+  closed: ["published", "archived"],
+  archived: ["draft"],
+};
+
+// A bare date deadline stays open through the end of that day, UTC
+const isPastDeadline = (deadline, now = new Date()) => {
+  if (!deadline) return false;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(deadline)) {
+    return now.toISOString().slice(0, 10) > deadline;
+  }
+  const date = new Date(deadline);
+  return !Number.isNaN(date.getTime()) && now > date;
+};
+
+const isDue = (publishAt, now) => {
+  if (!publishAt) return false;
+  const date = new Date(publishAt);
+  return !Number.isNaN(date.getTime()) && date <= now;
+};
+
+// The stored status with any scheduled publishing that is due applied
+const publishedStatus = (scholarship, now) => {
+  const status = scholarship.status || "published";
+  return status === "scheduled" && isDue(scholarship.publishAt, now)
+    ? "published"
+    : status;
+};
+
+// The status as of `now`, including publishing and closing the lifecycle
+// job hasn't caught up with yet
+const getScholarshipStatus = (scholarship, now = new Date()) => {
+  const status = publishedStatus(scholarship, now);
+  return status === "published" &&
+    isPastDeadline(scholarship.applicationDeadline, now)
+    ? "closed"
+    : status;
+};
+
+// Matches the scholarships getScholarshipStatus calls published, including
+// those without a deadline. Deadlines are compared by day, so one with a
+// time later today still matches until the lifecycle job closes it.
+const publicScholarshipFilter = (now = new Date()) => ({
+  status: { $in: ["published", "scheduled"] },
+  publishAt: { $not: { $gt: now.toISOString() } },
+  applicationDeadline: { $not: { $lt: now.toISOString().slice(0, 10) } },
+});
+
+// Returns why `scholarship` can't take new applications, as { code,
+// message }, or null when it can.
+const checkAcceptingApplications = (scholarship, now = new Date()) => {
+  const status = publishedStatus(scholarship, now);
+  if (status === "closed") {
+    return {
+      code: "SCHOLARSHIP_CLOSED",
+      message: "This scholarship is closed to new applications",
+    };
+  }
+  if (status !== "published") {
+    return {
+      code: "SCHOLARSHIP_NOT_PUBLISHED",
+      message: "This scholarship is not open for applications",
+    };
+  }
+  if (isPastDeadline(scholarship.applicationDeadline, now)) {
+    return {
+      code: "DEADLINE_PASSED",
+      message: "The application deadline has passed",
+    };
+  }
+  return null;
+};
+
+// Works out the fields an admin's { status, publishAt } sets on
+// `scholarship`, or on a new one when it is null, in which case the
+// changes carry its applicationDeadline. A publishAt alone schedules or
+// publishes depending on whether it is still ahead. Returns { set } or
+// { error: { status, code, message } }.
+const planStatusChange = (
+  scholarship,
+  { status, publishAt, applicationDeadline },
+  now = new Date()
+) => {
+  const fail = (httpStatus, message, code) => ({
+    error: { status: httpStatus, message, code },
+  });
+  const from = scholarship ? getScholarshipStatus(scholarship, now) : null;
+  const future = !!publishAt && !isDue(publishAt, now);
+  let to = status;
+  if (!to && publishAt) to = future ? "scheduled" : "published";
+  if (!to && !scholarship) to = "published";
+  if (!to) {
+    return fail(400, "status or publishAt is required");
+  }
+
+  if (from && from !== to && !SCHOLARSHIP_TRANSITIONS[from].includes(to)) {
+    return fail(
+      409,
+      `Cannot move scholarship from ${from} to ${to}`,
+      "INVALID_TRANSITION"
+    );
+  }
+  if (to === "scheduled" && !future) {
+    return fail(400, "publishAt must be in the future");
+  }
+  if (to === "published" && future) {
+    return fail(
+      400,
+      "publishAt is in the future, schedule the scholarship instead"
+    );
+  }
+  const deadline = applicationDeadline ?? scholarship?.applicationDeadline;
+  if (to === "published" && deadline && isPastDeadline(deadline, now)) {
+    return fail(
+      409,
+      "Move the application deadline before publishing",
+      "DEADLINE_PASSED"
+    );
+  }
+
+  const set = { status: to };
+  if (publishAt) set.publishAt = new Date(publishAt).toISOString();
+  else if (to === "published" && !isDue(scholarship?.publishAt, now)) {
+    set.publishAt = now.toISOString();
+  }
+  return { set };
+};
+
+module.exports = {
+  SCHOLARSHIP_STATUSES,
+  SCHOLARSHIP_TRANSITIONS,
+  isPastDeadline,
+  getScholarshipStatus,
+  publicScholarshipFilter,
+  checkAcceptingApplications,
+  planStatusChange,
+};
@@ -0,0 +1,48 @@
+const { ObjectId } = require("mongodb");
+const { HttpError } = require("./errors");
+
+// Users, scholarships and applications are soft deleted: deletedAt and
+// deletedBy are stamped and every read matches `deletedAt: null`, which
+// also covers records from before soft deletes existed. Restoring sets both
+// back to null rather than unsetting them, so partial indexes on
+// `deletedAt: null` keep covering the record.
+
+// Marks a live record deleted and returns it as it was, or null
+const softDelete = (
+  collection,
+  id,
+  req,
+  { now = new Date().toISOString(), ...options } = {}
+) =>
+  collection.findOneAndUpdate(
+    { _id: new ObjectId(id), deletedAt: null },
+    { $set: { deletedAt: now, deletedBy: req.user.email, updatedAt: now } },
+    options
+  );
+
+// Brings a deleted record back and returns it as it was, or null
+const restoreDeleted = (collection, id, options) =>
+  collection.findOneAndUpdate(
+    { _id: new ObjectId(id), deletedAt: { $ne: null } },
+    {
+      $set: {
+        deletedAt: null,
+        deletedBy: null,
+        updatedAt: new Date().toISOString(),
+      },
+    },
+    options
+  );
+
+// Listings hold admins to the same rule unless they pass `?deleted=true`,
+// which lists the deleted records instead so they can be restored or
+// purged. Returns the deletedAt condition for a caller with `role`.
+const deletedAtFilter = (query, role) => {
+  if (query.deleted !== "true") return null;
+  if (role !== "admin") {
+    throw new HttpError(403, "Only admins can list deleted records");
+  }
+  return { $ne: null };
+};
+
+module.exports = { softDelete, restoreDeleted, deletedAtFilter };
@@ -0,0 +1,40 @@
+const { createLocalStorage } = require("./local");
+const { createS3Storage } = require("./s3");
+
+// A storage backend saves, removes and signs download URLs for files by key:
+//   save(key, buffer, { contentType })
+//   remove(key)
+//   getSignedUrl(key, { expiresIn, filename, contentType })
+// Backends serving downloads through this app also provide
+// createReadStream(key) and verifyToken(token).
+const createStorage = (config) => {
+  if (config.storageDriver === "s3") {
+    return createS3Storage({
+      bucket: config.s3Bucket,
+      region: config.s3Region,
+      endpoint: config.s3Endpoint,
+    });
+  }
+  if (config.storageDriver !== "local") {
+    throw new Error(`Unknown storage driver: ${config.storageDriver}`);
+  }
+  return createLocalStorage({
+    directory: config.uploadDir,
+    secret: config.fileSigningSecret,
+    baseUrl: `${config.publicUrl}${config.apiPrefix}`,
+  });
+};
+
+// Removes files best effort: a failure is logged and leaves an orphaned file
+// rather than failing the request that no longer needs it.
+const removeFiles = async (storage, keys) => {
+  for (const key of keys) {
+    try {
+      await storage.remove(key);
+    } catch (error) {
+      console.error(`Could not remove stored file ${key}:`, error);
+    }
+  }
+};
+
+module.exports = { createStorage, removeFiles };
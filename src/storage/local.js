@@ -0,0 +1,71 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const sign = (payload, secret) =>
+  crypto.createHmac("sha256", secret).update(payload).digest("base64url");
+
+// Keeps files on disk under `directory`. Download links point back at this
+// server's GET /files/:token, where the token carries the key and expiry
+// and is signed with `secret`.
+const createLocalStorage = ({ directory, secret, baseUrl = "" }) => {
+  if (!secret) {
+    console.warn(
+      "FILE_SIGNING_SECRET is not set; download links will not survive a restart"
+    );
+    secret = crypto.randomBytes(32).toString("hex");
+  }
+  const root = path.resolve(directory);
+  const pathFor = (key) => {
+    const file = path.resolve(root, key);
+    if (!file.startsWith(root + path.sep)) throw new Error("Invalid key");
+    return file;
+  };
+
+  return {
+    name: "local",
+
+    save: async (key, buffer) => {
+      const file = pathFor(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, buffer);
+    },
+
+    remove: (key) => fs.promises.rm(pathFor(key), { force: true }),
+
+    createReadStream: (key) => fs.createReadStream(pathFor(key)),
+
+    getSignedUrl: async (key, { expiresIn, filename, contentType }) => {
+      const payload = Buffer.from(
+        JSON.stringify({
+          key,
+          filename,
+          contentType,
+          exp: Date.now() + expiresIn * 1000,
+        })
+      ).toString("base64url");
+      return `${baseUrl}/files/${payload}.${sign(payload, secret)}`;
+    },
+
+    // Returns the token's contents, or null when it is forged or expired
+    verifyToken: (token) => {
+      const [payload, signature = ""] = String(token).split(".");
+      const expected = Buffer.from(sign(payload, secret));
+      const given = Buffer.from(signature);
+      if (
+        given.length !== expected.length ||
+        !crypto.timingSafeEqual(given, expected)
+      ) {
+        return null;
+      }
+      try {
+        const claims = JSON.parse(Buffer.from(payload, "base64url").toString());
+        return claims.exp > Date.now() ? claims : null;
+      } catch {
+        return null;
+      }
+    },
+  };
+};
+
+module.exports = { createLocalStorage };
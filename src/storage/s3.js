@@ -0,0 +1,53 @@
+// Keeps files in an S3-compatible bucket and hands out presigned GET URLs.
+// Credentials come from the AWS SDK's usual environment variables.
+const createS3Storage = ({ bucket, region, endpoint }) => {
+  // Loaded on demand so deployments on local storage never pay for the SDK
+  const {
+    S3Client,
+    PutObjectCommand,
+    DeleteObjectCommand,
+    GetObjectCommand,
+  } = require("@aws-sdk/client-s3");
+  const { getSignedUrl } = require("@aws-sdk/s3-request-presigner");
+
+  if (!bucket) throw new Error("S3_BUCKET is required for S3 storage");
+  const client = new S3Client({
+    region,
+    endpoint,
+    // Most S3-compatible services only support path-style addressing
+    forcePathStyle: !!endpoint,
+  });
+
+  return {
+    name: "s3",
+
+    save: (key, buffer, { contentType }) =>
+      client.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          Body: buffer,
+          ContentType: contentType,
+        })
+      ),
+
+    remove: (key) =>
+      client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key })),
+
+    getSignedUrl: (key, { expiresIn, filename, contentType }) =>
+      getSignedUrl(
+        client,
+        new GetObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          ResponseContentType: contentType,
+          ResponseContentDisposition: `attachment; filename*=UTF-8''${encodeURIComponent(
+            filename
+          )}`,
+        }),
+        { expiresIn }
+      ),
+  };
+};
+
+module.exports = { createS3Storage };
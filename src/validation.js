@@ -0,0 +1,266 @@
+const { ObjectId } = require("mongodb");
+const { HttpError } = require("./errors");
+const { CURRENCIES } = require("./money");
+const { COUPON_TYPES } = require("./coupons");
+const { SCHOLARSHIP_STATUSES } = require("./scholarshipStatus");
+
+// The applicant's own answers on an application form
+const APPLICANT_FIELDS = {
+  userPhoto: { type: "string", maxLength: 2048 },
+  applicantPhone: { type: "string", maxLength: 30 },
+  applicantAddress: { type: "string", maxLength: 500 },
+  gender: { type: "string", enum: ["Male", "Female", "Other"] },
+  sscResult: { type: "number", min: 0, max: 5 },
+  hscResult: { type: "number", min: 0, max: 5 },
+  studyGap: { type: "string", maxLength: 100 },
+};
+
+// Writable fields per payload. Anything not declared, including server-owned
+// fields such as _id, role, paymentStatus and applicationStatus, is dropped
+// before the body reaches a handler.
+const SCHEMAS = {
+  scholarship: {
+    scholarshipName: { type: "string", required: true, maxLength: 200 },
+    universityName: { type: "string", required: true, maxLength: 200 },
+    universityImage: { type: "string", maxLength: 2048 },
+    universityCountry: { type: "string", required: true, maxLength: 100 },
+    universityCity: { type: "string", maxLength: 100 },
+    universityWorldRank: { type: "integer", min: 1 },
+    subjectCategory: { type: "string", required: true, maxLength: 100 },
+    scholarshipCategory: {
+      type: "string",
+      required: true,
+      enum: ["Full fund", "Partial", "Self-fund"],
+    },
+    degree: {
+      type: "string",
+      required: true,
+      enum: ["Diploma", "Bachelor", "Masters"],
+    },
+    tuitionFees: { type: "number", min: 0 },
+    applicationFees: { type: "number", required: true, min: 0, max: 10000 },
+    serviceCharge: { type: "number", required: true, min: 0, max: 10000 },
+    // Fees are in this currency, usd when unset
+    currency: { type: "string", enum: CURRENCIES },
+    applicationDeadline: { type: "date", required: true },
+    scholarshipPostDate: { type: "date" },
+    scholarshipDescription: { type: "string", maxLength: 5000 },
+    postedUserEmail: { type: "email" },
+  },
+  // Set when creating a scholarship or through its status route
+  scholarshipStatus: {
+    status: { type: "string", enum: SCHOLARSHIP_STATUSES },
+    publishAt: { type: "date" },
+  },
+  application: {
+    scholarshipId: { type: "objectId", required: true },
+    scholarshipName: { type: "string", maxLength: 200 },
+    universityName: { type: "string", maxLength: 200 },
+    universityCountry: { type: "string", maxLength: 100 },
+    universityCity: { type: "string", maxLength: 100 },
+    scholarshipCategory: { type: "string", maxLength: 100 },
+    subjectCategory: { type: "string", maxLength: 100 },
+    degree: { type: "string", enum: ["Diploma", "Bachelor", "Masters"] },
+    applicationFees: { type: "number", min: 0 },
+    serviceCharge: { type: "number", min: 0 },
+    ...APPLICANT_FIELDS,
+  },
+  // Only what the applicant filled in can change after submitting. The
+  // scholarship, its snapshot and the fees stay as they were applied for.
+  applicationUpdate: APPLICANT_FIELDS,
+  user: {
+    email: { type: "email", required: true },
+    name: { type: "string", maxLength: 100 },
+    photoURL: { type: "string", maxLength: 2048 },
+  },
+  profile: {
+    displayName: { type: "string", maxLength: 100 },
+    photoURL: { type: "string", maxLength: 2048 },
+  },
+  studentProfile: {
+    degree: { type: "string", enum: ["Diploma", "Bachelor", "Masters"] },
+    subject: { type: "string", maxLength: 100 },
+    country: { type: "string", maxLength: 100 },
+    gpa: { type: "number", min: 0, max: 5 },
+    // Most the student will pay in application fee and service charge
+    budget: { type: "number", min: 0 },
+  },
+  review: {
+    ratingPoint: { type: "integer", required: true, min: 1, max: 5 },
+    reviewComment: { type: "string", required: true, maxLength: 2000 },
+  },
+  reviewModeration: {
+    status: {
+      type: "string",
+      required: true,
+      enum: ["visible", "hidden", "flagged"],
+    },
+    reason: { type: "string", maxLength: 500 },
+  },
+  coupon: {
+    code: { type: "string", required: true, maxLength: 40 },
+    type: { type: "string", required: true, enum: COUPON_TYPES },
+    // Percent off, or an amount in major units for fixed coupons
+    value: { type: "number", min: 0 },
+    currency: { type: "string", enum: CURRENCIES },
+    scholarshipId: { type: "objectId" },
+    expiresAt: { type: "date" },
+    maxUses: { type: "integer", min: 1 },
+    active: { type: "boolean" },
+  },
+  refund: {
+    amount: { type: "integer", min: 1 },
+    reason: { type: "string", maxLength: 500 },
+  },
+  withdrawal: {
+    reason: { type: "string", maxLength: 500 },
+  },
+  attachment: {
+    kind: {
+      type: "string",
+      required: true,
+      enum: ["transcript", "id", "recommendation", "other"],
+    },
+  },
+  // What a moderator tells the student; it replaces any earlier feedback
+  feedback: {
+    feedback: { type: "string", required: true, maxLength: 2000 },
+  },
+  applicationReview: {
+    rating: { type: "integer", required: true, min: 1, max: 5 },
+    comment: { type: "string", required: true, maxLength: 2000 },
+  },
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Each checker returns [value, error]. Numbers may arrive as numeric
+// strings from form inputs and are converted.
+const FIELD_TYPES = {
+  string: (v) => (typeof v === "string" ? [v.trim()] : [v, "must be a string"]),
+  number: (v) => {
+    const n = typeof v === "string" && v.trim() !== "" ? Number(v) : v;
+    return typeof n === "number" && Number.isFinite(n)
+      ? [n]
+      : [v, "must be a number"];
+  },
+  integer: (v) => {
+    const [n, error] = FIELD_TYPES.number(v);
+    return error || Number.isInteger(n)
+      ? [n, error]
+      : [v, "must be an integer"];
+  },
+  boolean: (v) => (typeof v === "boolean" ? [v] : [v, "must be true or false"]),
+  // Stored as YYYY-MM-DD, or a full ISO timestamp when a time is given,
+  // since dates are compared as strings in queries
+  date: (v) => {
+    const text = typeof v === "string" ? v.trim() : "";
+    const date = new Date(text);
+    if (!text || Number.isNaN(date.getTime())) return [v, "must be a date"];
+    if (text.includes(":")) return [date.toISOString()];
+    if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+      return date.toISOString().startsWith(text)
+        ? [text]
+        : [v, "must be a date"];
+    }
+    // A day in another format, which parses as local midnight
+    const pad = (n) => String(n).padStart(2, "0");
+    return [
+      `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(
+        date.getDate()
+      )}`,
+    ];
+  },
+  email: (v) =>
+    typeof v === "string" && EMAIL_PATTERN.test(v.trim())
+      ? [v.trim().toLowerCase()]
+      : [v, "must be an email address"],
+  objectId: (v) =>
+    typeof v === "string" && ObjectId.isValid(v) ? [v] : [v, "must be an id"],
+};
+
+// Validates `body` against `schema`. With `partial`, required fields may be
+// left out, as for PATCH requests.
+const validatePayload = (schema, body, { partial = false } = {}) => {
+  const data = {};
+  const errors = [];
+  const input = body && typeof body === "object" ? body : {};
+
+  for (const [field, rules] of Object.entries(schema)) {
+    const raw = input[field];
+    if (raw === undefined || raw === null || raw === "") {
+      if (rules.required && !partial) {
+        errors.push({ field, message: "is required" });
+      }
+      continue;
+    }
+
+    const [value, error] = FIELD_TYPES[rules.type](raw);
+    if (error) {
+      errors.push({ field, message: error });
+    } else if (value === "" && rules.required && !partial) {
+      errors.push({ field, message: "is required" });
+    } else if (rules.enum && !rules.enum.includes(value)) {
+      errors.push({
+        field,
+        message: `must be one of ${rules.enum.join(", ")}`,
+      });
+    } else if (rules.min !== undefined && value < rules.min) {
+      errors.push({ field, message: `must be at least ${rules.min}` });
+    } else if (rules.max !== undefined && value > rules.max) {
+      errors.push({ field, message: `must be at most ${rules.max}` });
+    } else if (
+      rules.maxLength !== undefined &&
+      value.length > rules.maxLength
+    ) {
+      errors.push({
+        field,
+        message: `must be at most ${rules.maxLength} characters`,
+      });
+    } else {
+      data[field] = value;
+    }
+  }
+
+  if (!errors.length && partial && !Object.keys(data).length) {
+    errors.push({ field: null, message: "No writable fields provided" });
+  }
+  return { data, errors };
+};
+
+// Replaces req.body with the validated, whitelisted payload.
+const validateBody = (schema, options) => (req, res, next) => {
+  const { data, errors } = validatePayload(schema, req.body, options);
+  if (errors.length) {
+    return next(
+      new HttpError(400, "Validation failed", {
+        code: "VALIDATION_FAILED",
+        errors,
+      })
+    );
+  }
+  req.body = data;
+  next();
+};
+
+// A repeated query parameter arrives as an array. Those in `params` are
+// read as text, so that is a validation failure rather than a crash.
+const assertSingleParams = (query, params) => {
+  const errors = params
+    .filter((param) => query[param] !== undefined)
+    .filter((param) => typeof query[param] !== "string")
+    .map((param) => ({ field: param, message: "must be given once" }));
+  if (errors.length) {
+    throw new HttpError(400, "Validation failed", {
+      code: "VALIDATION_FAILED",
+      errors,
+    });
+  }
+};
+
+module.exports = {
+  SCHEMAS,
+  validatePayload,
+  validateBody,
+  assertSingleParams,
+};
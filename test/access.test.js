@@ -0,0 +1,112 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const {
+  SPEC,
+  USERS,
+  scholarshipDoc,
+  applicationDoc,
+  startTestServer,
+} = require("./helpers");
+
+// Every operation the document says needs a token, with the roles it
+// admits when it names any
+const OPERATIONS = Object.entries(SPEC.paths).flatMap(([path, item]) =>
+  Object.entries(item)
+    .filter(
+      ([, operation]) =>
+        operation.security.length &&
+        operation.security.every((requirement) => requirement.bearerAuth)
+    )
+    .map(([method, operation]) => ({
+      method,
+      path,
+      roles: operation["x-roles"],
+    }))
+);
+
+// Callers who neither own the records below nor hold a listed role
+const OUTSIDERS = [USERS.other, USERS.moderator, USERS.admin];
+
+describe("access policies", () => {
+  let server;
+  let ids;
+
+  // Fills in path parameters with records owned by USERS.student
+  const pathFor = (path) =>
+    path
+      .replace("{email}", USERS.student.email)
+      .replace("{attachmentId}", String(new ObjectId()))
+      .replace("{scholarshipId}", ids.scholarships)
+      .replace("{id}", ids[path.split("/")[1]] || String(new ObjectId()));
+
+  const call = (caller, { method, path }) => {
+    const req = caller
+      ? server.as(caller)[method](pathFor(path))
+      : server.request()[method](pathFor(path));
+    const body =
+      path === "/checkout-sessions" ? { applicationId: ids.applications } : {};
+    return method === "get" ? req : req.send(body);
+  };
+
+  before(async () => {
+    server = await startTestServer();
+  });
+  after(() => server.stop());
+  beforeEach(async () => {
+    await server.reset();
+    const { collections } = server;
+    const scholarship = String(
+      (await collections.scholarshipsCollection.insertOne(scholarshipDoc()))
+        .insertedId
+    );
+    const application = String(
+      (
+        await collections.applicationCollection.insertOne(
+          applicationDoc({ scholarshipId: scholarship })
+        )
+      ).insertedId
+    );
+    const review = String(
+      (
+        await collections.reviewsCollection.insertOne({
+          scholarshipId: scholarship,
+          userEmail: USERS.student.email,
+          ratingPoint: 4,
+          reviewComment: "Good",
+          reviewDate: new Date("2025-01-01"),
+        })
+      ).insertedId
+    );
+    ids = {
+      scholarships: scholarship,
+      applications: application,
+      reviews: review,
+    };
+  });
+
+  it("asks every protected route for a token", async () => {
+    for (const operation of OPERATIONS) {
+      const res = await call(null, operation);
+      assert.equal(
+        res.status,
+        401,
+        `${operation.method.toUpperCase()} ${operation.path}`
+      );
+    }
+  });
+
+  it("turns away every role a route does not admit", async () => {
+    for (const operation of OPERATIONS.filter(({ roles }) => roles)) {
+      for (const caller of OUTSIDERS) {
+        if (operation.roles.includes(caller.role)) continue;
+        const res = await call(caller, operation);
+        assert.equal(
+          res.status,
+          403,
+          `${caller.role} ${operation.method.toUpperCase()} ${operation.path}`
+        );
+      }
+    }
+  });
+});
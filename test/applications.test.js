@@ -0,0 +1,763 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const {
+  USERS,
+  scholarshipDoc,
+  applicationDoc,
+  startTestServer,
+} = require("./helpers");
+
+describe("application routes", () => {
+  let server;
+  let scholarshipId;
+  let applicationId;
+
+  const insertApplication = async (overrides) => {
+    const { insertedId } =
+      await server.collections.applicationCollection.insertOne(
+        applicationDoc({ scholarshipId, ...overrides })
+      );
+    return String(insertedId);
+  };
+  const getApplication = (id) =>
+    server.collections.applicationCollection.findOne({
+      _id: new ObjectId(id),
+    });
+
+  before(async () => {
+    server = await startTestServer();
+  });
+  after(() => server.stop());
+  beforeEach(async () => {
+    await server.reset();
+    const { insertedId } =
+      await server.collections.scholarshipsCollection.insertOne(
+        scholarshipDoc()
+      );
+    scholarshipId = String(insertedId);
+    applicationId = await insertApplication();
+  });
+
+  describe("POST /applications", () => {
+    it("starts applications as pending and unpaid with a history entry", async () => {
+      const res = await server.as(USERS.other).post("/applications").send({
+        scholarshipId,
+        paymentStatus: "paid",
+        applicationStatus: "completed",
+      });
+      assert.equal(res.status, 200);
+
+      const saved = await getApplication(res.body.insertedId);
+      assert.equal(saved.paymentStatus, "unpaid");
+      assert.equal(saved.applicationStatus, "pending");
+      assert.equal(saved.statusHistory.length, 1);
+      assert.equal(saved.statusHistory[0].to, "pending");
+      assert.equal(saved.statusHistory[0].by, USERS.other.email);
+    });
+
+    it("takes the applicant from the token and details from the scholarship", async () => {
+      const res = await server.as(USERS.other).post("/applications").send({
+        scholarshipId,
+        userEmail: USERS.admin.email,
+        userName: "Someone else",
+        applicationFees: 0,
+      });
+      assert.equal(res.status, 200);
+
+      const saved = await getApplication(res.body.insertedId);
+      assert.equal(saved.userEmail, USERS.other.email);
+      assert.equal(saved.userName, "other");
+      assert.equal(saved.applicationFees, 20);
+      assert.equal(saved.universityName, "Oxford");
+    });
+
+    it("rejects a second application to the same scholarship", async () => {
+      const res = await server
+        .as(USERS.student)
+        .post("/applications")
+        .send({ scholarshipId });
+      assert.equal(res.status, 409);
+      assert.equal(res.body.code, "DUPLICATE_APPLICATION");
+    });
+
+    it("relies on the unique index when submissions race", async () => {
+      await assert.rejects(
+        server.collections.applicationCollection.insertOne(
+          applicationDoc({ scholarshipId })
+        ),
+        { code: 11000 }
+      );
+    });
+
+    it("refuses applications after the deadline, once closed or unpublished", async () => {
+      const { scholarshipsCollection } = server.collections;
+      const apply = async (overrides) => {
+        const { insertedId } = await scholarshipsCollection.insertOne(
+          scholarshipDoc(overrides)
+        );
+        return server
+          .as(USERS.other)
+          .post("/applications")
+          .send({ scholarshipId: String(insertedId) });
+      };
+
+      const late = await apply({ applicationDeadline: "2020-01-01" });
+      assert.equal(late.status, 409);
+      assert.equal(late.body.code, "DEADLINE_PASSED");
+
+      const today = await apply({
+        applicationDeadline: new Date().toISOString().slice(0, 10),
+      });
+      assert.equal(today.status, 200);
+
+      const closed = await apply({ status: "closed" });
+      assert.equal(closed.status, 409);
+      assert.equal(closed.body.code, "SCHOLARSHIP_CLOSED");
+
+      for (const status of ["draft", "archived"]) {
+        const hidden = await apply({ status });
+        assert.equal(hidden.status, 409);
+        assert.equal(hidden.body.code, "SCHOLARSHIP_NOT_PUBLISHED");
+      }
+      const scheduled = await apply({
+        status: "scheduled",
+        publishAt: "2099-01-01T00:00:00.000Z",
+      });
+      assert.equal(scheduled.body.code, "SCHOLARSHIP_NOT_PUBLISHED");
+      const due = await apply({
+        status: "scheduled",
+        publishAt: "2020-01-01T00:00:00.000Z",
+      });
+      assert.equal(due.status, 200);
+    });
+
+    it("404s for unknown scholarships", async () => {
+      const res = await server
+        .as(USERS.other)
+        .post("/applications")
+        .send({ scholarshipId: "000000000000000000000000" });
+      assert.equal(res.status, 404);
+    });
+
+    it("requires a scholarship id", async () => {
+      const res = await server.as(USERS.other).post("/applications").send({});
+      assert.equal(res.status, 400);
+      assert.equal(res.body.errors[0].field, "scholarshipId");
+    });
+  });
+
+  describe("GET /applications", () => {
+    it("is limited to moderators and admins", async () => {
+      for (const user of [USERS.moderator, USERS.admin]) {
+        const res = await server.as(user).get("/applications");
+        assert.equal(res.status, 200);
+        assert.equal(res.body.items.length, 1);
+      }
+      const res = await server.as(USERS.student).get("/applications");
+      assert.equal(res.status, 403);
+    });
+  });
+
+  describe("GET /applications/:id", () => {
+    it("is visible to the applicant and staff only", async () => {
+      for (const user of [USERS.student, USERS.moderator, USERS.admin]) {
+        const res = await server.as(user).get(`/applications/${applicationId}`);
+        assert.equal(res.status, 200);
+      }
+      const res = await server
+        .as(USERS.other)
+        .get(`/applications/${applicationId}`);
+      assert.equal(res.status, 403);
+    });
+
+    it("404s for missing applications", async () => {
+      const res = await server
+        .as(USERS.student)
+        .get("/applications/000000000000000000000000");
+      assert.equal(res.status, 404);
+    });
+  });
+
+  describe("GET /users/:email/applications", () => {
+    it("returns a user's applications to themselves and staff", async () => {
+      for (const user of [USERS.student, USERS.moderator, USERS.admin]) {
+        const res = await server
+          .as(user)
+          .get(`/users/${USERS.student.email}/applications`);
+        assert.equal(res.status, 200);
+        assert.equal(res.body.length, 1);
+      }
+      const res = await server
+        .as(USERS.other)
+        .get(`/users/${USERS.student.email}/applications`);
+      assert.equal(res.status, 403);
+    });
+  });
+
+  describe("GET /applications/recent", () => {
+    it("only returns the caller's applications", async () => {
+      await insertApplication({ userEmail: USERS.other.email });
+      const res = await server.as(USERS.other).get("/applications/recent");
+      assert.equal(res.status, 200);
+      assert.deepEqual(
+        res.body.map((a) => a.userEmail),
+        [USERS.other.email]
+      );
+    });
+  });
+
+  describe("GET /applications", () => {
+    const queue = (query = "", user = USERS.moderator) =>
+      server.as(user).get(`/applications${query}`);
+
+    beforeEach(async () => {
+      await insertApplication({
+        userName: "Rita",
+        userEmail: "rita@example.com",
+        universityName: "MIT",
+        applicationStatus: "processing",
+        paymentStatus: "paid",
+        appliedAt: "2025-03-10T12:00:00.000Z",
+        assignedTo: USERS.moderator.email,
+      });
+      await insertApplication({
+        userName: "Theo",
+        userEmail: "theo@example.com",
+        applicationStatus: "rejected",
+        appliedAt: "2025-01-15T00:00:00.000Z",
+      });
+    });
+
+    it("pages the queue oldest first with per-status counts", async () => {
+      const res = await queue("?pageSize=2");
+      assert.equal(res.status, 200);
+      assert.equal(res.body.total, 3);
+      assert.deepEqual(
+        res.body.items.map((a) => a.userEmail),
+        ["theo@example.com", USERS.student.email]
+      );
+      assert.deepEqual(res.body.counts, {
+        pending: 1,
+        processing: 1,
+        completed: 0,
+        rejected: 1,
+        archived: 0,
+        withdrawn: 0,
+      });
+      assert.equal(res.body.items[0].statusHistory, undefined);
+    });
+
+    it("filters by status without narrowing the counts", async () => {
+      const res = await queue(
+        "?status=pending,processing&sort=applied&order=desc"
+      );
+      assert.deepEqual(
+        res.body.items.map((a) => a.userEmail),
+        ["rita@example.com", USERS.student.email]
+      );
+      assert.equal(res.body.counts.rejected, 1);
+    });
+
+    it("filters by payment, university and date range", async () => {
+      const paid = await queue("?paymentStatus=paid");
+      assert.deepEqual(
+        paid.body.items.map((a) => a.userName),
+        ["Rita"]
+      );
+
+      const oxford = await queue(
+        "?university=Oxford&from=2025-01-20&to=2025-02-01"
+      );
+      assert.deepEqual(
+        oxford.body.items.map((a) => a.userEmail),
+        [USERS.student.email]
+      );
+      assert.deepEqual(oxford.body.counts, {
+        pending: 1,
+        processing: 0,
+        completed: 0,
+        rejected: 0,
+        archived: 0,
+        withdrawn: 0,
+      });
+    });
+
+    it("searches applicant names and emails", async () => {
+      const byName = await queue("?search=rit");
+      assert.deepEqual(
+        byName.body.items.map((a) => a.userName),
+        ["Rita"]
+      );
+      const byEmail = await queue("?search=THEO@");
+      assert.deepEqual(
+        byEmail.body.items.map((a) => a.userName),
+        ["Theo"]
+      );
+    });
+
+    it("rejects a repeated search", async () => {
+      const res = await queue("?search=rit&search=theo");
+      assert.equal(res.status, 400);
+      assert.deepEqual(res.body.errors, [
+        { field: "search", message: "must be given once" },
+      ]);
+    });
+
+    it("searches the name given on the form", async () => {
+      await insertApplication({
+        userName: "Account Holder",
+        applicantName: "Priya Raman",
+        userEmail: "priya@example.com",
+      });
+      const res = await queue("?search=raman");
+      assert.deepEqual(
+        res.body.items.map((a) => a.userEmail),
+        ["priya@example.com"]
+      );
+    });
+
+    it("filters by assignee", async () => {
+      const mine = await queue("?assignedTo=me");
+      assert.deepEqual(
+        mine.body.items.map((a) => a.userName),
+        ["Rita"]
+      );
+      const unclaimed = await queue("?assignedTo=none");
+      assert.equal(unclaimed.body.total, 2);
+
+      const byEmail = await queue(`?assignedTo=${USERS.moderator.email}`);
+      assert.deepEqual(
+        byEmail.body.items.map((a) => a.userName),
+        ["Rita"]
+      );
+    });
+
+    it("rejects malformed dates", async () => {
+      const res = await queue("?from=someday");
+      assert.equal(res.status, 400);
+    });
+
+    it("is for staff", async () => {
+      assert.equal((await queue("", USERS.admin)).status, 200);
+      assert.equal((await queue("", USERS.student)).status, 403);
+    });
+  });
+
+  describe("GET /applications/export", () => {
+    it("keeps CSV cells from reading as formulas", async () => {
+      await insertApplication({
+        userName: '=HYPERLINK("http://evil.example","x")',
+        applicantAddress: "@SUM(A1)",
+        applicantPhone: "\t=1+1",
+        userEmail: "mallory@example.com",
+        applicationStatus: "rejected",
+      });
+
+      const csv = await server
+        .as(USERS.admin)
+        .get("/applications/export?status=rejected");
+      assert.match(
+        csv.text,
+        /"'=HYPERLINK\(""http:\/\/evil\.example"",""x""\)"/
+      );
+      assert.doesNotMatch(csv.text, /,=|,@|,"?\t/);
+      assert.match(csv.text, /,'\t=1\+1,/);
+
+      const json = await server
+        .as(USERS.admin)
+        .get("/applications/export?format=json&status=rejected");
+      assert.equal(
+        json.body[0].userName,
+        '=HYPERLINK("http://evil.example","x")'
+      );
+    });
+
+    it("streams applications matching the queue filters", async () => {
+      await insertApplication({
+        userName: "Rita",
+        userEmail: "rita@example.com",
+        applicationStatus: "rejected",
+      });
+
+      const csv = await server
+        .as(USERS.admin)
+        .get("/applications/export?status=rejected");
+      assert.equal(csv.status, 200);
+      assert.match(csv.headers["content-type"], /text\/csv/);
+      const lines = csv.text.trim().split("\n");
+      assert.equal(lines.length, 2);
+      assert.match(lines[1], /rita@example.com/);
+      assert.doesNotMatch(csv.text, /statusHistory/);
+
+      const json = await server
+        .as(USERS.admin)
+        .get("/applications/export?format=json&sort=name");
+      assert.deepEqual(
+        json.body.map((a) => a.userName),
+        ["Rita", USERS.student.name]
+      );
+    });
+
+    it("is for admins", async () => {
+      const res = await server.as(USERS.moderator).get("/applications/export");
+      assert.equal(res.status, 403);
+    });
+  });
+
+  describe("assignment", () => {
+    const claim = (user, id = applicationId) =>
+      server.as(user).post(`/applications/${id}/claim`);
+
+    it("lets a moderator claim an unassigned application", async () => {
+      const res = await claim(USERS.moderator);
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body, { assignedTo: USERS.moderator.email });
+
+      const saved = await getApplication(applicationId);
+      assert.equal(saved.assignedTo, USERS.moderator.email);
+      assert.equal(saved.statusHistory.at(-1).type, "assignment");
+
+      assert.equal((await claim(USERS.moderator)).status, 200);
+      assert.equal((await claim(USERS.otherModerator)).status, 409);
+    });
+
+    it("keeps other moderators from working a claimed application", async () => {
+      await claim(USERS.moderator);
+
+      const status = await server
+        .as(USERS.otherModerator)
+        .patch(`/applications/${applicationId}/status`)
+        .send({ status: "rejected" });
+      assert.equal(status.status, 409);
+      assert.match(status.body.error, /assigned to mod@example.com/);
+
+      const feedback = await server
+        .as(USERS.otherModerator)
+        .patch(`/applications/${applicationId}/feedback`)
+        .send({ feedback: "Hi" });
+      assert.equal(feedback.status, 409);
+    });
+
+    it("claims unassigned applications when their status changes", async () => {
+      await server
+        .as(USERS.moderator)
+        .patch(`/applications/${applicationId}/status`)
+        .send({ status: "rejected" });
+      const saved = await getApplication(applicationId);
+      assert.equal(saved.assignedTo, USERS.moderator.email);
+    });
+
+    it("lets the assignee or an admin release it", async () => {
+      await claim(USERS.moderator);
+      const other = await server
+        .as(USERS.otherModerator)
+        .post(`/applications/${applicationId}/release`);
+      assert.equal(other.status, 409);
+
+      const admin = await server
+        .as(USERS.admin)
+        .post(`/applications/${applicationId}/release`);
+      assert.equal(admin.status, 200);
+      assert.equal((await getApplication(applicationId)).assignedTo, null);
+      assert.equal((await claim(USERS.otherModerator)).status, 200);
+    });
+
+    it("lets admins assign applications to moderators", async () => {
+      const assign = (assignedTo) =>
+        server
+          .as(USERS.admin)
+          .patch(`/applications/${applicationId}/assignee`)
+          .send({ assignedTo });
+
+      const res = await assign(USERS.otherModerator.email);
+      assert.equal(res.status, 200);
+      assert.equal(
+        (await getApplication(applicationId)).assignedTo,
+        USERS.otherModerator.email
+      );
+
+      assert.equal((await assign(USERS.student.email)).status, 400);
+
+      const moderator = await server
+        .as(USERS.moderator)
+        .patch(`/applications/${applicationId}/assignee`)
+        .send({ assignedTo: USERS.moderator.email });
+      assert.equal(moderator.status, 403);
+    });
+  });
+
+  describe("PATCH /applications/:id", () => {
+    it("lets the applicant edit but not touch server-owned fields", async () => {
+      const res = await server
+        .as(USERS.student)
+        .patch(`/applications/${applicationId}`)
+        .send({ applicantPhone: "12345", paymentStatus: "paid" });
+      assert.equal(res.status, 200);
+
+      const saved = await getApplication(applicationId);
+      assert.equal(saved.applicantPhone, "12345");
+      assert.equal(saved.paymentStatus, "unpaid");
+    });
+
+    it("keeps the scholarship, its snapshot and the fees as applied for", async () => {
+      const before = await getApplication(applicationId);
+      const other = await server.collections.scholarshipsCollection.insertOne(
+        scholarshipDoc({ scholarshipName: "Elsewhere" })
+      );
+
+      const res = await server
+        .as(USERS.student)
+        .patch(`/applications/${applicationId}`)
+        .send({
+          scholarshipId: String(other.insertedId),
+          universityName: "Somewhere else",
+          applicationFees: 1,
+          serviceCharge: 0,
+        });
+      assert.equal(res.status, 400);
+      assert.equal(res.body.code, "VALIDATION_FAILED");
+
+      const saved = await getApplication(applicationId);
+      for (const field of [
+        "scholarshipId",
+        "universityName",
+        "applicationFees",
+        "serviceCharge",
+      ]) {
+        assert.deepEqual(saved[field], before[field]);
+      }
+    });
+
+    it("allows admins, forbids other students and moderators", async () => {
+      const admin = await server
+        .as(USERS.admin)
+        .patch(`/applications/${applicationId}`)
+        .send({ applicantPhone: "1" });
+      assert.equal(admin.status, 200);
+
+      for (const user of [USERS.other, USERS.moderator]) {
+        const res = await server
+          .as(user)
+          .patch(`/applications/${applicationId}`)
+          .send({ applicantPhone: "2" });
+        assert.equal(res.status, 403);
+      }
+    });
+  });
+
+  describe("PATCH /applications/:id/status", () => {
+    const setStatus = (id, status, note) =>
+      server
+        .as(USERS.moderator)
+        .patch(`/applications/${id}/status`)
+        .send({ status, note });
+
+    it("moves through allowed transitions and records history", async () => {
+      const id = await insertApplication({
+        userEmail: USERS.other.email,
+        paymentStatus: "paid",
+      });
+
+      assert.equal((await setStatus(id, "processing")).status, 200);
+      assert.equal((await setStatus(id, "completed", "Congrats")).status, 200);
+
+      const saved = await getApplication(id);
+      assert.equal(saved.applicationStatus, "completed");
+      assert.deepEqual(
+        saved.statusHistory.map((h) => [h.from, h.to, h.by]),
+        [
+          ["pending", "processing", USERS.moderator.email],
+          ["processing", "completed", USERS.moderator.email],
+        ]
+      );
+      assert.equal(saved.statusHistory[1].note, "Congrats");
+    });
+
+    it("rejects invalid transitions", async () => {
+      assert.equal((await setStatus(applicationId, "rejected")).status, 200);
+
+      const res = await setStatus(applicationId, "completed");
+      assert.equal(res.status, 409);
+      assert.match(res.body.error, /rejected to completed/);
+    });
+
+    it("keeps unpaid applications out of processing", async () => {
+      const res = await setStatus(applicationId, "processing");
+      assert.equal(res.status, 409);
+      assert.match(res.body.error, /Unpaid/);
+    });
+
+    it("rejects unknown statuses", async () => {
+      const res = await setStatus(applicationId, "archived");
+      assert.equal(res.status, 409);
+    });
+
+    it("409s on legacy statuses it doesn't know", async () => {
+      const id = await insertApplication({
+        userEmail: USERS.other.email,
+        applicationStatus: "approved",
+      });
+      const res = await setStatus(id, "rejected");
+      assert.equal(res.status, 409);
+      assert.match(res.body.error, /Unknown current status approved/);
+    });
+
+    it("is for moderators", async () => {
+      const res = await server
+        .as(USERS.student)
+        .patch(`/applications/${applicationId}/status`)
+        .send({ status: "rejected" });
+      assert.equal(res.status, 403);
+    });
+  });
+
+  describe("PATCH /applications/:id/feedback", () => {
+    it("stores feedback and adds it to the timeline", async () => {
+      const res = await server
+        .as(USERS.moderator)
+        .patch(`/applications/${applicationId}/feedback`)
+        .send({ feedback: "Missing transcript" });
+      assert.equal(res.status, 200);
+
+      const saved = await getApplication(applicationId);
+      assert.equal(saved.feedback, "Missing transcript");
+      assert.equal(saved.statusHistory.at(-1).type, "feedback");
+      assert.equal(saved.statusHistory.at(-1).note, "Missing transcript");
+    });
+
+    it("requires non-empty text", async () => {
+      for (const body of [{}, { feedback: "   " }, { feedback: { a: 1 } }]) {
+        const res = await server
+          .as(USERS.moderator)
+          .patch(`/applications/${applicationId}/feedback`)
+          .send(body);
+        assert.equal(res.status, 400);
+        assert.equal(res.body.errors[0].field, "feedback");
+      }
+      const saved = await getApplication(applicationId);
+      assert.equal(saved.feedback, undefined);
+      assert.equal(saved.statusHistory, undefined);
+    });
+  });
+
+  describe("GET /applications/:id/history", () => {
+    it("returns the timeline in order to the applicant", async () => {
+      await server.collections.applicationCollection.updateOne(
+        { _id: new ObjectId(applicationId) },
+        {
+          $set: {
+            statusHistory: [
+              {
+                type: "status",
+                to: "rejected",
+                by: USERS.moderator.email,
+                at: "2025-02-02T00:00:00Z",
+              },
+              {
+                type: "status",
+                to: "pending",
+                by: USERS.student.email,
+                at: "2025-02-01T00:00:00Z",
+              },
+            ],
+          },
+        }
+      );
+
+      const res = await server
+        .as(USERS.student)
+        .get(`/applications/${applicationId}/history`);
+      assert.equal(res.status, 200);
+      assert.deepEqual(
+        res.body.map((h) => h.to),
+        ["pending", "rejected"]
+      );
+    });
+
+    it("is hidden from other students", async () => {
+      const res = await server
+        .as(USERS.other)
+        .get(`/applications/${applicationId}/history`);
+      assert.equal(res.status, 403);
+    });
+  });
+
+  describe("GET /scholarships/:id/application", () => {
+    it("reports whether the caller already applied", async () => {
+      const applied = await server
+        .as(USERS.student)
+        .get(`/scholarships/${scholarshipId}/application`);
+      assert.equal(applied.body.hasApplied, true);
+      assert.equal(applied.body.application._id, applicationId);
+
+      const notApplied = await server
+        .as(USERS.other)
+        .get(`/scholarships/${scholarshipId}/application`);
+      assert.deepEqual(notApplied.body, {
+        hasApplied: false,
+        application: null,
+      });
+    });
+  });
+
+  describe("DELETE /applications/:id", () => {
+    it("lets the applicant delete their application", async () => {
+      const res = await server
+        .as(USERS.student)
+        .delete(`/applications/${applicationId}`);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.deletedCount, 1);
+
+      const deleted = await getApplication(applicationId);
+      assert.equal(deleted.deletedBy, USERS.student.email);
+      assert.ok(deleted.deletedAt);
+
+      const read = await server
+        .as(USERS.admin)
+        .get(`/applications/${applicationId}`);
+      assert.equal(read.status, 404);
+      const mine = await server
+        .as(USERS.student)
+        .get(`/users/${USERS.student.email}/applications`);
+      assert.deepEqual(mine.body, []);
+    });
+
+    it("lets the student apply again after deleting", async () => {
+      const { scholarshipId } = await getApplication(applicationId);
+      await server.as(USERS.student).delete(`/applications/${applicationId}`);
+
+      const res = await server
+        .as(USERS.student)
+        .post("/applications")
+        .send({ scholarshipId });
+      assert.equal(res.status, 200);
+    });
+
+    it("allows admins and forbids other students", async () => {
+      const other = await server
+        .as(USERS.other)
+        .delete(`/applications/${applicationId}`);
+      assert.equal(other.status, 403);
+
+      const admin = await server
+        .as(USERS.admin)
+        .delete(`/applications/${applicationId}`);
+      assert.equal(admin.status, 200);
+    });
+
+    it("answers 404 once the application is gone", async () => {
+      await server.as(USERS.admin).delete(`/applications/${applicationId}`);
+      const again = await server
+        .as(USERS.admin)
+        .delete(`/applications/${applicationId}`);
+      assert.equal(again.status, 404);
+      assert.equal(again.body.error, "Application not found");
+
+      const missing = await server
+        .as(USERS.admin)
+        .delete(`/applications/${new ObjectId()}`);
+      assert.equal(missing.status, 404);
+    });
+  });
+});
@@ -0,0 +1,225 @@
+const fs = require("fs");
+const path = require("path");
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const {
+  API,
+  USERS,
+  scholarshipDoc,
+  applicationDoc,
+  startTestServer,
+} = require("./helpers");
+
+const PDF = Buffer.from("%PDF-1.7\n% test transcript\n");
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+describe("application attachments", () => {
+  let server;
+  let applicationId;
+
+  const upload = (user, files, kind = "transcript") => {
+    const req = server
+      .as(user)
+      .post(`/applications/${applicationId}/attachments`)
+      .field("kind", kind);
+    for (const [buffer, filename, contentType] of files) {
+      req.attach("files", buffer, { filename, contentType });
+    }
+    return req;
+  };
+  const getAttachments = async () =>
+    (
+      await server.collections.applicationCollection.findOne({
+        _id: new ObjectId(applicationId),
+      })
+    ).attachments || [];
+  const storedFile = (key) => path.join(server.uploadDir, key);
+
+  before(async () => {
+    server = await startTestServer();
+  });
+  after(() => server.stop());
+  beforeEach(async () => {
+    await server.reset();
+    const { insertedId: scholarshipId } =
+      await server.collections.scholarshipsCollection.insertOne(
+        scholarshipDoc()
+      );
+    const { insertedId } =
+      await server.collections.applicationCollection.insertOne(
+        applicationDoc({ scholarshipId: String(scholarshipId) })
+      );
+    applicationId = String(insertedId);
+  });
+
+  describe("POST /applications/:id/attachments", () => {
+    it("stores files and records their metadata", async () => {
+      const res = await upload(USERS.student, [
+        [PDF, "transcript.pdf", "application/pdf"],
+        [PNG, "scan.png", "image/png"],
+      ]);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.attachments.length, 2);
+
+      const [pdf, png] = await getAttachments();
+      assert.equal(pdf.kind, "transcript");
+      assert.equal(pdf.filename, "transcript.pdf");
+      assert.equal(pdf.size, PDF.length);
+      assert.equal(pdf.uploadedBy, USERS.student.email);
+      assert.equal(pdf.storage, "local");
+      assert.deepEqual(fs.readFileSync(storedFile(pdf.key)), PDF);
+      assert.ok(png.key.endsWith(".png"));
+    });
+
+    it("rejects disallowed or disguised file types", async () => {
+      const text = await upload(USERS.student, [
+        [Buffer.from("hello"), "notes.txt", "text/plain"],
+      ]);
+      assert.equal(text.status, 415);
+      assert.equal(text.body.code, "UNSUPPORTED_FILE_TYPE");
+
+      const disguised = await upload(USERS.student, [
+        [Buffer.from("MZ not a pdf"), "cv.pdf", "application/pdf"],
+      ]);
+      assert.equal(disguised.status, 415);
+      assert.deepEqual(await getAttachments(), []);
+    });
+
+    it("enforces the size limit", async () => {
+      const big = Buffer.concat([PDF, Buffer.alloc(2048)]);
+      const res = await upload(USERS.student, [
+        [big, "big.pdf", "application/pdf"],
+      ]);
+      assert.equal(res.status, 413);
+      assert.equal(res.body.code, "FILE_TOO_LARGE");
+    });
+
+    it("requires a kind and at least one file", async () => {
+      const kind = await upload(
+        USERS.student,
+        [[PDF, "a.pdf", "application/pdf"]],
+        "selfie"
+      );
+      assert.equal(kind.status, 400);
+      assert.equal(kind.body.errors[0].field, "kind");
+
+      const none = await upload(USERS.student, []);
+      assert.equal(none.status, 400);
+    });
+
+    it("is limited to the applicant and admins", async () => {
+      for (const user of [USERS.other, USERS.moderator]) {
+        const res = await upload(user, [[PDF, "a.pdf", "application/pdf"]]);
+        assert.equal(res.status, 403);
+      }
+    });
+  });
+
+  describe("downloads", () => {
+    let attachmentId;
+
+    beforeEach(async () => {
+      const res = await upload(USERS.student, [
+        [PDF, "transcript.pdf", "application/pdf"],
+      ]);
+      attachmentId = res.body.attachments[0]._id;
+    });
+
+    const signUrl = (user) =>
+      server
+        .as(user)
+        .get(`/applications/${applicationId}/attachments/${attachmentId}/url`);
+
+    it("hands the applicant and moderators a working signed link", async () => {
+      for (const user of [USERS.student, USERS.moderator]) {
+        const res = await signUrl(user);
+        assert.equal(res.status, 200);
+        assert.ok(new Date(res.body.expiresAt) > new Date());
+        assert.ok(res.body.url.startsWith(`${API}/files/`));
+
+        const file = await server
+          .request()
+          .get(res.body.url.slice(API.length))
+          .buffer(true)
+          .parse((response, callback) => {
+            const chunks = [];
+            response.on("data", (chunk) => chunks.push(chunk));
+            response.on("end", () => callback(null, Buffer.concat(chunks)));
+          });
+        assert.equal(file.status, 200);
+        assert.match(file.headers["content-type"], /application\/pdf/);
+        assert.match(file.headers["content-disposition"], /transcript\.pdf/);
+        assert.deepEqual(file.body, PDF);
+      }
+    });
+
+    it("refuses signed links to other students", async () => {
+      const res = await signUrl(USERS.other);
+      assert.equal(res.status, 403);
+    });
+
+    it("rejects tampered and expired links", async () => {
+      const { body } = await signUrl(USERS.student);
+      const tampered = await server
+        .request()
+        .get(`${body.url.slice(API.length, -2)}xx`);
+      assert.equal(tampered.status, 403);
+      assert.equal(tampered.body.code, "INVALID_DOWNLOAD_LINK");
+
+      const [payload, signature] = body.url.split("/files/")[1].split(".");
+      const claims = JSON.parse(Buffer.from(payload, "base64url").toString());
+      const expired = Buffer.from(
+        JSON.stringify({ ...claims, exp: Date.now() - 1 })
+      ).toString("base64url");
+      const res = await server.request().get(`/files/${expired}.${signature}`);
+      assert.equal(res.status, 403);
+    });
+
+    it("lists attachments for staff and the applicant", async () => {
+      const res = await server
+        .as(USERS.moderator)
+        .get(`/applications/${applicationId}/attachments`);
+      assert.equal(res.status, 200);
+      assert.equal(res.body[0].filename, "transcript.pdf");
+    });
+  });
+
+  describe("removal", () => {
+    let attachment;
+
+    beforeEach(async () => {
+      await upload(USERS.student, [[PDF, "transcript.pdf", "application/pdf"]]);
+      [attachment] = await getAttachments();
+    });
+
+    it("deletes a single attachment and its file", async () => {
+      const res = await server
+        .as(USERS.student)
+        .delete(`/applications/${applicationId}/attachments/${attachment._id}`);
+      assert.equal(res.status, 200);
+      assert.deepEqual(await getAttachments(), []);
+      assert.equal(fs.existsSync(storedFile(attachment.key)), false);
+
+      const again = await server
+        .as(USERS.student)
+        .delete(`/applications/${applicationId}/attachments/${attachment._id}`);
+      assert.equal(again.status, 404);
+    });
+
+    it("keeps files until the deleted application is purged", async () => {
+      const res = await server
+        .as(USERS.student)
+        .delete(`/applications/${applicationId}`);
+      assert.equal(res.status, 200);
+      assert.equal(fs.existsSync(storedFile(attachment.key)), true);
+
+      const purge = await server
+        .as(USERS.admin)
+        .post("/admin/jobs/purge-deleted")
+        .send({ retentionDays: 0 });
+      assert.equal(purge.body.files, 1);
+      assert.equal(fs.existsSync(storedFile(attachment.key)), false);
+    });
+  });
+});
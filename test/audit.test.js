@@ -0,0 +1,224 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  USERS,
+  scholarshipDoc,
+  applicationDoc,
+  startTestServer,
+} = require("./helpers");
+const { diffDocuments } = require("../src/audit");
+
+describe("audit log", () => {
+  let server;
+  let scholarshipId;
+  let applicationId;
+
+  const entries = (filter = {}) =>
+    server.collections.auditCollection.find(filter).toArray();
+
+  before(async () => {
+    server = await startTestServer();
+  });
+  after(() => server.stop());
+  beforeEach(async () => {
+    await server.reset();
+    const { scholarshipsCollection, applicationCollection } =
+      server.collections;
+    scholarshipId = String(
+      (await scholarshipsCollection.insertOne(scholarshipDoc())).insertedId
+    );
+    applicationId = String(
+      (await applicationCollection.insertOne(applicationDoc({ scholarshipId })))
+        .insertedId
+    );
+  });
+
+  describe("diffDocuments", () => {
+    it("lists changed fields only", () => {
+      assert.deepEqual(
+        diffDocuments(
+          { _id: 1, name: "A", fee: 10, tags: ["x"] },
+          { _id: 1, name: "A", fee: 12, tags: ["x"], city: "Paris" }
+        ),
+        { fee: { from: 10, to: 12 }, city: { from: null, to: "Paris" } }
+      );
+    });
+  });
+
+  describe("recorded actions", () => {
+    it("records role changes and user deletions", async () => {
+      const student = await server.collections.usersCollection.findOne({
+        email: USERS.student.email,
+      });
+      await server
+        .as(USERS.admin)
+        .patch(`/users/${student.email}/role`)
+        .send({ role: "moderator" });
+      await server.as(USERS.admin).delete(`/users/${student.email}`);
+
+      const [roleChange, deletion] = await entries();
+      assert.equal(roleChange.action, "user.role.update");
+      assert.deepEqual(roleChange.actor, {
+        email: USERS.admin.email,
+        role: "admin",
+      });
+      assert.deepEqual(roleChange.target, {
+        collection: "users",
+        id: String(student._id),
+      });
+      assert.deepEqual(roleChange.changes, {
+        role: { from: "student", to: "moderator" },
+      });
+      assert.ok(roleChange.ip);
+      assert.ok(roleChange.requestId);
+      assert.ok(roleChange.at);
+
+      assert.equal(deletion.action, "user.delete");
+      assert.equal(deletion.changes.email.from, USERS.student.email);
+      assert.equal(deletion.changes.email.to, null);
+    });
+
+    it("records scholarship changes with before and after values", async () => {
+      const created = await server
+        .as(USERS.admin)
+        .post("/scholarships")
+        .send(scholarshipDoc({ scholarshipName: "New Fund" }));
+      const id = created.body.insertedId;
+      await server
+        .as(USERS.admin)
+        .patch(`/scholarships/${id}`)
+        .send({ applicationFees: 99 });
+      await server.as(USERS.admin).delete(`/scholarships/${id}`);
+
+      const logged = await entries({ "target.id": id });
+      assert.deepEqual(
+        logged.map((e) => e.action),
+        ["scholarship.create", "scholarship.update", "scholarship.delete"]
+      );
+      assert.equal(logged[0].changes.scholarshipName.to, "New Fund");
+      assert.deepEqual(logged[1].changes, {
+        applicationFees: { from: 20, to: 99 },
+      });
+      assert.equal(logged[2].changes.scholarshipName.from, "New Fund");
+    });
+
+    it("records moderator status and feedback changes", async () => {
+      await server
+        .as(USERS.moderator)
+        .patch(`/applications/${applicationId}/status`)
+        .send({ status: "rejected", note: "Incomplete" });
+      await server
+        .as(USERS.moderator)
+        .patch(`/applications/${applicationId}/feedback`)
+        .send({ feedback: "Missing transcript" });
+
+      const [status, feedback] = await entries({
+        "target.id": applicationId,
+      });
+      assert.equal(status.action, "application.status.update");
+      assert.deepEqual(status.changes, {
+        applicationStatus: { from: "pending", to: "rejected" },
+        assignedTo: { from: null, to: USERS.moderator.email },
+      });
+      assert.deepEqual(status.details, { note: "Incomplete" });
+      assert.equal(status.actor.role, "moderator");
+
+      assert.deepEqual(feedback.changes, {
+        feedback: { from: null, to: "Missing transcript" },
+      });
+    });
+
+    it("records nothing for rejected requests", async () => {
+      await server
+        .as(USERS.moderator)
+        .patch(`/applications/${applicationId}/status`)
+        .send({ status: "completed" });
+      assert.deepEqual(await entries(), []);
+    });
+  });
+
+  describe("GET /admin/audit", () => {
+    beforeEach(async () => {
+      await server.collections.auditCollection.insertMany([
+        {
+          action: "scholarship.create",
+          actor: { email: USERS.admin.email, role: "admin" },
+          target: { collection: "scholarships", id: "a" },
+          changes: {},
+          at: "2025-01-01T00:00:00.000Z",
+        },
+        {
+          action: "application.status.update",
+          actor: { email: USERS.moderator.email, role: "moderator" },
+          target: { collection: "application", id: "b" },
+          changes: { applicationStatus: { from: "pending", to: "rejected" } },
+          at: "2025-02-01T00:00:00.000Z",
+        },
+        {
+          action: "user.role.update",
+          actor: { email: USERS.admin.email, role: "admin" },
+          target: { collection: "users", id: "c" },
+          changes: { role: { from: "student", to: "admin" } },
+          at: "2025-03-01T00:00:00.000Z",
+        },
+      ]);
+    });
+
+    it("pages entries newest first", async () => {
+      const res = await server.as(USERS.admin).get("/admin/audit?pageSize=2");
+      assert.equal(res.status, 200);
+      assert.equal(res.body.total, 3);
+      assert.deepEqual(
+        res.body.items.map((e) => e.target.id),
+        ["c", "b"]
+      );
+    });
+
+    it("filters by actor, action, target and date", async () => {
+      const byActor = await server
+        .as(USERS.admin)
+        .get(`/admin/audit?actor=${USERS.moderator.email}`);
+      assert.deepEqual(
+        byActor.body.items.map((e) => e.target.id),
+        ["b"]
+      );
+
+      const byAction = await server
+        .as(USERS.admin)
+        .get("/admin/audit?action=user.role.update,scholarship.create");
+      assert.equal(byAction.body.total, 2);
+
+      const byTarget = await server
+        .as(USERS.admin)
+        .get("/admin/audit?collection=users&targetId=c");
+      assert.equal(byTarget.body.total, 1);
+
+      const byDate = await server
+        .as(USERS.admin)
+        .get("/admin/audit?from=2025-01-15&to=2025-02-01");
+      assert.deepEqual(
+        byDate.body.items.map((e) => e.target.id),
+        ["b"]
+      );
+    });
+
+    it("exports the filtered log", async () => {
+      const res = await server
+        .as(USERS.admin)
+        .get(`/admin/audit/export?actor=${USERS.admin.email}`);
+      assert.equal(res.status, 200);
+      const [header, ...lines] = res.text.trim().split("\n");
+      assert.ok(header.startsWith("at,action,actor.email,actor.role,"));
+      assert.equal(lines.length, 2);
+      assert.match(lines[1], /user\.role\.update/);
+      assert.match(lines[1], /""from"":""student""/);
+    });
+
+    it("is for admins", async () => {
+      for (const path of ["/admin/audit", "/admin/audit/export"]) {
+        const res = await server.as(USERS.moderator).get(path);
+        assert.equal(res.status, 403);
+      }
+    });
+  });
+});
@@ -0,0 +1,94 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const {
+  API,
+  SPEC,
+  assertContract,
+  USERS,
+  startTestServer,
+} = require("./helpers");
+
+// The "METHOD /path" of every route under `stack`, in OpenAPI's {param}
+// form. Route modules are mounted without a path, so nesting adds nothing.
+const collectRoutes = (stack) =>
+  stack.flatMap((layer) => {
+    if (layer.route) {
+      const path = layer.route.path.replace(/:(\w+)/g, "{$1}");
+      return Object.keys(layer.route.methods).map(
+        (method) => `${method.toUpperCase()} ${path}`
+      );
+    }
+    return layer.handle?.stack ? collectRoutes(layer.handle.stack) : [];
+  });
+
+describe("API contract", () => {
+  let server;
+
+  before(async () => {
+    server = await startTestServer();
+  });
+  after(() => server.stop());
+  beforeEach(() => server.reset());
+
+  it("serves the document under the API prefix", async () => {
+    const res = await request(server.app).get(`${API}/openapi.json`);
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, SPEC);
+    assert.deepEqual(res.body.servers, [{ url: API }]);
+  });
+
+  it("documents every route and nothing else", () => {
+    const [api] = server.app.router.stack.filter((layer) => layer.handle.stack);
+    const routes = collectRoutes(api.handle.stack).filter(
+      (route) => route !== "GET /openapi.json"
+    );
+    const documented = Object.entries(SPEC.paths).flatMap(([path, item]) =>
+      Object.keys(item).map((method) => `${method.toUpperCase()} ${path}`)
+    );
+    assert.deepEqual([...new Set(routes)].sort(), documented.sort());
+  });
+
+  it("gives every operation a unique id", () => {
+    const ids = Object.values(SPEC.paths).flatMap((item) =>
+      Object.values(item).map((operation) => operation.operationId)
+    );
+    assert.equal(new Set(ids).size, ids.length);
+  });
+
+  it("catches responses that stray from the document", () => {
+    const res = {
+      status: 200,
+      headers: { "content-type": "application/json" },
+      body: { insertedId: 42 },
+    };
+    assert.throws(
+      () => assertContract("post", "/applications", res),
+      /breaks the contract/
+    );
+    assert.throws(
+      () => assertContract("get", "/nowhere", { ...res, body: {} }),
+      /not documented/
+    );
+  });
+
+  it("gives body parser errors their own codes", async () => {
+    const res = await server
+      .as(USERS.student)
+      .post("/applications")
+      .set("Content-Type", "application/json; charset=latin1")
+      .send('{"scholarshipId":"x"}');
+    assert.equal(res.status, 415);
+    assert.equal(res.body.code, "UNSUPPORTED_MEDIA_TYPE");
+  });
+
+  it("no longer answers on the unversioned paths", async () => {
+    for (const path of ["/scholarships", "/users/role/x@example.com"]) {
+      const res = await request(server.app)
+        .get(path)
+        .set("Authorization", `Bearer ${USERS.admin.email}`);
+      assert.equal(res.status, 404);
+      assert.equal(res.body.code, "ROUTE_NOT_FOUND");
+    }
+  });
+});
@@ -0,0 +1,359 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const {
+  USERS,
+  scholarshipDoc,
+  applicationDoc,
+  loadFixture,
+  startTestServer,
+} = require("./helpers");
+const { applyCoupon, checkCoupon } = require("../src/coupons");
+
+describe("coupon maths", () => {
+  it("takes percentages off every line and fixed amounts fee first", () => {
+    assert.deepEqual(
+      applyCoupon({ type: "percent", value: 10 }, [2000, 500]),
+      [1800, 450]
+    );
+    assert.deepEqual(
+      applyCoupon({ type: "fixed", value: 22 }, [2000, 500]),
+      [0, 300]
+    );
+    assert.deepEqual(
+      applyCoupon({ type: "fixed", value: 99 }, [2000, 500]),
+      [0, 0]
+    );
+    assert.deepEqual(applyCoupon({ type: "waiver" }, [2000, 500]), [0, 0]);
+    assert.deepEqual(applyCoupon(null, [2000, 500]), [2000, 500]);
+  });
+
+  it("checks expiry, usage, scholarship and currency", () => {
+    const scholarship = { _id: new ObjectId() };
+    const now = new Date("2030-01-01T00:00:00.000Z");
+    const codeFor = (coupon, currency = "usd") =>
+      checkCoupon(coupon, scholarship, currency, now)?.code || null;
+
+    assert.equal(codeFor(null), "COUPON_NOT_FOUND");
+    assert.equal(
+      codeFor({ type: "waiver", active: false }),
+      "COUPON_NOT_FOUND"
+    );
+    assert.equal(
+      codeFor({ type: "waiver", expiresAt: "2029-12-31" }),
+      "COUPON_EXPIRED"
+    );
+    assert.equal(
+      codeFor({ type: "waiver", maxUses: 2, uses: 2 }),
+      "COUPON_EXHAUSTED"
+    );
+    assert.equal(
+      codeFor({ type: "waiver", scholarshipId: String(new ObjectId()) }),
+      "COUPON_NOT_APPLICABLE"
+    );
+    assert.equal(
+      codeFor({ type: "fixed", value: 5, currency: "eur" }),
+      "COUPON_NOT_APPLICABLE"
+    );
+    assert.equal(
+      codeFor({
+        type: "percent",
+        value: 50,
+        scholarshipId: String(scholarship._id),
+        maxUses: 2,
+        uses: 1,
+      }),
+      null
+    );
+  });
+});
+
+describe("coupons", () => {
+  let server;
+  let applicationId;
+
+  const createCoupon = (coupon, user = USERS.admin) =>
+    server.as(user).post("/admin/coupons").send(coupon);
+  const checkout = (body) =>
+    server
+      .as(USERS.student)
+      .post("/checkout-sessions")
+      .send({ applicationId, ...body });
+  const getApplication = () =>
+    server.collections.applicationCollection.findOne({
+      _id: new ObjectId(applicationId),
+    });
+  const getCoupon = (code) =>
+    server.collections.couponsCollection.findOne({ code });
+
+  before(async () => {
+    server = await startTestServer();
+  });
+  after(() => server.stop());
+  beforeEach(async () => {
+    await server.reset();
+    const { insertedId } =
+      await server.collections.scholarshipsCollection.insertOne(
+        scholarshipDoc({ applicationFees: 20, serviceCharge: 5 })
+      );
+    applicationId = String(
+      (
+        await server.collections.applicationCollection.insertOne(
+          applicationDoc({ scholarshipId: String(insertedId) })
+        )
+      ).insertedId
+    );
+  });
+
+  describe("admin routes", () => {
+    it("creates coupons with upper case codes and rejects duplicates", async () => {
+      const res = await createCoupon({
+        code: "spring25",
+        type: "percent",
+        value: 25,
+      });
+      assert.equal(res.status, 200);
+      const saved = await getCoupon("SPRING25");
+      assert.equal(saved.uses, 0);
+      assert.equal(saved.active, true);
+
+      const again = await createCoupon({
+        code: "SPRING25",
+        type: "waiver",
+      });
+      assert.equal(again.status, 409);
+      assert.equal(again.body.code, "DUPLICATE_COUPON");
+    });
+
+    it("checks each type has the value it needs", async () => {
+      const percent = await createCoupon({
+        code: "BIG",
+        type: "percent",
+        value: 150,
+      });
+      assert.equal(percent.status, 400);
+      const fixed = await createCoupon({
+        code: "FIX",
+        type: "fixed",
+        value: 5,
+      });
+      assert.equal(fixed.status, 400);
+    });
+
+    it("updates, lists and deletes coupons for admins only", async () => {
+      const { body } = await createCoupon({ code: "ONE", type: "waiver" });
+      const id = body.insertedId;
+
+      const update = await server
+        .as(USERS.admin)
+        .patch(`/admin/coupons/${id}`)
+        .send({ active: false });
+      assert.equal(update.body.modifiedCount, 1);
+
+      const list = await server.as(USERS.admin).get("/admin/coupons");
+      assert.deepEqual(
+        list.body.map((c) => [c.code, c.active]),
+        [["ONE", false]]
+      );
+
+      const denied = await server.as(USERS.moderator).get("/admin/coupons");
+      assert.equal(denied.status, 403);
+
+      const removed = await server
+        .as(USERS.admin)
+        .delete(`/admin/coupons/${id}`);
+      assert.equal(removed.status, 200);
+      assert.equal(await getCoupon("ONE"), null);
+    });
+  });
+
+  describe("at checkout", () => {
+    it("discounts the line items and reserves the use at checkout", async () => {
+      await createCoupon({ code: "HALF", type: "percent", value: 50 });
+      const res = await checkout({ couponCode: "half" });
+      assert.equal(res.status, 200);
+
+      const [session] = server.stripe.calls.sessions;
+      assert.deepEqual(
+        session.line_items.map((item) => item.price_data.unit_amount),
+        [1000, 250]
+      );
+      assert.equal(session.metadata.couponCode, "HALF");
+      assert.equal(session.metadata.discount, "1250");
+      assert.equal((await getCoupon("HALF")).uses, 1);
+
+      const event = loadFixture("checkout.session.completed");
+      event.data.object.id = "cs_test_1";
+      Object.assign(event.data.object.metadata, session.metadata);
+      await server.sendEvent(event);
+      await server.sendEvent({ ...event, id: "evt_test_completed_again" });
+      assert.equal((await getCoupon("HALF")).uses, 1);
+      const payment = await server.collections.paymentsCollection.findOne({
+        applicationId,
+      });
+      assert.equal(payment.status, "paid");
+      assert.equal(payment.couponCode, "HALF");
+      assert.equal(payment.discount, 1250);
+      assert.deepEqual(payment.lines, {
+        applicationFees: 1000,
+        serviceCharge: 250,
+      });
+    });
+
+    it("refunds the discounted fee when a processing application is withdrawn", async () => {
+      await createCoupon({ code: "HALF", type: "percent", value: 50 });
+      await checkout({ couponCode: "HALF" });
+      const [session] = server.stripe.calls.sessions;
+      const event = loadFixture("checkout.session.completed");
+      event.data.object.amount_total = 1250;
+      Object.assign(event.data.object.metadata, session.metadata);
+      await server.sendEvent(event);
+      await server.collections.applicationCollection.updateOne(
+        { _id: new ObjectId(applicationId) },
+        { $set: { applicationStatus: "processing" } }
+      );
+
+      const res = await server
+        .as(USERS.student)
+        .post(`/applications/${applicationId}/withdraw`);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.refund.amount, 1000);
+      assert.equal(res.body.refund.paymentStatus, "partially_refunded");
+    });
+
+    it("holds the last use for the first open checkout", async () => {
+      await createCoupon({
+        code: "LAST",
+        type: "percent",
+        value: 50,
+        maxUses: 1,
+      });
+      const first = await checkout({ couponCode: "LAST" });
+      assert.equal(first.status, 200);
+
+      const { insertedId } =
+        await server.collections.applicationCollection.insertOne(
+          applicationDoc({
+            scholarshipId: (await getApplication()).scholarshipId,
+            userEmail: USERS.other.email,
+          })
+        );
+      const second = await server
+        .as(USERS.other)
+        .post("/checkout-sessions")
+        .send({ applicationId: String(insertedId), couponCode: "LAST" });
+      assert.equal(second.status, 409);
+      assert.equal(second.body.code, "COUPON_EXHAUSTED");
+      assert.equal(server.stripe.calls.sessions.length, 1);
+    });
+
+    it("closes the application's open session before starting another", async () => {
+      await createCoupon({
+        code: "LAST",
+        type: "percent",
+        value: 50,
+        maxUses: 1,
+      });
+      const startedAt = Math.floor(Date.now() / 1000);
+      for (let i = 0; i < 3; i++) {
+        const res = await checkout({ couponCode: "LAST" });
+        assert.equal(res.status, 200);
+      }
+
+      assert.deepEqual(server.stripe.calls.expired, ["cs_test_1", "cs_test_2"]);
+      assert.equal((await getCoupon("LAST")).uses, 1);
+      const sessions = await server.collections.paymentsCollection
+        .find({ applicationId }, { sort: { sessionId: 1 } })
+        .toArray();
+      assert.deepEqual(
+        sessions.map((payment) => payment.status),
+        ["expired", "expired", "open"]
+      );
+      for (const session of server.stripe.calls.sessions) {
+        assert.ok(session.expires_at >= startedAt + 30 * 60);
+      }
+    });
+
+    it("hands the use back once when the session expires", async () => {
+      await createCoupon({
+        code: "LAST",
+        type: "percent",
+        value: 50,
+        maxUses: 1,
+      });
+      await checkout({ couponCode: "LAST" });
+      const [session] = server.stripe.calls.sessions;
+
+      const event = loadFixture("checkout.session.expired");
+      event.data.object.id = "cs_test_1";
+      Object.assign(event.data.object.metadata, session.metadata);
+      await server.sendEvent(event);
+      await server.sendEvent({ ...event, id: "evt_test_expired_again" });
+      assert.equal((await getCoupon("LAST")).uses, 0);
+
+      const again = await checkout({ couponCode: "LAST" });
+      assert.equal(again.status, 200);
+    });
+
+    it("counts uses of sessions made before reservations once", async () => {
+      await createCoupon({ code: "HALF", type: "percent", value: 50 });
+      const coupon = await getCoupon("HALF");
+      const event = loadFixture("checkout.session.completed");
+      Object.assign(event.data.object.metadata, {
+        applicationId,
+        couponId: String(coupon._id),
+        couponCode: "HALF",
+        discount: "1250",
+      });
+      await server.sendEvent(event);
+      await server.sendEvent({ ...event, id: "evt_test_completed_again" });
+      assert.equal((await getCoupon("HALF")).uses, 1);
+    });
+
+    it("pays fully waived applications without Stripe", async () => {
+      await createCoupon({ code: "FREE", type: "waiver", maxUses: 1 });
+      const res = await checkout({ couponCode: "FREE" });
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body, { waived: true, paymentStatus: "paid" });
+      assert.equal(server.stripe.calls.sessions.length, 0);
+
+      const application = await getApplication();
+      assert.equal(application.paymentStatus, "paid");
+      assert.ok(application.paidAt);
+      const payment = await server.collections.paymentsCollection.findOne({
+        applicationId,
+      });
+      assert.equal(payment.status, "paid");
+      assert.equal(payment.amount, 0);
+      assert.equal(payment.discount, 2500);
+      assert.equal(payment.waived, true);
+      assert.equal((await getCoupon("FREE")).uses, 1);
+    });
+
+    it("refuses exhausted, expired and unknown coupons", async () => {
+      await createCoupon({ code: "USED", type: "waiver", maxUses: 1 });
+      await server.collections.couponsCollection.updateOne(
+        { code: "USED" },
+        { $set: { uses: 1 } }
+      );
+      await createCoupon({
+        code: "OLD",
+        type: "percent",
+        value: 10,
+        expiresAt: "2020-01-01",
+      });
+
+      const cases = [
+        ["USED", 409, "COUPON_EXHAUSTED"],
+        ["OLD", 409, "COUPON_EXPIRED"],
+        ["NOPE", 404, "COUPON_NOT_FOUND"],
+      ];
+      for (const [couponCode, status, code] of cases) {
+        const res = await checkout({ couponCode });
+        assert.equal(res.status, status);
+        assert.equal(res.body.code, code);
+      }
+      assert.equal((await getApplication()).paymentStatus, "unpaid");
+    });
+  });
+});
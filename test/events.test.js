@@ -0,0 +1,203 @@
+const http = require("http");
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  API,
+  USERS,
+  scholarshipDoc,
+  applicationDoc,
+  loadFixture,
+  startTestServer,
+} = require("./helpers");
+const { createEventBus, isRecipient } = require("../src/events");
+
+describe("event bus", () => {
+  it("delivers to subscribers until they unsubscribe", () => {
+    const bus = createEventBus();
+    const received = [];
+    const unsubscribe = bus.subscribe((event) => received.push(event));
+    bus.subscribe(() => {
+      throw new Error("broken listener");
+    });
+
+    bus.publish({ type: "a", data: {} });
+    unsubscribe();
+    bus.publish({ type: "b", data: {} });
+
+    assert.deepEqual(
+      received.map((e) => [e.id, e.type]),
+      [[1, "a"]]
+    );
+  });
+
+  it("addresses events by email or role", () => {
+    const event = { to: { emails: ["Sam@example.com"], roles: ["admin"] } };
+    assert.ok(
+      isRecipient(event, { email: "sam@example.com", role: "student" })
+    );
+    assert.ok(isRecipient(event, { email: "ada@example.com", role: "admin" }));
+    assert.ok(
+      !isRecipient(event, { email: "mo@example.com", role: "moderator" })
+    );
+  });
+});
+
+describe("GET /events", () => {
+  let server;
+  let listener;
+  let baseUrl;
+  let scholarshipId;
+  const streams = [];
+
+  // Opens an SSE stream and collects its events. `waitFor(type)` resolves
+  // with the first event of that type, old or new.
+  const openStream = (user, { query = "" } = {}) =>
+    new Promise((resolve, reject) => {
+      const headers = user ? { Authorization: `Bearer ${user.email}` } : {};
+      const req = http.get(`${baseUrl}/events${query}`, { headers }, (res) => {
+        const stream = { res, events: [], waiters: [] };
+        streams.push(req);
+        let buffer = "";
+        res.setEncoding("utf8");
+        res.on("data", (chunk) => {
+          buffer += chunk;
+          let end;
+          while ((end = buffer.indexOf("\n\n")) !== -1) {
+            const block = buffer.slice(0, end);
+            buffer = buffer.slice(end + 2);
+            const fields = Object.fromEntries(
+              block
+                .split("\n")
+                .filter((line) => !line.startsWith(":"))
+                .map((line) => [
+                  line.slice(0, line.indexOf(": ")),
+                  line.slice(line.indexOf(": ") + 2),
+                ])
+            );
+            if (!fields.event) continue;
+            stream.events.push({
+              type: fields.event,
+              data: JSON.parse(fields.data),
+            });
+            stream.waiters.forEach((check) => check());
+          }
+        });
+        stream.waitFor = (type) =>
+          new Promise((done) => {
+            const check = () => {
+              const event = stream.events.find((e) => e.type === type);
+              if (event) done(event);
+            };
+            stream.waiters.push(check);
+            check();
+          });
+        // The first chunk means the subscription is in place
+        if (res.statusCode !== 200) return resolve(stream);
+        res.once("data", () => resolve(stream));
+      });
+      req.on("error", reject);
+    });
+
+  before(async () => {
+    server = await startTestServer();
+    listener = server.app.listen(0);
+    await new Promise((resolve) => listener.once("listening", resolve));
+    baseUrl = `http://127.0.0.1:${listener.address().port}${API}`;
+  });
+  after(async () => {
+    streams.forEach((req) => req.destroy());
+    await new Promise((resolve) => listener.close(resolve));
+    await server.stop();
+  });
+  beforeEach(async () => {
+    streams.splice(0).forEach((req) => req.destroy());
+    await server.reset();
+    const { insertedId } =
+      await server.collections.scholarshipsCollection.insertOne(
+        scholarshipDoc()
+      );
+    scholarshipId = String(insertedId);
+  });
+
+  it("requires a token, from the header or the query", async () => {
+    const anonymous = await openStream(null);
+    assert.equal(anonymous.res.statusCode, 401);
+
+    const viaQuery = await openStream(null, {
+      query: `?access_token=${USERS.student.email}`,
+    });
+    assert.equal(viaQuery.res.statusCode, 200);
+    assert.equal(
+      viaQuery.res.headers["content-type"],
+      "text/event-stream; charset=utf-8"
+    );
+  });
+
+  it("tells staff about new submissions and admins about stat deltas", async () => {
+    const moderator = await openStream(USERS.moderator);
+    const admin = await openStream(USERS.admin);
+    const student = await openStream(USERS.other);
+
+    await server
+      .as(USERS.student)
+      .post("/applications")
+      .send({ scholarshipId });
+
+    const created = await moderator.waitFor("application.created");
+    assert.equal(created.data.scholarshipId, scholarshipId);
+    assert.ok(created.data.at);
+    const delta = await admin.waitFor("stats.delta");
+    assert.deepEqual(
+      {
+        totalApplications: delta.data.totalApplications,
+        pending: delta.data.pending,
+      },
+      { totalApplications: 1, pending: 1 }
+    );
+    assert.ok(!moderator.events.some((e) => e.type === "stats.delta"));
+    assert.deepEqual(student.events, []);
+  });
+
+  it("sends students the status and feedback of their own applications", async () => {
+    const { insertedId } =
+      await server.collections.applicationCollection.insertOne(
+        applicationDoc({ scholarshipId, paymentStatus: "paid" })
+      );
+    const student = await openStream(USERS.student);
+    const other = await openStream(USERS.other);
+
+    await server
+      .as(USERS.moderator)
+      .patch(`/applications/${insertedId}/status`)
+      .send({ status: "processing" });
+    await server
+      .as(USERS.moderator)
+      .patch(`/applications/${insertedId}/feedback`)
+      .send({ feedback: "Add a transcript" });
+
+    const status = await student.waitFor("application.status");
+    assert.deepEqual(
+      { from: status.data.from, to: status.data.to },
+      { from: "pending", to: "processing" }
+    );
+    const feedback = await student.waitFor("application.feedback");
+    assert.equal(feedback.data.feedback, "Add a transcript");
+    assert.deepEqual(other.events, []);
+  });
+
+  it("tells staff when a payment completes", async () => {
+    const { insertedId } =
+      await server.collections.applicationCollection.insertOne(
+        applicationDoc({ scholarshipId })
+      );
+    const moderator = await openStream(USERS.moderator);
+
+    const event = loadFixture("checkout.session.completed");
+    event.data.object.metadata.applicationId = String(insertedId);
+    await server.sendEvent(event);
+
+    const paid = await moderator.waitFor("payment.completed");
+    assert.equal(paid.data.applicationId, String(insertedId));
+    assert.equal(paid.data.amount, 2500);
+  });
+});
@@ -0,0 +1,351 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { MongoMemoryServer } = require("mongodb-memory-server");
+const { MongoClient, ObjectId } = require("mongodb");
+const Stripe = require("stripe");
+const request = require("supertest");
+const Ajv2020 = require("ajv/dist/2020");
+const { createApp } = require("../src/app");
+const { getCollections, ensureIndexes } = require("../src/db");
+const { buildOpenApiDocument } = require("../src/openapi");
+
+const API = "/api/v1";
+const WEBHOOK_SECRET = "whsec_test_secret";
+const CRON_SECRET = "cron_test_secret";
+
+const USERS = {
+  student: { email: "student@example.com", name: "Sam", role: "student" },
+  other: { email: "other@example.com", name: "Olive", role: "student" },
+  moderator: { email: "mod@example.com", name: "Mo", role: "moderator" },
+  otherModerator: { email: "mod2@example.com", name: "Max", role: "moderator" },
+  admin: { email: "admin@example.com", name: "Ada", role: "admin" },
+};
+
+// Stands in for firebase-admin's auth: the bearer token is the user's
+// email, anything else is rejected like a malformed JWT.
+const fakeAuth = {
+  verifyIdToken: async (token) => {
+    if (!token || !token.includes("@")) throw new Error("Invalid token");
+    return { uid: token, email: token, name: token.split("@")[0] };
+  },
+};
+
+// Records the calls the app makes against Stripe's API. Webhook signing and
+// verification use the real library so fixtures are checked end to end.
+// Set `failRefunds` to make refunds reject like a declined request. Sessions
+// are numbered from 1 in the order they were created.
+const createFakeStripe = () => {
+  const real = new Stripe("sk_test_fake");
+  const calls = { sessions: [], expired: [], refunds: [] };
+
+  const stripe = {
+    calls,
+    failRefunds: false,
+    webhooks: real.webhooks,
+    refunds: {
+      create: async (params, options) => {
+        if (stripe.failRefunds) throw new Error("Refund declined");
+        calls.refunds.push({ params, options });
+        // Without an amount Stripe refunds the whole charge, 2500 in fixtures
+        return {
+          id: `re_test_${calls.refunds.length}`,
+          amount: params.amount ?? 2500,
+          status: "succeeded",
+        };
+      },
+    },
+    checkout: {
+      sessions: {
+        create: async (params) => {
+          calls.sessions.push(params);
+          const id = `cs_test_${calls.sessions.length}`;
+          return { id, url: `https://checkout.stripe.test/${id}` };
+        },
+        expire: async (id) => {
+          calls.expired.push(id);
+          const params = calls.sessions[Number(id.split("_").at(-1)) - 1];
+          if (!params) throw new Error(`No such checkout.session: ${id}`);
+          return {
+            id,
+            object: "checkout.session",
+            status: "expired",
+            amount_total: params.line_items.reduce(
+              (sum, item) => sum + item.price_data.unit_amount,
+              0
+            ),
+            currency: params.line_items[0].price_data.currency,
+            metadata: params.metadata,
+          };
+        },
+      },
+    },
+  };
+  return stripe;
+};
+
+// A delivery channel that records what it was asked to send. Set `fail` to
+// make every send reject, like an unreachable mail server.
+const createFakeChannel = () => {
+  const channel = {
+    name: "fake",
+    sent: [],
+    fail: false,
+    send: async (notification) => {
+      if (channel.fail) throw new Error("Channel unavailable");
+      channel.sent.push(notification);
+    },
+  };
+  return channel;
+};
+
+const scholarshipDoc = (overrides = {}) => ({
+  scholarshipName: "Global Excellence",
+  universityName: "Oxford",
+  universityCountry: "UK",
+  subjectCategory: "Engineering",
+  scholarshipCategory: "Full fund",
+  degree: "Masters",
+  applicationFees: 20,
+  serviceCharge: 5,
+  applicationDeadline: "2099-12-31",
+  scholarshipPostDate: "2025-01-01",
+  status: "published",
+  ...overrides,
+});
+
+const applicationDoc = (overrides = {}) => ({
+  // Distinct by default, since a student may apply only once per scholarship
+  scholarshipId: String(new ObjectId()),
+  userName: USERS.student.name,
+  userEmail: USERS.student.email,
+  universityName: "Oxford",
+  degree: "Masters",
+  applicationStatus: "pending",
+  paymentStatus: "unpaid",
+  appliedAt: "2025-02-01T00:00:00.000Z",
+  deletedAt: null,
+  ...overrides,
+});
+
+const loadFixture = (name) =>
+  JSON.parse(
+    fs.readFileSync(
+      path.join(__dirname, "..", "fixtures", "stripe", `${name}.json`),
+      "utf8"
+    )
+  );
+
+const SPEC = buildOpenApiDocument({ serverUrl: API });
+const ajv = new Ajv2020({ strict: false, validateFormats: false });
+ajv.addSchema(SPEC, "openapi.json");
+
+// Static segments first, so /applications/recent wins over /{id}
+const OPERATION_PATHS = Object.keys(SPEC.paths)
+  .map((template) => ({
+    template,
+    pattern: new RegExp(`^${template.replace(/{\w+}/g, "[^/]+")}$`),
+    params: (template.match(/{/g) || []).length,
+  }))
+  .sort((a, b) => a.params - b.params);
+
+const pointer = (...parts) =>
+  parts.map((part) => part.replace(/~/g, "~0").replace(/\//g, "~1")).join("/");
+const validators = new Map();
+const validatorFor = (path) => {
+  if (!validators.has(path)) {
+    validators.set(path, ajv.compile({ $ref: `openapi.json#/${path}` }));
+  }
+  return validators.get(path);
+};
+
+// Checks a response against the OpenAPI document: 200s against the
+// operation's declared body, anything else against the error schema.
+// Routes missing from the document only pass as a 404.
+const assertContract = (method, url, res) => {
+  const urlPath = url.split("?")[0];
+  const match = OPERATION_PATHS.find(({ pattern }) => pattern.test(urlPath));
+  const operation = match && SPEC.paths[match.template][method];
+  if (!operation && res.status !== 404) {
+    throw new Error(`${method.toUpperCase()} ${urlPath} is not documented`);
+  }
+
+  const mediaType = (res.headers["content-type"] || "").split(";")[0];
+  const status = res.status === 200 && operation ? "200" : "default";
+  const content = operation
+    ? operation.responses[status].content
+    : SPEC.paths["/scholarships/{id}"].get.responses.default.content;
+  if (!content[mediaType]) {
+    throw new Error(
+      `${method.toUpperCase()} ${urlPath} answered ${res.status} with ${
+        mediaType || "no body"
+      }, documented: ${Object.keys(content).join(", ")}`
+    );
+  }
+  if (mediaType !== "application/json") return;
+
+  const validate = validatorFor(
+    operation
+      ? pointer(
+          "paths",
+          match.template,
+          method,
+          "responses",
+          status,
+          "content",
+          mediaType,
+          "schema"
+        )
+      : pointer("components", "schemas", "Error")
+  );
+  if (!validate(res.body)) {
+    throw new Error(
+      `${method.toUpperCase()} ${urlPath} ${
+        res.status
+      } breaks the contract: ${ajv.errorsText(validate.errors)}`
+    );
+  }
+};
+
+// Every request made through the helpers goes to the versioned API and has
+// its response held to the contract once awaited
+const apiRequest = (app, method, url) => {
+  const test = request(app)[method](`${API}${url}`);
+  const then = test.then.bind(test);
+  test.then = (resolve, reject) =>
+    then((res) => {
+      assertContract(method, url, res);
+      return res;
+    }).then(resolve, reject);
+  return test;
+};
+const METHODS = ["get", "post", "patch", "put", "delete"];
+
+// Generous enough that only the rate limit tests ever hit them
+const TEST_RATE_LIMITS = {
+  global: { windowMs: 60 * 1000, max: 10000 },
+  checkout: { windowMs: 60 * 1000, max: 1000 },
+  account: { windowMs: 60 * 1000, max: 1000 },
+};
+
+// Starts an in-memory MongoDB and an app wired to the fakes above. Call
+// reset() before each test and stop() once the file is done. `config`
+// overrides the test settings.
+const startTestServer = async ({ config = {} } = {}) => {
+  const mongod = await MongoMemoryServer.create();
+  const client = await MongoClient.connect(mongod.getUri());
+  const db = client.db("scholar-stream-test");
+  const stripe = createFakeStripe();
+  const channel = createFakeChannel();
+  const uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), "scholar-uploads-"));
+  const app = createApp({
+    db,
+    auth: fakeAuth,
+    stripe,
+    channels: [channel],
+    config: {
+      clientUrl: "http://client.test",
+      stripeWebhookSecret: WEBHOOK_SECRET,
+      cronSecret: CRON_SECRET,
+      reminderDays: 3,
+      storageDriver: "local",
+      uploadDir,
+      fileSigningSecret: "file_test_secret",
+      uploadMaxBytes: 1024,
+      rateLimits: TEST_RATE_LIMITS,
+      trustProxy: false,
+      ...config,
+    },
+  });
+  const collections = getCollections(db);
+  await ensureIndexes(collections);
+
+  const anonymous = () =>
+    Object.fromEntries(
+      METHODS.map((method) => [method, (url) => apiRequest(app, method, url)])
+    );
+  const as = (user) =>
+    Object.fromEntries(
+      METHODS.map((method) => [
+        method,
+        (url) =>
+          apiRequest(app, method, url).set(
+            "Authorization",
+            `Bearer ${user.email}`
+          ),
+      ])
+    );
+
+  const sendEvent = (event) => {
+    const payload = JSON.stringify(event);
+    const signature = stripe.webhooks.generateTestHeaderString({
+      payload,
+      secret: WEBHOOK_SECRET,
+    });
+    return apiRequest(app, "post", "/stripe/webhook")
+      .set("Content-Type", "application/json")
+      .set("Stripe-Signature", signature)
+      .send(payload);
+  };
+
+  // Notifications are delivered after the response; waits for them to go
+  const notificationsDelivered = async () => {
+    for (let attempt = 0; attempt < 100; attempt += 1) {
+      const pending = await collections.notificationsCollection.countDocuments({
+        status: { $in: ["queued", "sending"] },
+      });
+      if (!pending) return;
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    throw new Error("Notifications are still queued");
+  };
+
+  const reset = async () => {
+    await Promise.all(
+      Object.values(collections).map((collection) => collection.deleteMany({}))
+    );
+    await collections.usersCollection.insertMany(
+      Object.values(USERS).map((user) => ({ ...user }))
+    );
+    stripe.calls.sessions.length = 0;
+    stripe.calls.expired.length = 0;
+    stripe.calls.refunds.length = 0;
+    stripe.failRefunds = false;
+    channel.sent.length = 0;
+    channel.fail = false;
+  };
+
+  const stop = async () => {
+    await client.close();
+    await mongod.stop();
+    fs.rmSync(uploadDir, { recursive: true, force: true });
+  };
+
+  return {
+    app,
+    db,
+    stripe,
+    channel,
+    uploadDir,
+    collections,
+    request: anonymous,
+    as,
+    sendEvent,
+    notificationsDelivered,
+    reset,
+    stop,
+  };
+};
+
+module.exports = {
+  API,
+  SPEC,
+  assertContract,
+  USERS,
+  WEBHOOK_SECRET,
+  CRON_SECRET,
+  scholarshipDoc,
+  applicationDoc,
+  loadFixture,
+  startTestServer,
+};
@@ -0,0 +1,249 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  USERS,
+  CRON_SECRET,
+  scholarshipDoc,
+  applicationDoc,
+  startTestServer,
+} = require("./helpers");
+const { runDeadlineReminders } = require("../src/jobs/deadlineReminders");
+const { advanceScholarships } = require("../src/jobs/scholarshipLifecycle");
+
+const NOW = new Date("2030-06-01T09:00:00.000Z");
+
+describe("deadline reminders", () => {
+  let server;
+  let closingId;
+  let laterId;
+
+  before(async () => {
+    server = await startTestServer();
+  });
+  after(() => server.stop());
+  beforeEach(async () => {
+    await server.reset();
+    const {
+      scholarshipsCollection,
+      wishlistsCollection,
+      applicationCollection,
+    } = server.collections;
+    const { insertedIds } = await scholarshipsCollection.insertMany([
+      scholarshipDoc({ applicationDeadline: "2030-06-03" }),
+      scholarshipDoc({ applicationDeadline: "2030-07-01" }),
+    ]);
+    [closingId, laterId] = Object.values(insertedIds).map(String);
+
+    await wishlistsCollection.insertMany([
+      { userEmail: USERS.other.email, scholarshipId: closingId },
+      { userEmail: USERS.other.email, scholarshipId: laterId },
+    ]);
+    await applicationCollection.insertMany([
+      applicationDoc({ scholarshipId: closingId }),
+      applicationDoc({
+        scholarshipId: closingId,
+        userEmail: USERS.admin.email,
+        paymentStatus: "paid",
+      }),
+    ]);
+  });
+
+  it("queues one reminder per interested student for closing scholarships", async () => {
+    const result = await runDeadlineReminders(server.collections, {
+      days: 3,
+      now: NOW,
+    });
+    assert.deepEqual(result, { scholarships: 1, queued: 2 });
+
+    const notifications = await server.collections.notificationsCollection
+      .find()
+      .toArray();
+    assert.deepEqual(notifications.map((n) => n.userEmail).sort(), [
+      USERS.other.email,
+      USERS.student.email,
+    ]);
+    assert.ok(notifications.every((n) => n.data.scholarshipId === closingId));
+    assert.ok(notifications.every((n) => n.type === "deadline_reminder"));
+  });
+
+  it("does not queue the same reminder twice", async () => {
+    await runDeadlineReminders(server.collections, { days: 3, now: NOW });
+    const again = await runDeadlineReminders(server.collections, {
+      days: 3,
+      now: NOW,
+    });
+    assert.equal(again.queued, 0);
+    assert.equal(
+      await server.collections.notificationsCollection.countDocuments(),
+      2
+    );
+  });
+
+  it("skips applications that are no longer open", async () => {
+    const { applicationCollection } = server.collections;
+    await applicationCollection.deleteMany({});
+    await applicationCollection.insertMany(
+      ["rejected", "withdrawn", "archived"].map((applicationStatus, index) =>
+        applicationDoc({
+          scholarshipId: closingId,
+          userEmail: `closed${index}@example.com`,
+          applicationStatus,
+        })
+      )
+    );
+    const result = await runDeadlineReminders(server.collections, {
+      days: 3,
+      now: NOW,
+    });
+    assert.equal(result.queued, 1);
+    const [notification] = await server.collections.notificationsCollection
+      .find()
+      .toArray();
+    assert.equal(notification.userEmail, USERS.other.email);
+  });
+
+  it("skips scholarships that aren't published", async () => {
+    const { insertedId } =
+      await server.collections.scholarshipsCollection.insertOne(
+        scholarshipDoc({ applicationDeadline: "2030-06-02", status: "draft" })
+      );
+    await server.collections.wishlistsCollection.insertOne({
+      userEmail: USERS.other.email,
+      scholarshipId: String(insertedId),
+    });
+    const result = await runDeadlineReminders(server.collections, {
+      days: 3,
+      now: NOW,
+    });
+    assert.equal(result.scholarships, 1);
+  });
+
+  describe("GET /cron/deadline-reminders", () => {
+    it("requires the cron secret", async () => {
+      const missing = await server.request().get("/cron/deadline-reminders");
+      assert.equal(missing.status, 401);
+
+      const wrong = await server
+        .request()
+        .get("/cron/deadline-reminders")
+        .set("Authorization", "Bearer wrong");
+      assert.equal(wrong.status, 401);
+    });
+
+    it("runs the job", async () => {
+      const res = await server
+        .request()
+        .get("/cron/deadline-reminders")
+        .set("Authorization", `Bearer ${CRON_SECRET}`);
+      assert.equal(res.status, 200);
+      assert.equal(typeof res.body.queued, "number");
+    });
+  });
+
+  describe("POST /admin/jobs/deadline-reminders", () => {
+    it("lets admins trigger the job with a custom window", async () => {
+      const res = await server
+        .as(USERS.admin)
+        .post("/admin/jobs/deadline-reminders")
+        .send({ days: 60 });
+      assert.equal(res.status, 200);
+
+      const invalid = await server
+        .as(USERS.admin)
+        .post("/admin/jobs/deadline-reminders")
+        .send({ days: "lots" });
+      assert.equal(invalid.status, 400);
+    });
+
+    it("is admin only", async () => {
+      const res = await server
+        .as(USERS.moderator)
+        .post("/admin/jobs/deadline-reminders")
+        .send({});
+      assert.equal(res.status, 403);
+    });
+  });
+});
+
+describe("scholarship lifecycle", () => {
+  let server;
+
+  before(async () => {
+    server = await startTestServer();
+  });
+  after(() => server.stop());
+  beforeEach(async () => {
+    await server.reset();
+    await server.collections.scholarshipsCollection.insertMany([
+      scholarshipDoc({
+        scholarshipName: "Due",
+        status: "scheduled",
+        publishAt: "2030-06-01T08:00:00.000Z",
+      }),
+      scholarshipDoc({
+        scholarshipName: "Later",
+        status: "scheduled",
+        publishAt: "2030-06-02T00:00:00.000Z",
+      }),
+      scholarshipDoc({
+        scholarshipName: "Expired",
+        applicationDeadline: "2030-05-31",
+      }),
+      scholarshipDoc({
+        scholarshipName: "Closes today",
+        applicationDeadline: "2030-06-01",
+      }),
+      scholarshipDoc({
+        scholarshipName: "Closed this morning",
+        applicationDeadline: "2030-06-01T08:30:00.000Z",
+      }),
+      scholarshipDoc({
+        scholarshipName: "Expired draft",
+        status: "draft",
+        applicationDeadline: "2030-05-31",
+      }),
+    ]);
+  });
+
+  const statuses = async () =>
+    Object.fromEntries(
+      (await server.collections.scholarshipsCollection.find().toArray()).map(
+        (s) => [s.scholarshipName, s.status]
+      )
+    );
+
+  it("publishes due scholarships and closes expired ones", async () => {
+    const result = await advanceScholarships(server.collections, { now: NOW });
+    assert.deepEqual(result, { published: 1, closed: 2 });
+    assert.deepEqual(await statuses(), {
+      Due: "published",
+      Later: "scheduled",
+      Expired: "closed",
+      "Closes today": "published",
+      "Closed this morning": "closed",
+      "Expired draft": "draft",
+    });
+
+    const again = await advanceScholarships(server.collections, { now: NOW });
+    assert.deepEqual(again, { published: 0, closed: 0 });
+  });
+
+  it("runs from cron and for admins", async () => {
+    const cron = await server
+      .request()
+      .get("/cron/scholarship-lifecycle")
+      .set("Authorization", `Bearer ${CRON_SECRET}`);
+    assert.equal(cron.status, 200);
+    assert.deepEqual(Object.keys(cron.body), ["published", "closed"]);
+
+    const admin = await server
+      .as(USERS.admin)
+      .post("/admin/jobs/scholarship-lifecycle");
+    assert.equal(admin.status, 200);
+
+    const moderator = await server
+      .as(USERS.moderator)
+      .post("/admin/jobs/scholarship-lifecycle");
+    assert.equal(moderator.status, 403);
+  });
+});
@@ -0,0 +1,254 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  USERS,
+  scholarshipDoc,
+  applicationDoc,
+  startTestServer,
+} = require("./helpers");
+const { createNotifier, createEmailChannel } = require("../src/notifications");
+
+describe("notifications", () => {
+  let server;
+  let applicationId;
+
+  const notificationsFor = (user) =>
+    server.collections.notificationsCollection
+      .find({ userEmail: user.email })
+      .toArray();
+
+  before(async () => {
+    server = await startTestServer();
+  });
+  after(() => server.stop());
+  beforeEach(async () => {
+    await server.reset();
+    const { insertedId: scholarshipId } =
+      await server.collections.scholarshipsCollection.insertOne(
+        scholarshipDoc()
+      );
+    const { insertedId } =
+      await server.collections.applicationCollection.insertOne(
+        applicationDoc({ scholarshipId: String(scholarshipId) })
+      );
+    applicationId = String(insertedId);
+  });
+
+  describe("application events", () => {
+    it("notifies the applicant when the status changes", async () => {
+      const res = await server
+        .as(USERS.moderator)
+        .patch(`/applications/${applicationId}/status`)
+        .send({ status: "rejected" });
+      assert.equal(res.status, 200);
+      await server.notificationsDelivered();
+
+      const [notification] = await notificationsFor(USERS.student);
+      assert.equal(notification.type, "application_status");
+      assert.deepEqual(notification.data, {
+        applicationId,
+        from: "pending",
+        to: "rejected",
+      });
+      assert.equal(notification.read, false);
+      assert.equal(notification.status, "sent");
+      assert.equal(notification.deliveries.fake.status, "sent");
+      assert.equal(server.channel.sent.length, 1);
+    });
+
+    it("notifies on new feedback but not when it is unchanged", async () => {
+      const sendFeedback = () =>
+        server
+          .as(USERS.moderator)
+          .patch(`/applications/${applicationId}/feedback`)
+          .send({ feedback: "Add a reference letter" });
+      assert.equal((await sendFeedback()).status, 200);
+      assert.equal((await sendFeedback()).status, 200);
+
+      const notifications = await notificationsFor(USERS.student);
+      assert.equal(notifications.length, 1);
+      assert.equal(notifications[0].type, "application_feedback");
+      assert.match(notifications[0].message, /Add a reference letter/);
+    });
+
+    it("keeps the notification and records the failure when a channel fails", async () => {
+      server.channel.fail = true;
+      const res = await server
+        .as(USERS.moderator)
+        .patch(`/applications/${applicationId}/status`)
+        .send({ status: "rejected" });
+      assert.equal(res.status, 200);
+      await server.notificationsDelivered();
+
+      const [notification] = await notificationsFor(USERS.student);
+      assert.equal(notification.status, "failed");
+      assert.equal(notification.deliveries.fake.status, "failed");
+      assert.equal(notification.deliveries.fake.error, "Channel unavailable");
+    });
+  });
+
+  describe("inbox", () => {
+    let ids;
+
+    beforeEach(async () => {
+      const notifier = createNotifier({ collections: server.collections });
+      ids = [];
+      for (const title of ["First", "Second"]) {
+        const { _id } = await notifier.notify({
+          userEmail: USERS.student.email,
+          type: "test",
+          title,
+          message: title,
+        });
+        ids.push(String(_id));
+      }
+      await notifier.notify({
+        userEmail: USERS.other.email,
+        type: "test",
+        title: "Other",
+        message: "Other",
+      });
+    });
+
+    it("lists only the caller's notifications, newest first", async () => {
+      const res = await server.as(USERS.student).get("/notifications");
+      assert.equal(res.status, 200);
+      assert.deepEqual(
+        res.body.items.map((n) => n.title),
+        ["Second", "First"]
+      );
+      assert.equal(res.body.total, 2);
+      assert.equal(res.body.unread, 2);
+    });
+
+    it("marks one notification as read", async () => {
+      const res = await server
+        .as(USERS.student)
+        .patch(`/notifications/${ids[0]}/read`);
+      assert.equal(res.status, 200);
+
+      const count = await server
+        .as(USERS.student)
+        .get("/notifications/unread-count");
+      assert.deepEqual(count.body, { unread: 1 });
+
+      const unread = await server
+        .as(USERS.student)
+        .get("/notifications?unread=true");
+      assert.deepEqual(
+        unread.body.items.map((n) => n.title),
+        ["Second"]
+      );
+    });
+
+    it("does not let users read someone else's notifications", async () => {
+      const res = await server
+        .as(USERS.other)
+        .patch(`/notifications/${ids[0]}/read`);
+      assert.equal(res.status, 404);
+    });
+
+    it("marks everything as read", async () => {
+      const res = await server
+        .as(USERS.student)
+        .post("/notifications/read-all");
+      assert.equal(res.status, 200);
+      assert.equal(res.body.modifiedCount, 2);
+
+      const count = await server
+        .as(USERS.other)
+        .get("/notifications/unread-count");
+      assert.deepEqual(count.body, { unread: 1 });
+    });
+
+    it("requires a token", async () => {
+      const res = await server.request().get("/notifications");
+      assert.equal(res.status, 401);
+    });
+  });
+
+  describe("delivery", () => {
+    it("sends queued notifications through the channels", async () => {
+      await server.collections.notificationsCollection.insertOne({
+        userEmail: USERS.student.email,
+        type: "deadline_reminder",
+        title: "Closing soon",
+        message: "Apply before Friday",
+        read: false,
+        status: "queued",
+        createdAt: new Date().toISOString(),
+      });
+      const notifier = createNotifier({
+        collections: server.collections,
+        channels: [server.channel],
+      });
+
+      assert.deepEqual(await notifier.deliverQueued(), { delivered: 1 });
+      assert.deepEqual(await notifier.deliverQueued(), { delivered: 0 });
+      assert.equal(server.channel.sent[0].title, "Closing soon");
+    });
+
+    it("queues without waiting on a slow channel", async () => {
+      let finish;
+      const slow = {
+        name: "slow",
+        send: () => new Promise((resolve) => (finish = resolve)),
+      };
+      const notifier = createNotifier({
+        collections: server.collections,
+        channels: [slow],
+      });
+
+      const notification = await notifier.notify({
+        userEmail: USERS.student.email,
+        type: "application_status",
+        title: "Status",
+        message: "Moved on",
+      });
+      assert.equal(notification.status, "queued");
+      // The background delivery has it, so the sweep leaves it alone
+      await new Promise((resolve) => setTimeout(resolve, 20));
+      assert.deepEqual(await notifier.deliverQueued(), { delivered: 0 });
+
+      finish();
+      await server.notificationsDelivered();
+      const [stored] = await notificationsFor(USERS.student);
+      assert.equal(stored.status, "sent");
+    });
+
+    it("sends again once a claim has gone stale", async () => {
+      await server.collections.notificationsCollection.insertOne({
+        userEmail: USERS.student.email,
+        type: "application_status",
+        title: "Status",
+        message: "Moved on",
+        read: false,
+        status: "sending",
+        claimedAt: "2020-01-01T00:00:00.000Z",
+        createdAt: "2020-01-01T00:00:00.000Z",
+      });
+      const notifier = createNotifier({
+        collections: server.collections,
+        channels: [server.channel],
+      });
+      assert.deepEqual(await notifier.deliverQueued(), { delivered: 1 });
+      assert.equal(server.channel.sent.length, 1);
+    });
+
+    it("emails the recipient through nodemailer", async () => {
+      const channel = createEmailChannel({
+        transport: { jsonTransport: true },
+        from: "Scholar Stream <no-reply@example.com>",
+      });
+      const info = await channel.send({
+        userEmail: USERS.student.email,
+        title: "Closing soon",
+        message: "Apply before Friday",
+      });
+      const mail = JSON.parse(info.message);
+      assert.equal(mail.to[0].address, USERS.student.email);
+      assert.equal(mail.subject, "Closing soon");
+      assert.equal(mail.text, "Apply before Friday");
+    });
+  });
+});
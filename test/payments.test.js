@@ -0,0 +1,278 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const {
+  USERS,
+  scholarshipDoc,
+  applicationDoc,
+  loadFixture,
+  startTestServer,
+} = require("./helpers");
+
+describe("payment routes", () => {
+  let server;
+  let applicationId;
+
+  const getApplication = () =>
+    server.collections.applicationCollection.findOne({
+      _id: new ObjectId(applicationId),
+    });
+  const fixtureFor = (name) => {
+    const event = loadFixture(name);
+    if (event.data.object.metadata) {
+      event.data.object.metadata.applicationId = applicationId;
+    }
+    return event;
+  };
+
+  before(async () => {
+    server = await startTestServer();
+  });
+  after(() => server.stop());
+  beforeEach(async () => {
+    await server.reset();
+    const { insertedId } =
+      await server.collections.scholarshipsCollection.insertOne(
+        scholarshipDoc({ applicationFees: 20, serviceCharge: 5 })
+      );
+    applicationId = String(
+      (
+        await server.collections.applicationCollection.insertOne(
+          applicationDoc({ scholarshipId: String(insertedId) })
+        )
+      ).insertedId
+    );
+  });
+
+  describe("POST /checkout-sessions", () => {
+    it("charges the stored fees, not what the client sends", async () => {
+      const res = await server
+        .as(USERS.student)
+        .post("/checkout-sessions")
+        .send({ applicationId, totalAmount: 0.01 });
+      assert.equal(res.status, 200);
+      assert.match(res.body.url, /^https:\/\/checkout\.stripe\.test\//);
+
+      const [session] = server.stripe.calls.sessions;
+      assert.deepEqual(
+        session.line_items.map((item) => item.price_data.unit_amount),
+        [2000, 500]
+      );
+      assert.equal(session.line_items[0].price_data.currency, "usd");
+      assert.equal(session.metadata.applicationId, applicationId);
+      assert.equal(session.customer_email, USERS.student.email);
+    });
+
+    it("charges in the scholarship's currency and skips free lines", async () => {
+      const { insertedId } =
+        await server.collections.scholarshipsCollection.insertOne(
+          scholarshipDoc({
+            currency: "eur",
+            applicationFees: 30,
+            serviceCharge: 0,
+          })
+        );
+      const application =
+        await server.collections.applicationCollection.insertOne(
+          applicationDoc({ scholarshipId: String(insertedId) })
+        );
+      await server
+        .as(USERS.student)
+        .post("/checkout-sessions")
+        .send({ applicationId: String(application.insertedId) });
+
+      const [session] = server.stripe.calls.sessions;
+      assert.equal(session.line_items.length, 1);
+      assert.equal(session.line_items[0].price_data.currency, "eur");
+      assert.equal(session.line_items[0].price_data.unit_amount, 3000);
+    });
+
+    it("refuses other users' and already paid applications", async () => {
+      const other = await server
+        .as(USERS.other)
+        .post("/checkout-sessions")
+        .send({ applicationId });
+      assert.equal(other.status, 403);
+
+      await server.collections.applicationCollection.updateOne(
+        { _id: new ObjectId(applicationId) },
+        { $set: { paymentStatus: "paid" } }
+      );
+      const paid = await server
+        .as(USERS.student)
+        .post("/checkout-sessions")
+        .send({ applicationId });
+      assert.equal(paid.status, 409);
+      assert.equal(server.stripe.calls.sessions.length, 0);
+    });
+
+    it("refuses refunded, withdrawn and rejected applications", async () => {
+      for (const state of [
+        { paymentStatus: "refunded", applicationStatus: "withdrawn" },
+        { paymentStatus: "partially_refunded" },
+        { applicationStatus: "rejected" },
+        { applicationStatus: "archived" },
+      ]) {
+        await server.collections.applicationCollection.updateOne(
+          { _id: new ObjectId(applicationId) },
+          {
+            $set: { paymentStatus: "unpaid", applicationStatus: "pending" },
+          }
+        );
+        await server.collections.applicationCollection.updateOne(
+          { _id: new ObjectId(applicationId) },
+          { $set: state }
+        );
+        const res = await server
+          .as(USERS.student)
+          .post("/checkout-sessions")
+          .send({ applicationId });
+        assert.equal(res.status, 409, JSON.stringify(state));
+        assert.equal(res.body.error, "Application can no longer be paid");
+      }
+      assert.equal(server.stripe.calls.sessions.length, 0);
+    });
+
+    it("requires a token and a valid application id", async () => {
+      const anonymous = await server
+        .request()
+        .post("/checkout-sessions")
+        .send({ applicationId });
+      assert.equal(anonymous.status, 401);
+
+      const invalid = await server
+        .as(USERS.student)
+        .post("/checkout-sessions")
+        .send({ applicationId: "nope" });
+      assert.equal(invalid.status, 400);
+    });
+  });
+
+  describe("POST /stripe/webhook", () => {
+    it("rejects unsigned requests", async () => {
+      const res = await server
+        .request()
+        .post("/stripe/webhook")
+        .set("Stripe-Signature", "t=1,v1=bad")
+        .send(fixtureFor("checkout.session.completed"));
+      assert.equal(res.status, 400);
+      assert.equal(res.body.code, "INVALID_SIGNATURE");
+    });
+
+    it("marks the application paid and records the payment", async () => {
+      const res = await server.sendEvent(
+        fixtureFor("checkout.session.completed")
+      );
+      assert.equal(res.status, 200);
+
+      const application = await getApplication();
+      assert.equal(application.paymentStatus, "paid");
+      assert.equal(application.transactionId, "pi_test_fixture");
+
+      const payment = await server.collections.paymentsCollection.findOne({
+        sessionId: "cs_test_fixture",
+      });
+      assert.equal(payment.amount, 2500);
+      assert.equal(payment.currency, "usd");
+      assert.equal(payment.status, "paid");
+    });
+
+    it("applies repeated deliveries once", async () => {
+      const event = fixtureFor("checkout.session.completed");
+      await server.sendEvent(event);
+      const again = await server.sendEvent(event);
+      assert.equal(again.body.duplicate, true);
+      assert.equal(
+        await server.collections.paymentsCollection.countDocuments(),
+        1
+      );
+    });
+
+    it("leaves applications that stopped being payable unpaid", async () => {
+      await server.collections.applicationCollection.updateOne(
+        { _id: new ObjectId(applicationId) },
+        { $set: { applicationStatus: "withdrawn" } }
+      );
+      await server.sendEvent(fixtureFor("checkout.session.completed"));
+
+      const application = await getApplication();
+      assert.equal(application.paymentStatus, "unpaid");
+      assert.equal(application.transactionId, undefined);
+      const payment = await server.collections.paymentsCollection.findOne({
+        sessionId: "cs_test_fixture",
+      });
+      assert.equal(payment.status, "paid");
+    });
+
+    it("applies concurrent deliveries once", async () => {
+      const event = fixtureFor("checkout.session.completed");
+      const responses = await Promise.all([
+        server.sendEvent(event),
+        server.sendEvent(event),
+      ]);
+      assert.deepEqual(
+        responses.map((res) => res.status),
+        [200, 200]
+      );
+      assert.equal(responses.filter((res) => res.body.duplicate).length, 1);
+      assert.equal(
+        await server.collections.paymentsCollection.countDocuments(),
+        1
+      );
+    });
+
+    it("lets Stripe retry an event that failed", async () => {
+      const event = fixtureFor("checkout.session.completed");
+      const { applicationCollection } = server.collections;
+      const updateOne = applicationCollection.updateOne;
+      applicationCollection.updateOne = async () => {
+        throw new Error("Connection reset");
+      };
+      let failed;
+      try {
+        failed = await server.sendEvent(event);
+      } finally {
+        applicationCollection.updateOne = updateOne;
+      }
+      assert.equal(failed.status, 500);
+
+      const retried = await server.sendEvent(event);
+      assert.equal(retried.body.duplicate, undefined);
+      assert.equal((await getApplication()).paymentStatus, "paid");
+    });
+
+    it("keeps one payment per session", async () => {
+      const { paymentsCollection } = server.collections;
+      await paymentsCollection.insertOne({ sessionId: "cs_test_fixture" });
+      await assert.rejects(
+        paymentsCollection.insertOne({ sessionId: "cs_test_fixture" }),
+        { code: 11000 }
+      );
+      await paymentsCollection.insertMany([
+        { sessionId: null },
+        { sessionId: null },
+      ]);
+    });
+
+    it("records expired sessions without touching the application", async () => {
+      await server.sendEvent(fixtureFor("checkout.session.expired"));
+
+      const payment = await server.collections.paymentsCollection.findOne({
+        sessionId: "cs_test_fixture_expired",
+      });
+      assert.equal(payment.status, "expired");
+      assert.equal((await getApplication()).paymentStatus, "unpaid");
+    });
+
+    it("marks refunded charges", async () => {
+      await server.sendEvent(fixtureFor("checkout.session.completed"));
+      await server.sendEvent(fixtureFor("charge.refunded"));
+
+      assert.equal((await getApplication()).paymentStatus, "refunded");
+      const payment = await server.collections.paymentsCollection.findOne({
+        paymentIntentId: "pi_test_fixture",
+      });
+      assert.equal(payment.amountRefunded, 2500);
+    });
+  });
+});
@@ -0,0 +1,173 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  USERS,
+  scholarshipDoc,
+  applicationDoc,
+  startTestServer,
+} = require("./helpers");
+const {
+  createMemoryStore,
+  createRedisStore,
+  createRateLimiter,
+} = require("../src/rateLimit");
+
+// Runs a limiter as middleware and reports what it did
+const run = async (limiter, req) => {
+  const headers = {};
+  const res = {
+    set: (values, value) =>
+      Object.assign(
+        headers,
+        typeof values === "string" ? { [values]: value } : values
+      ),
+  };
+  const error = await new Promise((resolve) =>
+    limiter({ ip: "10.0.0.1", id: "req", ...req }, res, resolve)
+  );
+  return { error, headers };
+};
+
+describe("rate limiting", () => {
+  describe("createRateLimiter", () => {
+    it("counts per IP within a window", async () => {
+      const limiter = createRateLimiter({
+        store: createMemoryStore(),
+        name: "test",
+        windowMs: 60 * 1000,
+        max: 2,
+      });
+
+      assert.equal((await run(limiter)).error, undefined);
+      const second = await run(limiter);
+      assert.equal(second.headers["RateLimit-Remaining"], "0");
+
+      const third = await run(limiter);
+      assert.equal(third.error.status, 429);
+      assert.equal(third.error.code, "RATE_LIMITED");
+      assert.equal(third.headers["Retry-After"], "60");
+
+      const elsewhere = await run(limiter, { ip: "10.0.0.2" });
+      assert.equal(elsewhere.error, undefined);
+    });
+
+    it("counts per user when asked to", async () => {
+      const limiter = createRateLimiter({
+        store: createMemoryStore(),
+        name: "test",
+        windowMs: 1000,
+        max: 1,
+        by: "user",
+      });
+      const student = { user: { email: USERS.student.email } };
+
+      assert.equal((await run(limiter, student)).error, undefined);
+      assert.equal((await run(limiter, student)).error.status, 429);
+      const other = { user: { email: USERS.other.email } };
+      assert.equal((await run(limiter, other)).error, undefined);
+    });
+
+    it("starts a new window once the old one ends", async () => {
+      const limiter = createRateLimiter({
+        store: createMemoryStore(),
+        name: "test",
+        windowMs: 20,
+        max: 1,
+      });
+      await run(limiter);
+      assert.equal((await run(limiter)).error.status, 429);
+      await new Promise((resolve) => setTimeout(resolve, 30));
+      assert.equal((await run(limiter)).error, undefined);
+    });
+
+    it("lets requests through when the store fails", async () => {
+      const limiter = createRateLimiter({
+        store: { hit: async () => Promise.reject(new Error("down")) },
+        name: "test",
+        windowMs: 1000,
+        max: 1,
+      });
+      assert.equal((await run(limiter)).error, undefined);
+    });
+
+    it("uses a Redis-compatible store through sendCommand", async () => {
+      const calls = [];
+      const store = createRedisStore({
+        sendCommand: async (args) => {
+          calls.push(args);
+          return [calls.length, 5000];
+        },
+      });
+      const limiter = createRateLimiter({
+        store,
+        name: "checkout",
+        windowMs: 60 * 1000,
+        max: 1,
+      });
+
+      await run(limiter);
+      const { error, headers } = await run(limiter);
+      assert.equal(error.status, 429);
+      assert.equal(headers["Retry-After"], "5");
+      assert.equal(calls[0][0], "EVAL");
+      assert.equal(calls[0][3], "rate-limit:checkout:ip:10.0.0.1");
+      assert.equal(calls[0][4], "60000");
+    });
+  });
+
+  describe("routes", () => {
+    let server;
+    let applicationId;
+
+    before(async () => {
+      server = await startTestServer({
+        config: {
+          rateLimits: {
+            global: { windowMs: 60 * 1000, max: 6 },
+            checkout: { windowMs: 60 * 1000, max: 2 },
+            account: { windowMs: 60 * 1000, max: 2 },
+          },
+        },
+      });
+    });
+    after(() => server.stop());
+    beforeEach(async () => {
+      await server.reset();
+      const { insertedId } =
+        await server.collections.scholarshipsCollection.insertOne(
+          scholarshipDoc()
+        );
+      applicationId = String(
+        (
+          await server.collections.applicationCollection.insertOne(
+            applicationDoc({ scholarshipId: String(insertedId) })
+          )
+        ).insertedId
+      );
+    });
+
+    it("limits checkout sessions per user and then per IP", async () => {
+      const checkout = (user) =>
+        server.as(user).post("/checkout-sessions").send({ applicationId });
+
+      assert.equal((await checkout(USERS.student)).status, 200);
+      assert.equal((await checkout(USERS.student)).status, 200);
+      const limited = await checkout(USERS.student);
+      assert.equal(limited.status, 429);
+      assert.equal(limited.body.code, "RATE_LIMITED");
+      assert.ok(Number(limited.headers["retry-after"]) > 0);
+      assert.ok(limited.body.requestId);
+
+      const account = (user) =>
+        server.as(user).post("/users").send({ email: user.email });
+      assert.equal((await account(USERS.other)).status, 200);
+      assert.equal((await account(USERS.other)).status, 200);
+      assert.equal((await account(USERS.other)).status, 429);
+
+      // Six requests so far from this IP, so the global limit kicks in
+      const res = await server.request().get("/scholarships");
+      assert.equal(res.status, 429);
+      assert.equal(res.headers["ratelimit-limit"], "6");
+    });
+  });
+});
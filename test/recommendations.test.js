@@ -0,0 +1,150 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  USERS,
+  scholarshipDoc,
+  applicationDoc,
+  startTestServer,
+} = require("./helpers");
+const {
+  WEIGHTS,
+  buildHistory,
+  scoreScholarship,
+  rankScholarships,
+} = require("../src/recommendations");
+
+describe("recommendation scoring", () => {
+  const profile = {
+    degree: "Masters",
+    subject: "engineering",
+    country: "UK",
+    gpa: 4.5,
+    budget: 30,
+  };
+
+  it("adds a weight for each matching profile field", () => {
+    const { score, reasons } = scoreScholarship(scholarshipDoc(), { profile });
+    assert.deepEqual(reasons, [
+      "degree",
+      "subject",
+      "country",
+      "withinBudget",
+      "fullFundForHighGpa",
+    ]);
+    assert.equal(
+      score,
+      WEIGHTS.degree +
+        WEIGHTS.subject +
+        WEIGHTS.country +
+        WEIGHTS.withinBudget +
+        WEIGHTS.fullFundForHighGpa
+    );
+  });
+
+  it("penalises scholarships over budget", () => {
+    const { score, reasons } = scoreScholarship(
+      scholarshipDoc({ applicationFees: 40 }),
+      { profile: { budget: 30 } }
+    );
+    assert.deepEqual(reasons, ["overBudget"]);
+    assert.equal(score, WEIGHTS.overBudget);
+  });
+
+  it("scores nothing without a profile or history", () => {
+    assert.deepEqual(scoreScholarship(scholarshipDoc()), {
+      score: 0,
+      reasons: [],
+    });
+  });
+
+  it("counts wishlisted scholarships and ones like past applications", () => {
+    const scholarship = { ...scholarshipDoc(), _id: "s1" };
+    const { reasons } = scoreScholarship(scholarship, {
+      history: buildHistory([{ subjectCategory: "Engineering" }]),
+      wishlistedIds: new Set(["s1"]),
+    });
+    assert.deepEqual(reasons, ["wishlisted", "similarHistory"]);
+  });
+
+  it("breaks ties by deadline and then id", () => {
+    const scholarships = [
+      { _id: "b", applicationDeadline: "2030-02-01" },
+      { _id: "e", applicationDeadline: null },
+      { _id: "c", applicationDeadline: "2030-01-01" },
+      { _id: "a", applicationDeadline: "2030-02-01" },
+      { _id: "d", applicationDeadline: "2030-03-01", degree: "Masters" },
+    ];
+    const order = (list) =>
+      rankScholarships(list, { profile: { degree: "Masters" } }).map(
+        (r) => r.scholarship._id
+      );
+    assert.deepEqual(order(scholarships), ["d", "c", "a", "b", "e"]);
+    assert.deepEqual(order([...scholarships].reverse()), [
+      "d",
+      "c",
+      "a",
+      "b",
+      "e",
+    ]);
+  });
+});
+
+describe("GET /scholarships/recommended", () => {
+  let server;
+  let ids;
+
+  before(async () => {
+    server = await startTestServer();
+  });
+  after(() => server.stop());
+  beforeEach(async () => {
+    await server.reset();
+    const { scholarshipsCollection, usersCollection } = server.collections;
+    const { insertedIds } = await scholarshipsCollection.insertMany([
+      scholarshipDoc({ scholarshipName: "Match", subjectCategory: "Law" }),
+      scholarshipDoc({ scholarshipName: "Other", degree: "Bachelor" }),
+      scholarshipDoc({ scholarshipName: "Applied", subjectCategory: "Law" }),
+      scholarshipDoc({
+        scholarshipName: "Closed",
+        subjectCategory: "Law",
+        applicationDeadline: "2020-01-01",
+      }),
+    ]);
+    ids = Object.values(insertedIds).map(String);
+    await usersCollection.updateOne(
+      { email: USERS.student.email },
+      { $set: { studentProfile: { degree: "Masters", subject: "Law" } } }
+    );
+    await server.collections.applicationCollection.insertOne(
+      applicationDoc({ scholarshipId: ids[2] })
+    );
+  });
+
+  it("ranks open scholarships the student hasn't applied to", async () => {
+    const res = await server.as(USERS.student).get("/scholarships/recommended");
+    assert.equal(res.status, 200);
+    assert.equal(res.body.total, 2);
+    assert.deepEqual(
+      res.body.items.map((s) => s.scholarshipName),
+      ["Match", "Other"]
+    );
+    assert.deepEqual(res.body.items[0].reasons, [
+      "degree",
+      "subject",
+      "similarHistory",
+    ]);
+  });
+
+  it("pages and needs a signed-in user", async () => {
+    const res = await server
+      .as(USERS.student)
+      .get("/scholarships/recommended?pageSize=1&page=2");
+    assert.deepEqual(
+      res.body.items.map((s) => s.scholarshipName),
+      ["Other"]
+    );
+
+    const anonymous = await server.request().get("/scholarships/recommended");
+    assert.equal(anonymous.status, 401);
+  });
+});
@@ -0,0 +1,332 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const {
+  USERS,
+  scholarshipDoc,
+  applicationDoc,
+  startTestServer,
+} = require("./helpers");
+const { withdrawalAmount } = require("../src/refunds");
+
+describe("refunds and withdrawals", () => {
+  let server;
+
+  // A paid application with its payment of 2500: 2000 fee, 500 service
+  const insertPaid = async (overrides = {}) => {
+    const {
+      applicationCollection,
+      paymentsCollection,
+      scholarshipsCollection,
+    } = server.collections;
+    const scholarship = await scholarshipsCollection.insertOne(
+      scholarshipDoc()
+    );
+    const { insertedId } = await applicationCollection.insertOne(
+      applicationDoc({
+        scholarshipId: String(scholarship.insertedId),
+        paymentStatus: "paid",
+        transactionId: "pi_test_1",
+        applicationFees: 20,
+        serviceCharge: 5,
+        ...overrides,
+      })
+    );
+    await paymentsCollection.insertOne({
+      sessionId: `cs_test_${insertedId}`,
+      applicationId: String(insertedId),
+      paymentIntentId: "pi_test_1",
+      amount: 2500,
+      currency: "usd",
+      status: "paid",
+    });
+    return String(insertedId);
+  };
+  const getApplication = (id) =>
+    server.collections.applicationCollection.findOne({
+      _id: new ObjectId(id),
+    });
+  const getPayment = () =>
+    server.collections.paymentsCollection.findOne({
+      paymentIntentId: "pi_test_1",
+    });
+
+  before(async () => {
+    server = await startTestServer();
+  });
+  after(() => server.stop());
+  beforeEach(() => server.reset());
+
+  describe("withdrawalAmount", () => {
+    const scholarship = { applicationFees: 20, serviceCharge: 5 };
+    const payment = { amount: 2500 };
+
+    it("refunds pending applications in full and keeps the service charge later", () => {
+      assert.equal(
+        withdrawalAmount(
+          { applicationStatus: "pending" },
+          { payment, scholarship }
+        ),
+        undefined
+      );
+      assert.equal(
+        withdrawalAmount(
+          { applicationStatus: "processing" },
+          { payment, scholarship }
+        ),
+        2000
+      );
+    });
+
+    it("ignores the fees on the application and what was already refunded", () => {
+      const processing = {
+        applicationStatus: "processing",
+        applicationFees: 25,
+        serviceCharge: 0,
+      };
+      assert.equal(
+        withdrawalAmount(processing, { payment, scholarship }),
+        2000
+      );
+      assert.equal(
+        withdrawalAmount(processing, {
+          payment: { ...payment, amountRefunded: 1000 },
+          scholarship,
+        }),
+        1500
+      );
+    });
+
+    it("refunds the application fee as charged after a coupon", () => {
+      assert.equal(
+        withdrawalAmount(
+          { applicationStatus: "processing" },
+          {
+            payment: {
+              amount: 1250,
+              discount: 1250,
+              lines: { applicationFees: 1000, serviceCharge: 250 },
+            },
+            scholarship,
+          }
+        ),
+        1000
+      );
+    });
+
+    it("falls back to the scholarship's fee without a stored payment", () => {
+      assert.equal(
+        withdrawalAmount({ applicationStatus: "processing" }, { scholarship }),
+        2000
+      );
+    });
+  });
+
+  describe("POST /applications/:id/withdraw", () => {
+    const withdraw = (id, user = USERS.student) =>
+      server.as(user).post(`/applications/${id}/withdraw`);
+
+    it("withdraws a pending application and refunds it in full", async () => {
+      const id = await insertPaid();
+      const res = await withdraw(id).send({ reason: "Accepted elsewhere" });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.applicationStatus, "withdrawn");
+      assert.equal(res.body.refund.amount, 2500);
+      assert.equal(res.body.refund.paymentStatus, "refunded");
+
+      const [{ params, options }] = server.stripe.calls.refunds;
+      assert.equal(params.payment_intent, "pi_test_1");
+      assert.equal(params.amount, 2500);
+      assert.equal(options.idempotencyKey, `refund-${id}-0`);
+
+      const application = await getApplication(id);
+      assert.equal(application.applicationStatus, "withdrawn");
+      assert.equal(application.paymentStatus, "refunded");
+      assert.equal(application.statusHistory.at(-1).note, "Accepted elsewhere");
+
+      const payment = await getPayment();
+      assert.equal(payment.status, "refunded");
+      assert.equal(payment.amountRefunded, 2500);
+      assert.equal(payment.refunds[0].id, "re_test_1");
+      assert.equal(payment.refunds[0].reason, "withdrawn");
+    });
+
+    it("keeps the service charge once processing has started", async () => {
+      const id = await insertPaid({ applicationStatus: "processing" });
+      const res = await withdraw(id);
+      assert.equal(res.body.refund.amount, 2000);
+      assert.equal(res.body.refund.paymentStatus, "partially_refunded");
+      assert.equal(
+        (await getApplication(id)).paymentStatus,
+        "partially_refunded"
+      );
+    });
+
+    it("keeps the service charge even if the applicant edited the fees", async () => {
+      const id = await insertPaid({
+        applicationStatus: "processing",
+        applicationFees: 25,
+        serviceCharge: 0,
+      });
+      const res = await withdraw(id);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.refund.amount, 2000);
+    });
+
+    it("withdraws unpaid applications without a refund", async () => {
+      const { insertedId } =
+        await server.collections.applicationCollection.insertOne(
+          applicationDoc()
+        );
+      const res = await withdraw(insertedId);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.refund, null);
+      assert.equal(server.stripe.calls.refunds.length, 0);
+    });
+
+    it("refuses finished applications", async () => {
+      for (const applicationStatus of ["completed", "rejected", "withdrawn"]) {
+        const id = await insertPaid({
+          applicationStatus,
+          scholarshipId: String(new ObjectId()),
+        });
+        const res = await withdraw(id);
+        assert.equal(res.status, 409);
+        assert.equal(res.body.code, "CANNOT_WITHDRAW");
+      }
+    });
+
+    it("leaves the application alone when Stripe fails", async () => {
+      const id = await insertPaid();
+      server.stripe.failRefunds = true;
+      const res = await withdraw(id);
+      assert.equal(res.status, 502);
+      assert.equal(res.body.code, "REFUND_FAILED");
+
+      const application = await getApplication(id);
+      assert.equal(application.applicationStatus, "pending");
+      assert.equal(application.paymentStatus, "paid");
+      assert.equal(application.withdrawnAt, undefined);
+      assert.deepEqual(application.statusHistory, []);
+    });
+
+    it("claims the withdrawal before refunding", async () => {
+      const id = await insertPaid();
+      const { applicationCollection } = server.collections;
+      const create = server.stripe.refunds.create;
+      let statusWhenRefunded;
+      server.stripe.refunds.create = async (...args) => {
+        statusWhenRefunded = (await getApplication(id)).applicationStatus;
+        return create(...args);
+      };
+      try {
+        const res = await withdraw(id);
+        assert.equal(res.status, 200);
+      } finally {
+        server.stripe.refunds.create = create;
+      }
+      assert.equal(statusWhenRefunded, "withdrawn");
+
+      await applicationCollection.updateOne(
+        { _id: new ObjectId(id) },
+        { $set: { applicationStatus: "processing", paymentStatus: "paid" } }
+      );
+      // A moderator rejects it just after the route has read it
+      const findOne = applicationCollection.findOne;
+      applicationCollection.findOne = async (filter, options) => {
+        const found = await findOne.call(
+          applicationCollection,
+          filter,
+          options
+        );
+        if (options?.projection?.statusHistory === 0) {
+          await applicationCollection.updateOne(
+            { _id: new ObjectId(id) },
+            { $set: { applicationStatus: "rejected" } }
+          );
+        }
+        return found;
+      };
+      let raced;
+      try {
+        raced = await withdraw(id);
+      } finally {
+        applicationCollection.findOne = findOne;
+      }
+      assert.equal(raced.status, 409);
+      assert.equal(raced.body.error, "Application changed, please retry");
+      assert.equal(server.stripe.calls.refunds.length, 1);
+    });
+
+    it("is for the applicant only", async () => {
+      const id = await insertPaid();
+      for (const user of [USERS.other, USERS.admin]) {
+        const res = await withdraw(id, user);
+        assert.equal(res.status, 403);
+      }
+    });
+  });
+
+  describe("POST /applications/:id/refund", () => {
+    const refund = (id, user = USERS.admin) =>
+      server.as(user).post(`/applications/${id}/refund`);
+
+    it("refunds in parts until nothing is left", async () => {
+      const id = await insertPaid({ applicationStatus: "completed" });
+
+      const first = await refund(id).send({ amount: 1000, reason: "Goodwill" });
+      assert.equal(first.status, 200);
+      assert.equal(first.body.paymentStatus, "partially_refunded");
+
+      const rest = await refund(id);
+      assert.equal(rest.body.amount, 1500);
+      assert.equal(rest.body.paymentStatus, "refunded");
+      assert.deepEqual(
+        server.stripe.calls.refunds.map((c) => c.options.idempotencyKey),
+        [`refund-${id}-0`, `refund-${id}-1`]
+      );
+
+      const payment = await getPayment();
+      assert.equal(payment.amountRefunded, 2500);
+      assert.equal(payment.refunds.length, 2);
+      assert.equal(payment.refunds[0].by, USERS.admin.email);
+
+      const again = await refund(id);
+      assert.equal(again.status, 409);
+      assert.equal(again.body.code, "NOT_REFUNDABLE");
+    });
+
+    it("rejects amounts above what is left", async () => {
+      const id = await insertPaid();
+      const res = await refund(id).send({ amount: 3000 });
+      assert.equal(res.status, 400);
+      assert.equal(server.stripe.calls.refunds.length, 0);
+    });
+
+    it("409s for unpaid applications", async () => {
+      const { insertedId } =
+        await server.collections.applicationCollection.insertOne(
+          applicationDoc()
+        );
+      const res = await refund(insertedId);
+      assert.equal(res.status, 409);
+      assert.equal(res.body.code, "NOT_REFUNDABLE");
+    });
+
+    it("is audited, notifies the student and is admin only", async () => {
+      const id = await insertPaid();
+      const denied = await refund(id, USERS.moderator);
+      assert.equal(denied.status, 403);
+
+      await refund(id).send({ reason: "Duplicate payment" });
+      const entry = await server.collections.auditCollection.findOne({
+        action: "application.refund",
+      });
+      assert.equal(entry.details.reason, "Duplicate payment");
+      const notice = await server.collections.notificationsCollection.findOne({
+        type: "application_refund",
+      });
+      assert.equal(notice.userEmail, USERS.student.email);
+    });
+  });
+});
@@ -0,0 +1,243 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  USERS,
+  scholarshipDoc,
+  applicationDoc,
+  startTestServer,
+} = require("./helpers");
+
+describe("review routes", () => {
+  let server;
+  let scholarshipId;
+  let applicationId;
+  let reviewId;
+
+  const getScholarship = () =>
+    server.collections.scholarshipsCollection.findOne({});
+
+  before(async () => {
+    server = await startTestServer();
+  });
+  after(() => server.stop());
+  beforeEach(async () => {
+    await server.reset();
+    const { collections } = server;
+    scholarshipId = String(
+      (await collections.scholarshipsCollection.insertOne(scholarshipDoc()))
+        .insertedId
+    );
+    applicationId = String(
+      (
+        await collections.applicationCollection.insertOne(
+          applicationDoc({ scholarshipId, applicationStatus: "completed" })
+        )
+      ).insertedId
+    );
+    reviewId = String(
+      (
+        await collections.reviewsCollection.insertOne({
+          scholarshipId,
+          userEmail: USERS.other.email,
+          ratingPoint: 4,
+          reviewComment: "Good",
+          reviewDate: new Date("2025-01-01"),
+        })
+      ).insertedId
+    );
+  });
+
+  describe("listing", () => {
+    it("GET /reviews returns all reviews", async () => {
+      const res = await server.as(USERS.student).get("/reviews");
+      assert.equal(res.status, 200);
+      assert.equal(res.body.length, 1);
+    });
+
+    it("GET /scholarships/:scholarshipId/reviews filters by scholarship", async () => {
+      const res = await server
+        .as(USERS.student)
+        .get(`/scholarships/${scholarshipId}/reviews`);
+      assert.equal(res.body.length, 1);
+
+      const none = await server
+        .as(USERS.student)
+        .get("/scholarships/000000000000000000000000/reviews");
+      assert.equal(none.body.length, 0);
+    });
+
+    it("GET /users/:email/reviews filters by author", async () => {
+      const res = await server
+        .as(USERS.student)
+        .get(`/users/${USERS.other.email}/reviews`);
+      assert.equal(res.body.length, 1);
+    });
+  });
+
+  const review = (user, body) =>
+    server.as(user).patch(`/applications/${applicationId}/review`).send(body);
+
+  describe("PATCH /applications/:id/review", () => {
+    it("creates one review per applicant and scholarship", async () => {
+      const first = await review(USERS.student, {
+        rating: 5,
+        comment: "Great",
+      });
+      assert.equal(first.status, 200);
+
+      const second = await review(USERS.student, { rating: 3, comment: "Ok" });
+      assert.equal(second.status, 200);
+
+      const reviews = await server.collections.reviewsCollection
+        .find({ userEmail: USERS.student.email })
+        .toArray();
+      assert.equal(reviews.length, 1);
+      assert.equal(reviews[0].ratingPoint, 3);
+      assert.equal(reviews[0].applicationId, applicationId);
+    });
+
+    it("keeps the scholarship's rating aggregates current", async () => {
+      await review(USERS.student, { rating: 5, comment: "Great" });
+      const scholarship = await getScholarship();
+      assert.equal(scholarship.reviewCount, 2);
+      assert.equal(scholarship.averageRating, 4.5);
+    });
+
+    it("only accepts reviews of completed applications", async () => {
+      await server.collections.applicationCollection.updateOne(
+        {},
+        { $set: { applicationStatus: "processing" } }
+      );
+      const res = await review(USERS.student, { rating: 5, comment: "Early" });
+      assert.equal(res.status, 409);
+      assert.match(res.body.error, /completed/);
+    });
+
+    it("validates the rating range", async () => {
+      const res = await review(USERS.student, { rating: 9, comment: "Hm" });
+      assert.equal(res.status, 400);
+      assert.equal(res.body.errors[0].field, "rating");
+    });
+
+    it("is limited to the applicant", async () => {
+      for (const user of [USERS.other, USERS.moderator]) {
+        const res = await review(user, { rating: 5, comment: "x" });
+        assert.equal(res.status, 403);
+      }
+    });
+
+    it("404s when the scholarship is gone", async () => {
+      await server.collections.scholarshipsCollection.deleteMany({});
+      const res = await review(USERS.student, { rating: 5, comment: "x" });
+      assert.equal(res.status, 404);
+    });
+  });
+
+  describe("PATCH /reviews/:id", () => {
+    it("lets only the author edit", async () => {
+      const own = await server
+        .as(USERS.other)
+        .patch(`/reviews/${reviewId}`)
+        .send({ ratingPoint: 2, reviewComment: "Changed my mind" });
+      assert.equal(own.status, 200);
+
+      for (const user of [USERS.student, USERS.moderator, USERS.admin]) {
+        const res = await server
+          .as(user)
+          .patch(`/reviews/${reviewId}`)
+          .send({ ratingPoint: 1, reviewComment: "Nope" });
+        assert.equal(res.status, 403);
+      }
+    });
+  });
+
+  describe("PATCH /reviews/:id/moderation", () => {
+    const moderate = (user, body) =>
+      server.as(user).patch(`/reviews/${reviewId}/moderation`).send(body);
+
+    it("hides a review from listings and the rating", async () => {
+      await review(USERS.student, { rating: 2, comment: "Meh" });
+      const res = await moderate(USERS.moderator, {
+        status: "hidden",
+        reason: "Spam",
+      });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.moderation.by, USERS.moderator.email);
+
+      const scholarship = await getScholarship();
+      assert.equal(scholarship.reviewCount, 1);
+      assert.equal(scholarship.averageRating, 2);
+
+      const student = await server
+        .as(USERS.student)
+        .get(`/scholarships/${scholarshipId}/reviews`);
+      assert.equal(student.body.length, 1);
+
+      const author = await server
+        .as(USERS.other)
+        .get(`/users/${USERS.other.email}/reviews`);
+      assert.equal(author.body[0].moderation.reason, "Spam");
+
+      const staff = await server
+        .as(USERS.moderator)
+        .get("/reviews?status=hidden");
+      assert.deepEqual(
+        staff.body.map((r) => r.userEmail),
+        [USERS.other.email]
+      );
+    });
+
+    it("flags a review without hiding it", async () => {
+      await moderate(USERS.admin, { status: "flagged", reason: "Check" });
+      const res = await server.as(USERS.student).get("/reviews");
+      assert.equal(res.body[0].status, "flagged");
+      assert.equal((await getScholarship()).reviewCount, 1);
+    });
+
+    it("requires a reason to hide or flag", async () => {
+      const res = await moderate(USERS.moderator, { status: "hidden" });
+      assert.equal(res.status, 400);
+      assert.equal(res.body.errors[0].field, "reason");
+
+      const restore = await moderate(USERS.moderator, { status: "visible" });
+      assert.equal(restore.status, 200);
+    });
+
+    it("is for staff", async () => {
+      const res = await moderate(USERS.other, {
+        status: "hidden",
+        reason: "Mine",
+      });
+      assert.equal(res.status, 403);
+    });
+  });
+
+  describe("DELETE /reviews/:id", () => {
+    it("lets the author and staff delete", async () => {
+      const forbidden = await server
+        .as(USERS.student)
+        .delete(`/reviews/${reviewId}`);
+      assert.equal(forbidden.status, 403);
+
+      const mod = await server
+        .as(USERS.moderator)
+        .delete(`/reviews/${reviewId}`);
+      assert.equal(mod.status, 200);
+      const scholarship = await getScholarship();
+      assert.equal(scholarship.reviewCount, 0);
+      assert.equal(scholarship.averageRating, null);
+
+      const missing = await server
+        .as(USERS.other)
+        .delete(`/reviews/${reviewId}`);
+      assert.equal(missing.status, 404);
+    });
+
+    it("answers 404 to staff when the review is gone", async () => {
+      await server.as(USERS.moderator).delete(`/reviews/${reviewId}`);
+      const again = await server.as(USERS.admin).delete(`/reviews/${reviewId}`);
+      assert.equal(again.status, 404);
+      assert.equal(again.body.error, "Review not found");
+    });
+  });
+});
@@ -0,0 +1,679 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const { USERS, scholarshipDoc, startTestServer } = require("./helpers");
+
+describe("scholarship routes", () => {
+  let server;
+  let ids;
+
+  before(async () => {
+    server = await startTestServer();
+  });
+  after(() => server.stop());
+  beforeEach(async () => {
+    await server.reset();
+    const { insertedIds } =
+      await server.collections.scholarshipsCollection.insertMany([
+        scholarshipDoc({
+          scholarshipName: "Global Excellence",
+          universityName: "Oxford",
+          universityCountry: "UK",
+          applicationFees: 50,
+          applicationDeadline: "2099-03-01",
+          scholarshipPostDate: "2025-01-01",
+        }),
+        scholarshipDoc({
+          scholarshipName: "Future Leaders",
+          universityName: "Toronto",
+          universityCountry: "Canada",
+          degree: "Bachelor",
+          applicationFees: 10,
+          applicationDeadline: "2099-01-01",
+          scholarshipPostDate: "2025-03-01",
+        }),
+        scholarshipDoc({
+          scholarshipName: "Research Grant",
+          universityName: "Melbourne",
+          universityCountry: "Australia",
+          subjectCategory: "Medicine",
+          applicationFees: 30,
+          applicationDeadline: "2099-02-01",
+          scholarshipPostDate: "2025-02-01",
+        }),
+      ]);
+    ids = Object.values(insertedIds).map(String);
+  });
+
+  describe("GET /scholarships", () => {
+    it("returns a page envelope, newest first by default", async () => {
+      const res = await server.request().get("/scholarships");
+      assert.equal(res.status, 200);
+      assert.equal(res.body.total, 3);
+      assert.equal(res.body.page, 1);
+      assert.equal(res.body.pageSize, 12);
+      assert.deepEqual(
+        res.body.items.map((s) => s.scholarshipName),
+        ["Future Leaders", "Research Grant", "Global Excellence"]
+      );
+    });
+
+    it("lists open-ended scholarships", async () => {
+      const { scholarshipsCollection } = server.collections;
+      const openEnded = scholarshipDoc({ scholarshipName: "Rolling Grant" });
+      delete openEnded.applicationDeadline;
+      await scholarshipsCollection.insertMany([
+        openEnded,
+        scholarshipDoc({
+          scholarshipName: "Lapsed",
+          applicationDeadline: "2020-01-01",
+        }),
+      ]);
+
+      const res = await server.request().get("/scholarships?sort=fee");
+      assert.equal(res.status, 200);
+      assert.equal(res.body.total, 4);
+      const names = res.body.items.map((s) => s.scholarshipName);
+      assert.ok(names.includes("Rolling Grant"));
+      assert.ok(!names.includes("Lapsed"));
+    });
+
+    it("paginates", async () => {
+      const res = await server
+        .request()
+        .get("/scholarships?page=2&pageSize=2&sort=fee");
+      assert.equal(res.body.total, 3);
+      assert.deepEqual(
+        res.body.items.map((s) => s.applicationFees),
+        [50]
+      );
+    });
+
+    it("filters by country, degree, subject and fee range", async () => {
+      const country = await server
+        .request()
+        .get("/scholarships?country=UK,Canada");
+      assert.equal(country.body.total, 2);
+
+      const degree = await server
+        .request()
+        .get("/scholarships?degree=Bachelor");
+      assert.deepEqual(
+        degree.body.items.map((s) => s.scholarshipName),
+        ["Future Leaders"]
+      );
+
+      const subject = await server
+        .request()
+        .get("/scholarships?subject=Medicine");
+      assert.equal(subject.body.total, 1);
+
+      const fees = await server
+        .request()
+        .get("/scholarships?minFee=20&maxFee=40");
+      assert.deepEqual(
+        fees.body.items.map((s) => s.applicationFees),
+        [30]
+      );
+    });
+
+    it("searches scholarship and university names", async () => {
+      const res = await server.request().get("/scholarships?search=toronto");
+      assert.deepEqual(
+        res.body.items.map((s) => s.scholarshipName),
+        ["Future Leaders"]
+      );
+    });
+
+    it("rejects a repeated search but takes repeated filters", async () => {
+      const search = await server
+        .request()
+        .get("/scholarships?search=toronto&search=oxford");
+      assert.equal(search.status, 400);
+      assert.deepEqual(search.body.errors, [
+        { field: "search", message: "must be given once" },
+      ]);
+
+      const countries = await server
+        .request()
+        .get("/scholarships?country=UK&country=Canada");
+      assert.equal(countries.status, 200);
+      assert.equal(countries.body.total, 2);
+    });
+
+    it("sorts by deadline or fee in either direction", async () => {
+      const deadline = await server
+        .request()
+        .get("/scholarships?sort=deadline");
+      assert.deepEqual(
+        deadline.body.items.map((s) => s.applicationDeadline),
+        ["2099-01-01", "2099-02-01", "2099-03-01"]
+      );
+
+      const fee = await server
+        .request()
+        .get("/scholarships?sort=fee&order=desc");
+      assert.deepEqual(
+        fee.body.items.map((s) => s.applicationFees),
+        [50, 30, 10]
+      );
+    });
+
+    it("sorts by average rating", async () => {
+      const { scholarshipsCollection } = server.collections;
+      await scholarshipsCollection.updateOne(
+        { scholarshipName: "Future Leaders" },
+        { $set: { averageRating: 4.5, reviewCount: 2 } }
+      );
+      await scholarshipsCollection.updateOne(
+        { scholarshipName: "Research Grant" },
+        { $set: { averageRating: 3, reviewCount: 1 } }
+      );
+
+      const res = await server
+        .request()
+        .get("/scholarships/top?sort=rating&order=desc");
+      assert.deepEqual(
+        res.body.items.map((s) => s.scholarshipName),
+        ["Future Leaders", "Research Grant", "Global Excellence"]
+      );
+    });
+  });
+
+  describe("GET /scholarships/top", () => {
+    it("returns the cheapest scholarships in the same envelope", async () => {
+      const res = await server.request().get("/scholarships/top?limit=2");
+      assert.equal(res.status, 200);
+      assert.equal(res.body.pageSize, 2);
+      assert.equal(res.body.total, 3);
+      assert.deepEqual(
+        res.body.items.map((s) => s.applicationFees),
+        [10, 30]
+      );
+    });
+  });
+
+  describe("GET /scholarships/:id", () => {
+    it("returns the scholarship, 404 when missing, 400 on bad ids", async () => {
+      const found = await server.request().get(`/scholarships/${ids[0]}`);
+      assert.equal(found.status, 200);
+      assert.equal(found.body.scholarshipName, "Global Excellence");
+
+      const missing = await server
+        .request()
+        .get("/scholarships/000000000000000000000000");
+      assert.equal(missing.status, 404);
+      assert.equal(missing.body.code, "NOT_FOUND");
+
+      const invalid = await server.request().get("/scholarships/abc");
+      assert.equal(invalid.status, 400);
+      assert.equal(invalid.body.code, "INVALID_ID");
+    });
+  });
+
+  describe("POST /scholarships", () => {
+    it("lets admins create scholarships and drops unknown fields", async () => {
+      const res = await server
+        .as(USERS.admin)
+        .post("/scholarships")
+        .send({
+          ...scholarshipDoc({ scholarshipName: "New One" }),
+          applicationFees: "15",
+          _id: "000000000000000000000001",
+          junk: true,
+        });
+      assert.equal(res.status, 200);
+
+      const saved = await server.collections.scholarshipsCollection.findOne({
+        scholarshipName: "New One",
+      });
+      assert.equal(saved.applicationFees, 15);
+      assert.equal(saved.junk, undefined);
+      assert.notEqual(String(saved._id), "000000000000000000000001");
+    });
+
+    it("stores dates in ISO form so listings compare them", async () => {
+      const res = await server
+        .as(USERS.admin)
+        .post("/scholarships")
+        .send(
+          scholarshipDoc({
+            scholarshipName: "Slashed",
+            applicationDeadline: "12/31/2099",
+          })
+        );
+      assert.equal(res.status, 200);
+
+      const saved = await server.collections.scholarshipsCollection.findOne({
+        scholarshipName: "Slashed",
+      });
+      assert.equal(saved.applicationDeadline, "2099-12-31");
+      const list = await server.request().get("/scholarships?search=Slashed");
+      assert.equal(list.body.total, 1);
+
+      const invalid = await server
+        .as(USERS.admin)
+        .post("/scholarships")
+        .send(scholarshipDoc({ applicationDeadline: "2099-02-30" }));
+      assert.equal(invalid.status, 400);
+    });
+
+    it("reports every invalid field", async () => {
+      const res = await server
+        .as(USERS.admin)
+        .post("/scholarships")
+        .send({ ...scholarshipDoc(), degree: "PhD", applicationFees: -1 });
+      assert.equal(res.status, 400);
+      assert.deepEqual(
+        res.body.errors.map((e) => e.field),
+        ["degree", "applicationFees"]
+      );
+    });
+
+    it("is admin only", async () => {
+      const res = await server
+        .as(USERS.moderator)
+        .post("/scholarships")
+        .send(scholarshipDoc());
+      assert.equal(res.status, 403);
+    });
+  });
+
+  describe("PATCH /scholarships/:id", () => {
+    it("applies partial updates", async () => {
+      const res = await server
+        .as(USERS.admin)
+        .patch(`/scholarships/${ids[0]}`)
+        .send({ applicationFees: 60 });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.modifiedCount, 1);
+    });
+
+    it("404s for missing scholarships", async () => {
+      const res = await server
+        .as(USERS.admin)
+        .patch("/scholarships/000000000000000000000000")
+        .send({ applicationFees: 60 });
+      assert.equal(res.status, 404);
+    });
+  });
+
+  describe("DELETE /scholarships/:id", () => {
+    it("lets admins delete and 404s afterwards", async () => {
+      const first = await server
+        .as(USERS.admin)
+        .delete(`/scholarships/${ids[0]}`);
+      assert.equal(first.status, 200);
+
+      const second = await server
+        .as(USERS.admin)
+        .delete(`/scholarships/${ids[0]}`);
+      assert.equal(second.status, 404);
+    });
+
+    it("is admin only", async () => {
+      const res = await server
+        .as(USERS.student)
+        .delete(`/scholarships/${ids[0]}`);
+      assert.equal(res.status, 403);
+    });
+  });
+
+  describe("lifecycle", () => {
+    const setStatus = (id, body, user = USERS.admin) =>
+      server.as(user).patch(`/scholarships/${id}/status`).send(body);
+    const names = (res) => res.body.items.map((s) => s.scholarshipName).sort();
+
+    beforeEach(async () => {
+      await server.collections.scholarshipsCollection.insertMany([
+        scholarshipDoc({ scholarshipName: "Draft", status: "draft" }),
+        scholarshipDoc({
+          scholarshipName: "Later",
+          status: "scheduled",
+          publishAt: "2099-01-01T00:00:00.000Z",
+        }),
+        scholarshipDoc({
+          scholarshipName: "Due",
+          status: "scheduled",
+          publishAt: "2020-01-01T00:00:00.000Z",
+        }),
+        scholarshipDoc({
+          scholarshipName: "Expired",
+          applicationDeadline: "2020-01-01",
+        }),
+        scholarshipDoc({ scholarshipName: "Closed", status: "closed" }),
+        scholarshipDoc({ scholarshipName: "Archived", status: "archived" }),
+      ]);
+    });
+
+    it("lists only published scholarships publicly, everything for admins", async () => {
+      const published = [
+        "Due",
+        "Future Leaders",
+        "Global Excellence",
+        "Research Grant",
+      ];
+      for (const path of ["/scholarships", "/scholarships/top"]) {
+        assert.deepEqual(names(await server.request().get(path)), published);
+        assert.deepEqual(
+          names(await server.as(USERS.student).get(`${path}?status=draft`)),
+          published
+        );
+      }
+
+      const admin = await server.as(USERS.admin).get("/scholarships");
+      assert.equal(admin.body.total, 9);
+      const drafts = await server
+        .as(USERS.admin)
+        .get("/scholarships?status=draft,archived");
+      assert.deepEqual(names(drafts), ["Archived", "Draft"]);
+    });
+
+    it("hides unpublished scholarships by id from everyone but admins", async () => {
+      const { _id } = await server.collections.scholarshipsCollection.findOne({
+        scholarshipName: "Draft",
+      });
+      const anonymous = await server.request().get(`/scholarships/${_id}`);
+      assert.equal(anonymous.status, 404);
+      const moderator = await server
+        .as(USERS.moderator)
+        .get(`/scholarships/${_id}`);
+      assert.equal(moderator.status, 404);
+      const admin = await server.as(USERS.admin).get(`/scholarships/${_id}`);
+      assert.equal(admin.status, 200);
+    });
+
+    it("creates drafts and scheduled scholarships on request", async () => {
+      const draft = await server
+        .as(USERS.admin)
+        .post("/scholarships")
+        .send(scholarshipDoc({ scholarshipName: "New", status: "draft" }));
+      assert.equal(draft.body.status, "draft");
+
+      const scheduled = await server
+        .as(USERS.admin)
+        .post("/scholarships")
+        .send(
+          scholarshipDoc({
+            scholarshipName: "Soon",
+            status: undefined,
+            publishAt: "2099-01-01T00:00:00.000Z",
+          })
+        );
+      assert.equal(scheduled.body.status, "scheduled");
+
+      const late = await server
+        .as(USERS.admin)
+        .post("/scholarships")
+        .send(scholarshipDoc({ applicationDeadline: "2020-01-01" }));
+      assert.equal(late.status, 409);
+      assert.equal(late.body.code, "DEADLINE_PASSED");
+    });
+
+    it("moves scholarships between statuses", async () => {
+      const { _id } = await server.collections.scholarshipsCollection.findOne({
+        scholarshipName: "Draft",
+      });
+
+      const scheduled = await setStatus(_id, {
+        publishAt: "2099-01-01T00:00:00.000Z",
+      });
+      assert.equal(scheduled.status, 200);
+      assert.equal(scheduled.body.status, "scheduled");
+
+      const published = await setStatus(_id, { status: "published" });
+      assert.equal(published.body.status, "published");
+      const saved = await server.collections.scholarshipsCollection.findOne({
+        _id,
+      });
+      assert.ok(new Date(saved.publishAt) <= new Date());
+      assert.equal(
+        (await server.request().get(`/scholarships/${_id}`)).status,
+        200
+      );
+
+      const backToDraft = await setStatus(_id, { status: "draft" });
+      assert.equal(backToDraft.status, 409);
+      assert.equal(backToDraft.body.code, "INVALID_TRANSITION");
+
+      const closed = await setStatus(_id, { status: "closed" });
+      assert.equal(closed.body.status, "closed");
+
+      const [entry] = await server.collections.auditCollection
+        .find({ action: "scholarship.status.update" })
+        .sort({ at: -1 })
+        .limit(1)
+        .toArray();
+      assert.equal(entry.actor.email, USERS.admin.email);
+    });
+
+    it("rejects schedules in the past and republishing past the deadline", async () => {
+      const { scholarshipsCollection } = server.collections;
+      const draft = await scholarshipsCollection.findOne({
+        scholarshipName: "Draft",
+      });
+      const past = await setStatus(draft._id, {
+        status: "scheduled",
+        publishAt: "2020-01-01T00:00:00.000Z",
+      });
+      assert.equal(past.status, 400);
+
+      const expired = await scholarshipsCollection.findOne({
+        scholarshipName: "Expired",
+      });
+      const reopen = await setStatus(expired._id, { status: "published" });
+      assert.equal(reopen.status, 409);
+      assert.equal(reopen.body.code, "DEADLINE_PASSED");
+
+      const empty = await setStatus(draft._id, {});
+      assert.equal(empty.status, 400);
+      const invalid = await setStatus(draft._id, { status: "gone" });
+      assert.equal(invalid.status, 400);
+    });
+
+    it("is admin only", async () => {
+      const res = await setStatus(
+        ids[0],
+        { status: "closed" },
+        USERS.moderator
+      );
+      assert.equal(res.status, 403);
+    });
+  });
+
+  describe("GET /scholarships/export", () => {
+    it("streams the filtered listing as CSV", async () => {
+      const res = await server
+        .as(USERS.admin)
+        .get("/scholarships/export?country=UK,Canada&sort=fee");
+      assert.equal(res.status, 200);
+      assert.match(res.headers["content-type"], /text\/csv/);
+      assert.match(
+        res.headers["content-disposition"],
+        /attachment; filename="scholarships-\d{4}-\d{2}-\d{2}\.csv"/
+      );
+
+      const [header, ...lines] = res.text.trim().split("\n");
+      assert.ok(header.startsWith("_id,scholarshipName,universityName,"));
+      assert.equal(lines.length, 2);
+      assert.ok(lines[0].startsWith(`${ids[1]},Future Leaders,Toronto,`));
+    });
+
+    it("streams JSON on request", async () => {
+      const res = await server
+        .as(USERS.admin)
+        .get("/scholarships/export?format=json&search=grant");
+      assert.equal(res.status, 200);
+      assert.deepEqual(
+        res.body.map((s) => s.scholarshipName),
+        ["Research Grant"]
+      );
+    });
+
+    it("rejects unknown formats and non-admins", async () => {
+      const xml = await server
+        .as(USERS.admin)
+        .get("/scholarships/export?format=xml");
+      assert.equal(xml.status, 400);
+
+      const student = await server
+        .as(USERS.student)
+        .get("/scholarships/export");
+      assert.equal(student.status, 403);
+    });
+  });
+
+  describe("POST /scholarships/import", () => {
+    const CSV = [
+      "scholarshipName,universityName,universityCountry,subjectCategory,scholarshipCategory,degree,applicationFees,serviceCharge,applicationDeadline",
+      "Global Excellence,Oxford,UK,Engineering,Full fund,Masters,75,5,2099-03-01",
+      'New Horizons,"Sorbonne, Paris",France,Arts,Partial,Bachelor,15,2,2099-05-01',
+      "Broken,Nowhere,UK,Arts,Lottery,Masters,abc,2,2099-05-01",
+    ].join("\n");
+    const importCsv = (query = "") =>
+      server
+        .as(USERS.admin)
+        .post(`/scholarships/import${query}`)
+        .set("Content-Type", "text/csv")
+        .send(CSV);
+
+    it("upserts valid CSV rows and reports the invalid ones", async () => {
+      const res = await importCsv();
+      assert.equal(res.status, 200);
+      assert.equal(res.body.inserted, 1);
+      assert.equal(res.body.updated, 1);
+      assert.equal(res.body.valid, 2);
+      assert.deepEqual(
+        res.body.errors.map((e) => [e.row, e.errors.map((f) => f.field)]),
+        [[3, ["scholarshipCategory", "applicationFees"]]]
+      );
+
+      const { scholarshipsCollection } = server.collections;
+      const updated = await scholarshipsCollection.findOne({
+        scholarshipName: "Global Excellence",
+      });
+      assert.equal(updated.applicationFees, 75);
+      const created = await scholarshipsCollection.findOne({
+        universityName: "Sorbonne, Paris",
+      });
+      assert.equal(created.serviceCharge, 2);
+      assert.equal(await scholarshipsCollection.countDocuments(), 4);
+    });
+
+    it("writes nothing on a dry run", async () => {
+      const res = await importCsv("?dryRun=true");
+      assert.equal(res.body.dryRun, true);
+      assert.equal(res.body.valid, 2);
+      assert.equal(res.body.inserted, undefined);
+      assert.equal(
+        await server.collections.scholarshipsCollection.countDocuments(),
+        3
+      );
+    });
+
+    it("accepts JSON rows and updates by id", async () => {
+      const res = await server
+        .as(USERS.admin)
+        .post("/scholarships/import")
+        .send([
+          scholarshipDoc({ _id: ids[0], scholarshipName: "Renamed" }),
+          scholarshipDoc({ _id: "nope" }),
+        ]);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.updated, 1);
+      assert.deepEqual(res.body.errors, [
+        { row: 2, errors: [{ field: "_id", message: "must be an id" }] },
+      ]);
+
+      const detail = await server.request().get(`/scholarships/${ids[0]}`);
+      assert.equal(detail.body.scholarshipName, "Renamed");
+    });
+
+    it("takes JSON uploads past the default body limit", async () => {
+      const rows = Array.from({ length: 600 }, (_, index) =>
+        scholarshipDoc({ scholarshipName: `Bulk Grant ${index}` })
+      );
+      assert.ok(JSON.stringify(rows).length > 100 * 1024);
+
+      const res = await server
+        .as(USERS.admin)
+        .post("/scholarships/import?dryRun=true")
+        .send(rows);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.valid, 600);
+    });
+
+    it("answers 413 past the import limit", async () => {
+      const res = await server
+        .as(USERS.admin)
+        .post("/scholarships/import")
+        .set("Content-Type", "text/csv")
+        .send(`scholarshipName\n${"x".repeat(5 * 1024 * 1024)}`);
+      assert.equal(res.status, 413);
+      assert.equal(res.body.code, "PAYLOAD_TOO_LARGE");
+    });
+
+    it("leaves deleted scholarships alone", async () => {
+      const { scholarshipsCollection } = server.collections;
+      await server.as(USERS.admin).delete(`/scholarships/${ids[0]}`);
+      const deleted = await scholarshipsCollection.findOne({
+        _id: new ObjectId(ids[0]),
+      });
+
+      const res = await server
+        .as(USERS.admin)
+        .post("/scholarships/import")
+        .send([
+          scholarshipDoc({
+            scholarshipName: deleted.scholarshipName,
+            universityName: deleted.universityName,
+            applicationFees: 99,
+          }),
+          scholarshipDoc({ _id: ids[0], scholarshipName: "Revived" }),
+        ]);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.inserted, 1);
+      assert.equal(res.body.updated, 0);
+      assert.deepEqual(res.body.errors, [
+        {
+          row: 2,
+          errors: [{ field: "_id", message: "is a deleted scholarship" }],
+        },
+      ]);
+
+      const after = await scholarshipsCollection.findOne({
+        _id: new ObjectId(ids[0]),
+      });
+      assert.deepEqual(after, deleted);
+    });
+
+    it("rejects empty or malformed uploads", async () => {
+      const empty = await server
+        .as(USERS.admin)
+        .post("/scholarships/import")
+        .send([]);
+      assert.equal(empty.status, 400);
+
+      const object = await server
+        .as(USERS.admin)
+        .post("/scholarships/import")
+        .send({ scholarshipName: "Solo" });
+      assert.equal(object.status, 400);
+
+      const csv = await server
+        .as(USERS.admin)
+        .post("/scholarships/import")
+        .set("Content-Type", "text/csv")
+        .send('a,b\n"unterminated,1');
+      assert.equal(csv.status, 400);
+    });
+
+    it("is for admins", async () => {
+      const res = await server
+        .as(USERS.moderator)
+        .post("/scholarships/import")
+        .send([scholarshipDoc()]);
+      assert.equal(res.status, 403);
+    });
+  });
+});
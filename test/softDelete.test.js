@@ -0,0 +1,349 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const {
+  USERS,
+  CRON_SECRET,
+  scholarshipDoc,
+  applicationDoc,
+  startTestServer,
+} = require("./helpers");
+const { purgeDeleted } = require("../src/jobs/purgeDeleted");
+
+describe("soft delete", () => {
+  let server;
+  let scholarshipId;
+
+  before(async () => {
+    server = await startTestServer();
+  });
+  after(() => server.stop());
+  beforeEach(async () => {
+    await server.reset();
+    const { insertedId } =
+      await server.collections.scholarshipsCollection.insertOne(
+        scholarshipDoc()
+      );
+    scholarshipId = String(insertedId);
+  });
+
+  describe("scholarships", () => {
+    let pendingId;
+    let paidId;
+    let completedId;
+
+    beforeEach(async () => {
+      const { applicationCollection, reviewsCollection } = server.collections;
+      const { insertedIds } = await applicationCollection.insertMany([
+        applicationDoc({ scholarshipId }),
+        applicationDoc({
+          scholarshipId,
+          userEmail: USERS.other.email,
+          applicationStatus: "processing",
+          paymentStatus: "paid",
+          transactionId: "pi_test_1",
+        }),
+        applicationDoc({
+          scholarshipId,
+          userEmail: "theo@example.com",
+          applicationStatus: "completed",
+          paymentStatus: "paid",
+        }),
+      ]);
+      [pendingId, paidId, completedId] = Object.values(insertedIds);
+      await reviewsCollection.insertOne({
+        scholarshipId,
+        userEmail: "theo@example.com",
+        ratingPoint: 5,
+      });
+    });
+
+    const deleteScholarship = () =>
+      server.as(USERS.admin).delete(`/scholarships/${scholarshipId}`);
+
+    it("hides the scholarship from every read", async () => {
+      const res = await deleteScholarship();
+      assert.equal(res.status, 200);
+
+      const listing = await server.request().get("/scholarships");
+      assert.equal(listing.body.total, 0);
+      const detail = await server
+        .request()
+        .get(`/scholarships/${scholarshipId}`);
+      assert.equal(detail.status, 404);
+      const reviews = await server
+        .as(USERS.student)
+        .get(`/scholarships/${scholarshipId}/reviews`);
+      assert.deepEqual(reviews.body, []);
+
+      const stored = await server.collections.scholarshipsCollection.findOne({
+        _id: new ObjectId(scholarshipId),
+      });
+      assert.equal(stored.deletedBy, USERS.admin.email);
+    });
+
+    it("archives open applications and refunds the paid ones", async () => {
+      const res = await deleteScholarship();
+      assert.equal(res.body.archivedApplications, 2);
+      assert.equal(res.body.refundsRequested, 1);
+
+      const { applicationCollection } = server.collections;
+      const [pending, paid, completed] = await Promise.all(
+        [pendingId, paidId, completedId].map((_id) =>
+          applicationCollection.findOne({ _id })
+        )
+      );
+      assert.equal(pending.applicationStatus, "archived");
+      assert.equal(pending.statusHistory.at(-1).to, "archived");
+      assert.equal(paid.applicationStatus, "archived");
+      assert.equal(paid.paymentStatus, "refunded");
+      assert.equal(completed.applicationStatus, "completed");
+
+      assert.equal(server.stripe.calls.refunds.length, 1);
+      const [{ params, options }] = server.stripe.calls.refunds;
+      assert.equal(params.payment_intent, "pi_test_1");
+      assert.equal(options.idempotencyKey, `refund-${paidId}-0`);
+
+      const notices = await server.collections.notificationsCollection
+        .find({ title: "Application archived" })
+        .toArray();
+      assert.equal(notices.length, 2);
+    });
+
+    it("restores the scholarship with its applications and reviews", async () => {
+      await deleteScholarship();
+      const res = await server
+        .as(USERS.admin)
+        .post(`/scholarships/${scholarshipId}/restore`);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.restoredApplications, 1);
+      assert.equal(res.body.restoredReviews, 1);
+
+      const detail = await server
+        .request()
+        .get(`/scholarships/${scholarshipId}`);
+      assert.equal(detail.status, 200);
+      assert.equal(detail.body.reviewCount, 1);
+      assert.equal(detail.body.averageRating, 5);
+      const { applicationCollection } = server.collections;
+      const pending = await applicationCollection.findOne({ _id: pendingId });
+      assert.equal(pending.applicationStatus, "pending");
+      // Refunded applications could never complete, so they stay archived
+      const paid = await applicationCollection.findOne({ _id: paidId });
+      assert.equal(paid.applicationStatus, "archived");
+      assert.equal(paid.paymentStatus, "refunded");
+
+      const again = await server
+        .as(USERS.admin)
+        .post(`/scholarships/${scholarshipId}/restore`);
+      assert.equal(again.status, 404);
+    });
+
+    it("records the delete and restore in the audit log", async () => {
+      await deleteScholarship();
+      await server
+        .as(USERS.admin)
+        .post(`/scholarships/${scholarshipId}/restore`);
+
+      const entries = await server.collections.auditCollection
+        .find({ "target.id": scholarshipId })
+        .sort({ at: 1 })
+        .toArray();
+      assert.deepEqual(
+        entries.map((e) => e.action),
+        ["scholarship.delete", "scholarship.restore"]
+      );
+    });
+  });
+
+  describe("listing deleted records", () => {
+    it("lists them for admins who ask", async () => {
+      const { insertedId } =
+        await server.collections.applicationCollection.insertOne(
+          applicationDoc({ scholarshipId })
+        );
+      await server.as(USERS.admin).delete(`/applications/${insertedId}`);
+      await server.as(USERS.admin).delete(`/scholarships/${scholarshipId}`);
+      await server.as(USERS.admin).delete(`/users/${USERS.other.email}`);
+
+      const scholarships = await server
+        .as(USERS.admin)
+        .get("/scholarships?deleted=true");
+      assert.deepEqual(
+        scholarships.body.items.map((s) => s._id),
+        [scholarshipId]
+      );
+      const applications = await server
+        .as(USERS.admin)
+        .get("/applications?deleted=true");
+      assert.deepEqual(
+        applications.body.items.map((a) => a._id),
+        [String(insertedId)]
+      );
+      const users = await server.as(USERS.admin).get("/users?deleted=true");
+      assert.deepEqual(
+        users.body.map((u) => u.email),
+        [USERS.other.email]
+      );
+
+      const live = await server.as(USERS.admin).get("/users");
+      assert.ok(!live.body.some((u) => u.email === USERS.other.email));
+    });
+
+    it("refuses everyone else", async () => {
+      const scholarships = await server
+        .request()
+        .get("/scholarships?deleted=true");
+      assert.equal(scholarships.status, 403);
+      const applications = await server
+        .as(USERS.moderator)
+        .get("/applications?deleted=true");
+      assert.equal(applications.status, 403);
+    });
+  });
+
+  describe("users", () => {
+    it("hides deleted users and drops their role until restored", async () => {
+      const { email } = USERS.moderator;
+      const res = await server.as(USERS.admin).delete(`/users/${email}`);
+      assert.equal(res.status, 200);
+
+      const list = await server.as(USERS.admin).get("/users");
+      assert.ok(!list.body.some((u) => u.email === USERS.moderator.email));
+      const queue = await server.as(USERS.moderator).get("/applications");
+      assert.equal(queue.status, 403);
+
+      const restore = await server
+        .as(USERS.admin)
+        .post(`/users/${email}/restore`);
+      assert.equal(restore.status, 200);
+      const after = await server.as(USERS.moderator).get("/applications");
+      assert.equal(after.status, 200);
+    });
+
+    it("keeps restore for admins", async () => {
+      const { email } = USERS.student;
+      await server.as(USERS.admin).delete(`/users/${email}`);
+      const res = await server
+        .as(USERS.moderator)
+        .post(`/users/${email}/restore`);
+      assert.equal(res.status, 403);
+    });
+  });
+
+  describe("applications", () => {
+    let applicationId;
+
+    beforeEach(async () => {
+      const { insertedId } =
+        await server.collections.applicationCollection.insertOne(
+          applicationDoc({ scholarshipId })
+        );
+      applicationId = String(insertedId);
+    });
+
+    it("restores a deleted application", async () => {
+      await server.as(USERS.student).delete(`/applications/${applicationId}`);
+      const res = await server
+        .as(USERS.admin)
+        .post(`/applications/${applicationId}/restore`);
+      assert.equal(res.status, 200);
+
+      const mine = await server
+        .as(USERS.student)
+        .get(`/users/${USERS.student.email}/applications`);
+      assert.equal(mine.body.length, 1);
+    });
+
+    it("404s for applications that aren't deleted", async () => {
+      const res = await server
+        .as(USERS.admin)
+        .post(`/applications/${applicationId}/restore`);
+      assert.equal(res.status, 404);
+    });
+
+    it("refuses to restore over a newer application", async () => {
+      await server.as(USERS.student).delete(`/applications/${applicationId}`);
+      await server
+        .as(USERS.student)
+        .post("/applications")
+        .send({ scholarshipId });
+
+      const res = await server
+        .as(USERS.admin)
+        .post(`/applications/${applicationId}/restore`);
+      assert.equal(res.status, 409);
+      assert.equal(res.body.code, "DUPLICATE_APPLICATION");
+    });
+  });
+
+  describe("purge", () => {
+    const NOW = new Date();
+    const daysAgo = (days) =>
+      new Date(NOW.getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+
+    beforeEach(async () => {
+      const {
+        scholarshipsCollection,
+        applicationCollection,
+        usersCollection,
+        wishlistsCollection,
+      } = server.collections;
+      await scholarshipsCollection.updateOne(
+        { _id: new ObjectId(scholarshipId) },
+        { $set: { deletedAt: daysAgo(40) } }
+      );
+      await wishlistsCollection.insertOne({
+        userEmail: USERS.student.email,
+        scholarshipId,
+      });
+      await applicationCollection.insertMany([
+        applicationDoc({ deletedAt: daysAgo(31) }),
+        applicationDoc({ deletedAt: daysAgo(5) }),
+        applicationDoc(),
+      ]);
+      await usersCollection.updateOne(
+        { email: USERS.other.email },
+        { $set: { deletedAt: daysAgo(90) } }
+      );
+    });
+
+    it("removes records deleted before the retention window", async () => {
+      const result = await purgeDeleted(server.collections, {
+        storage: { remove: async () => {} },
+        retentionDays: 30,
+        now: NOW,
+      });
+      assert.deepEqual(result, {
+        users: 1,
+        scholarships: 1,
+        applications: 1,
+        files: 0,
+      });
+
+      const { applicationCollection, wishlistsCollection } = server.collections;
+      assert.equal(await applicationCollection.countDocuments(), 2);
+      assert.equal(await wishlistsCollection.countDocuments(), 0);
+    });
+
+    it("runs from cron with the secret", async () => {
+      const denied = await server.request().get("/cron/purge-deleted");
+      assert.equal(denied.status, 401);
+
+      const res = await server
+        .request()
+        .get("/cron/purge-deleted")
+        .set("Authorization", `Bearer ${CRON_SECRET}`);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.scholarships, 1);
+    });
+
+    it("validates the manual retention window", async () => {
+      const res = await server
+        .as(USERS.admin)
+        .post("/admin/jobs/purge-deleted")
+        .send({ retentionDays: -1 });
+      assert.equal(res.status, 400);
+    });
+  });
+});
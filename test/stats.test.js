@@ -0,0 +1,249 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { USERS, applicationDoc, startTestServer } = require("./helpers");
+
+describe("dashboard stats", () => {
+  let server;
+
+  before(async () => {
+    server = await startTestServer();
+  });
+  after(() => server.stop());
+  beforeEach(async () => {
+    await server.reset();
+    await server.collections.applicationCollection.insertMany([
+      applicationDoc({ applicationStatus: "pending" }),
+      applicationDoc({ applicationStatus: "completed" }),
+      applicationDoc({
+        userEmail: USERS.other.email,
+        applicationStatus: "rejected",
+      }),
+    ]);
+  });
+
+  describe("GET /stats/dashboard", () => {
+    it("counts a student's own applications", async () => {
+      const res = await server
+        .as(USERS.student)
+        .get(`/stats/dashboard?email=${USERS.student.email}`);
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body, {
+        totalApplications: 2,
+        pending: 1,
+        processing: 0,
+        completed: 1,
+        rejected: 0,
+      });
+    });
+
+    it("counts every application for staff", async () => {
+      const res = await server
+        .as(USERS.moderator)
+        .get(`/stats/dashboard?email=${USERS.moderator.email}`);
+      assert.equal(res.body.totalApplications, 3);
+      assert.equal(res.body.rejected, 1);
+    });
+
+    it("scopes students to their token, not the email parameter", async () => {
+      const res = await server
+        .as(USERS.other)
+        .get(`/stats/dashboard?email=${USERS.admin.email}`);
+      assert.equal(res.body.totalApplications, 1);
+      assert.equal(res.body.rejected, 1);
+    });
+  });
+
+  describe("admin analytics", () => {
+    const analytics = (path, user = USERS.admin) =>
+      server.as(user).get(`/admin/analytics/${path}`);
+
+    beforeEach(async () => {
+      const {
+        applicationCollection,
+        paymentsCollection,
+        reviewsCollection,
+        usersCollection,
+      } = server.collections;
+      await applicationCollection.deleteMany({});
+      await applicationCollection.insertMany([
+        applicationDoc({
+          scholarshipId: "s1",
+          scholarshipName: "Global Excellence",
+          universityCountry: "UK",
+          appliedAt: "2025-01-05T10:00:00.000Z",
+          paymentStatus: "paid",
+          applicationStatus: "completed",
+        }),
+        applicationDoc({
+          scholarshipId: "s1",
+          scholarshipName: "Global Excellence",
+          universityCountry: "UK",
+          userEmail: USERS.other.email,
+          appliedAt: "2025-01-20T10:00:00.000Z",
+          paymentStatus: "paid",
+        }),
+        applicationDoc({
+          scholarshipId: "s2",
+          universityName: "MIT",
+          universityCountry: "USA",
+          appliedAt: "2025-02-03T10:00:00.000Z",
+        }),
+      ]);
+      await paymentsCollection.insertMany([
+        {
+          status: "paid",
+          amount: 2500,
+          currency: "usd",
+          paidAt: "2025-01-05T10:05:00.000Z",
+        },
+        {
+          status: "partially_refunded",
+          amount: 2500,
+          amountRefunded: 1000,
+          currency: "usd",
+          paidAt: "2025-02-10T10:05:00.000Z",
+        },
+        { status: "expired", amount: 2500, currency: "usd" },
+      ]);
+      await reviewsCollection.insertMany([
+        {
+          scholarshipId: "s1",
+          userEmail: USERS.student.email,
+          scholarshipName: "Global Excellence",
+          ratingPoint: 5,
+          reviewDate: new Date("2025-01-10T00:00:00.000Z"),
+        },
+        {
+          scholarshipId: "s1",
+          userEmail: USERS.other.email,
+          scholarshipName: "Global Excellence",
+          ratingPoint: 4,
+          reviewDate: new Date("2025-02-10T00:00:00.000Z"),
+        },
+        {
+          scholarshipId: "s2",
+          userEmail: USERS.student.email,
+          ratingPoint: 3,
+          reviewDate: new Date("2025-02-11T00:00:00.000Z"),
+        },
+      ]);
+      await usersCollection.updateMany(
+        {},
+        { $set: { createdAt: "2025-01-06T00:00:00.000Z" } }
+      );
+      await usersCollection.updateOne(
+        { email: USERS.other.email },
+        { $set: { createdAt: "2025-01-15T00:00:00.000Z" } }
+      );
+    });
+
+    it("sums fees collected per month net of refunds", async () => {
+      const res = await analytics("fees");
+      assert.equal(res.status, 200);
+      assert.equal(res.body.interval, "month");
+      assert.deepEqual(res.body.totals, [
+        {
+          currency: "usd",
+          payments: 2,
+          collected: 5000,
+          refunded: 1000,
+          net: 4000,
+        },
+      ]);
+      assert.deepEqual(
+        res.body.buckets.map((b) => [b.period, b.net]),
+        [
+          ["2025-01-01", 2500],
+          ["2025-02-01", 1500],
+        ]
+      );
+    });
+
+    it("limits every endpoint to the date range", async () => {
+      const res = await analytics("fees?from=2025-02-01&to=2025-02-28");
+      assert.equal(res.body.totals[0].payments, 1);
+      assert.equal(res.body.from, "2025-02-01T00:00:00.000Z");
+      assert.equal(res.body.to, "2025-03-01T00:00:00.000Z");
+    });
+
+    it("counts applications by dimension", async () => {
+      const res = await analytics("applications?by=country&interval=week");
+      assert.deepEqual(
+        res.body.totals.map((t) => [t.key, t.count]),
+        [
+          ["UK", 2],
+          ["USA", 1],
+        ]
+      );
+      assert.deepEqual(
+        res.body.buckets.map((b) => [b.period, b.key, b.count]),
+        [
+          ["2024-12-30", "UK", 1],
+          ["2025-01-20", "UK", 1],
+          ["2025-02-03", "USA", 1],
+        ]
+      );
+
+      const bySchool = await analytics("applications");
+      assert.equal(bySchool.body.totals[0].key, "s1");
+      assert.equal(
+        bySchool.body.totals[0].scholarshipName,
+        "Global Excellence"
+      );
+    });
+
+    it("reports conversion from applied to paid to completed", async () => {
+      const res = await analytics("funnel");
+      assert.deepEqual(res.body.totals, {
+        applied: 3,
+        paid: 2,
+        completed: 1,
+        paidRate: 0.6667,
+        completionRate: 0.5,
+      });
+      assert.deepEqual(res.body.buckets[0].period, "2025-01-01");
+      assert.equal(res.body.buckets[0].paidRate, 1);
+    });
+
+    it("averages review ratings per scholarship", async () => {
+      const res = await analytics("ratings");
+      assert.deepEqual(
+        res.body.totals.map((t) => [
+          t.scholarshipId,
+          t.reviews,
+          t.averageRating,
+        ]),
+        [
+          ["s1", 2, 4.5],
+          ["s2", 1, 3],
+        ]
+      );
+    });
+
+    it("counts new users per week", async () => {
+      const res = await analytics("users");
+      assert.equal(res.body.interval, "week");
+      assert.deepEqual(res.body.totals, {
+        newUsers: Object.keys(USERS).length,
+      });
+      assert.deepEqual(res.body.buckets, [
+        { period: "2025-01-06", newUsers: Object.keys(USERS).length - 1 },
+        { period: "2025-01-13", newUsers: 1 },
+      ]);
+    });
+
+    it("rejects bad ranges and intervals", async () => {
+      assert.equal((await analytics("fees?interval=year")).status, 400);
+      assert.equal((await analytics("fees?from=soon")).status, 400);
+      assert.equal(
+        (await analytics("fees?from=2025-03-01&to=2025-01-01")).status,
+        400
+      );
+      assert.equal((await analytics("applications?by=colour")).status, 400);
+    });
+
+    it("is for admins", async () => {
+      assert.equal((await analytics("fees", USERS.moderator)).status, 403);
+    });
+  });
+});
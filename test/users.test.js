@@ -0,0 +1,283 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { USERS, startTestServer } = require("./helpers");
+
+describe("user routes", () => {
+  let server;
+
+  before(async () => {
+    server = await startTestServer();
+  });
+  after(() => server.stop());
+  beforeEach(() => server.reset());
+
+  describe("GET /users", () => {
+    it("lists users for admins", async () => {
+      const res = await server.as(USERS.admin).get("/users");
+      assert.equal(res.status, 200);
+      assert.equal(res.body.length, Object.keys(USERS).length);
+    });
+
+    it("is forbidden for students and moderators", async () => {
+      for (const user of [USERS.student, USERS.moderator]) {
+        const res = await server.as(user).get("/users");
+        assert.equal(res.status, 403);
+        assert.equal(res.body.code, "FORBIDDEN");
+      }
+    });
+
+    it("requires a valid token", async () => {
+      const missing = await server.request().get("/users");
+      assert.equal(missing.status, 401);
+
+      const invalid = await server
+        .request()
+        .get("/users")
+        .set("Authorization", "Bearer not-a-token");
+      assert.equal(invalid.status, 401);
+      assert.equal(invalid.body.code, "UNAUTHORIZED");
+      assert.ok(invalid.body.requestId);
+    });
+  });
+
+  describe("GET /users/:email", () => {
+    it("returns the caller's own record", async () => {
+      const res = await server
+        .as(USERS.student)
+        .get(`/users/${USERS.student.email}`);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.email, USERS.student.email);
+    });
+
+    it("lets staff read any user", async () => {
+      for (const user of [USERS.moderator, USERS.admin]) {
+        const res = await server.as(user).get(`/users/${USERS.student.email}`);
+        assert.equal(res.status, 200);
+      }
+    });
+
+    it("hides other students", async () => {
+      const res = await server
+        .as(USERS.other)
+        .get(`/users/${USERS.student.email}`);
+      assert.equal(res.status, 403);
+    });
+
+    it("404s for unknown users", async () => {
+      const res = await server.as(USERS.admin).get("/users/nobody@example.com");
+      assert.equal(res.status, 404);
+    });
+  });
+
+  describe("GET /users/:email/role", () => {
+    it("returns the stored role, defaulting to student", async () => {
+      const mod = await server
+        .as(USERS.student)
+        .get(`/users/${USERS.moderator.email}/role`);
+      assert.deepEqual(mod.body, { role: "moderator" });
+
+      const unknown = await server
+        .as(USERS.student)
+        .get("/users/nobody@example.com/role");
+      assert.deepEqual(unknown.body, { role: "student" });
+    });
+  });
+
+  describe("POST /users", () => {
+    const newUser = { email: "new@example.com", name: "New", role: "student" };
+
+    it("creates students and ignores a client-supplied role", async () => {
+      const res = await server
+        .as(newUser)
+        .post("/users")
+        .send({ email: "New@Example.com", name: "New", role: "admin" });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.message, "User created");
+
+      const user = await server.collections.usersCollection.findOne({
+        email: "new@example.com",
+      });
+      assert.equal(user.role, "student");
+      assert.ok(user.createdAt);
+    });
+
+    it("updates existing users without touching their role", async () => {
+      const res = await server
+        .as(USERS.admin)
+        .post("/users")
+        .send({ email: USERS.admin.email, name: "Renamed", role: "student" });
+      assert.equal(res.body.message, "User updated");
+
+      const user = await server.collections.usersCollection.findOne({
+        email: USERS.admin.email,
+      });
+      assert.equal(user.name, "Renamed");
+      assert.equal(user.role, "admin");
+    });
+
+    it("only registers the token's own email", async () => {
+      const res = await server
+        .as(USERS.student)
+        .post("/users")
+        .send({ email: "someone@example.com", name: "Someone" });
+      assert.equal(res.status, 403);
+      assert.equal(
+        await server.collections.usersCollection.countDocuments({
+          email: "someone@example.com",
+        }),
+        0
+      );
+    });
+
+    it("requires a token", async () => {
+      const res = await server
+        .request()
+        .post("/users")
+        .send({ email: "new@example.com" });
+      assert.equal(res.status, 401);
+    });
+
+    it("rejects invalid payloads with field errors", async () => {
+      const res = await server
+        .as(USERS.student)
+        .post("/users")
+        .send({ email: "nope" });
+      assert.equal(res.status, 400);
+      assert.equal(res.body.code, "VALIDATION_FAILED");
+      assert.deepEqual(res.body.errors, [
+        { field: "email", message: "must be an email address" },
+      ]);
+    });
+  });
+
+  describe("PATCH /users/:email", () => {
+    it("lets users update their own profile", async () => {
+      const res = await server
+        .as(USERS.student)
+        .patch(`/users/${USERS.student.email}`)
+        .send({ displayName: "Samantha" });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.modifiedCount, 1);
+    });
+
+    it("lets admins but not moderators or other students edit", async () => {
+      const admin = await server
+        .as(USERS.admin)
+        .patch(`/users/${USERS.student.email}`)
+        .send({ displayName: "By admin" });
+      assert.equal(admin.status, 200);
+
+      for (const user of [USERS.moderator, USERS.other]) {
+        const res = await server
+          .as(user)
+          .patch(`/users/${USERS.student.email}`)
+          .send({ displayName: "Nope" });
+        assert.equal(res.status, 403);
+      }
+    });
+
+    it("rejects empty updates", async () => {
+      const res = await server
+        .as(USERS.student)
+        .patch(`/users/${USERS.student.email}`)
+        .send({ role: "admin" });
+      assert.equal(res.status, 400);
+    });
+  });
+
+  describe("PATCH /users/:email/profile", () => {
+    it("merges the student profile field by field", async () => {
+      const path = `/users/${USERS.student.email}/profile`;
+      const first = await server
+        .as(USERS.student)
+        .patch(path)
+        .send({ degree: "Masters", subject: "Engineering", gpa: 4.2 });
+      assert.equal(first.status, 200);
+
+      const second = await server
+        .as(USERS.student)
+        .patch(path)
+        .send({ budget: "50", role: "admin" });
+      assert.deepEqual(second.body, {
+        degree: "Masters",
+        subject: "Engineering",
+        gpa: 4.2,
+        budget: 50,
+      });
+    });
+
+    it("validates fields and who may edit", async () => {
+      const path = `/users/${USERS.student.email}/profile`;
+      const invalid = await server
+        .as(USERS.student)
+        .patch(path)
+        .send({ degree: "PhD", gpa: 7 });
+      assert.equal(invalid.status, 400);
+      assert.deepEqual(invalid.body.errors.map((e) => e.field).sort(), [
+        "degree",
+        "gpa",
+      ]);
+
+      const other = await server
+        .as(USERS.other)
+        .patch(path)
+        .send({ subject: "Law" });
+      assert.equal(other.status, 403);
+    });
+  });
+
+  describe("PATCH /users/:email/role", () => {
+    it("lets admins change roles", async () => {
+      const res = await server
+        .as(USERS.admin)
+        .patch(`/users/${USERS.student.email}/role`)
+        .send({ role: "moderator" });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.modifiedCount, 1);
+    });
+
+    it("rejects unknown roles and missing users", async () => {
+      const role = await server
+        .as(USERS.admin)
+        .patch(`/users/${USERS.student.email}/role`)
+        .send({ role: "owner" });
+      assert.equal(role.status, 400);
+
+      const missing = await server
+        .as(USERS.admin)
+        .patch("/users/nobody@example.com/role")
+        .send({ role: "admin" });
+      assert.equal(missing.status, 404);
+    });
+
+    it("is admin only", async () => {
+      const res = await server
+        .as(USERS.moderator)
+        .patch(`/users/${USERS.student.email}/role`)
+        .send({ role: "admin" });
+      assert.equal(res.status, 403);
+    });
+  });
+
+  describe("DELETE /users/:email", () => {
+    it("lets admins delete users", async () => {
+      const res = await server
+        .as(USERS.admin)
+        .delete(`/users/${USERS.other.email}`);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.deletedCount, 1);
+    });
+
+    it("404s for missing users and is admin only", async () => {
+      const missing = await server
+        .as(USERS.admin)
+        .delete("/users/nobody@example.com");
+      assert.equal(missing.status, 404);
+
+      const forbidden = await server
+        .as(USERS.moderator)
+        .delete(`/users/${USERS.other.email}`);
+      assert.equal(forbidden.status, 403);
+    });
+  });
+});
@@ -0,0 +1,94 @@
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { USERS, scholarshipDoc, startTestServer } = require("./helpers");
+
+describe("wishlist routes", () => {
+  let server;
+  let scholarshipId;
+
+  before(async () => {
+    server = await startTestServer();
+  });
+  after(() => server.stop());
+  beforeEach(async () => {
+    await server.reset();
+    scholarshipId = String(
+      (
+        await server.collections.scholarshipsCollection.insertOne(
+          scholarshipDoc()
+        )
+      ).insertedId
+    );
+  });
+
+  it("saves a scholarship once and lists it with its details", async () => {
+    const first = await server
+      .as(USERS.student)
+      .post(`/wishlist/${scholarshipId}`);
+    assert.equal(first.status, 200);
+    assert.equal(first.body.added, true);
+
+    const again = await server
+      .as(USERS.student)
+      .post(`/wishlist/${scholarshipId}`);
+    assert.equal(again.body.added, false);
+
+    const res = await server.as(USERS.student).get("/wishlist");
+    assert.equal(res.status, 200);
+    assert.equal(res.body.length, 1);
+    assert.equal(res.body[0].scholarship.scholarshipName, "Global Excellence");
+  });
+
+  it("only saves and lists published scholarships", async () => {
+    const { scholarshipsCollection } = server.collections;
+    const draft = await scholarshipsCollection.insertOne(
+      scholarshipDoc({ status: "draft" })
+    );
+    const res = await server
+      .as(USERS.student)
+      .post(`/wishlist/${draft.insertedId}`);
+    assert.equal(res.status, 404);
+
+    await server.as(USERS.student).post(`/wishlist/${scholarshipId}`);
+    await server
+      .as(USERS.admin)
+      .patch(`/scholarships/${scholarshipId}/status`)
+      .send({ status: "archived" });
+    const list = await server.as(USERS.student).get("/wishlist");
+    assert.deepEqual(list.body, []);
+  });
+
+  it("keeps wishlists per user", async () => {
+    await server.as(USERS.student).post(`/wishlist/${scholarshipId}`);
+    const res = await server.as(USERS.other).get("/wishlist");
+    assert.deepEqual(res.body, []);
+  });
+
+  it("removes saved scholarships and 404s when not saved", async () => {
+    await server.as(USERS.student).post(`/wishlist/${scholarshipId}`);
+    const removed = await server
+      .as(USERS.student)
+      .delete(`/wishlist/${scholarshipId}`);
+    assert.equal(removed.status, 200);
+
+    const missing = await server
+      .as(USERS.student)
+      .delete(`/wishlist/${scholarshipId}`);
+    assert.equal(missing.status, 404);
+  });
+
+  it("rejects unknown scholarships and bad ids", async () => {
+    const unknown = await server
+      .as(USERS.student)
+      .post("/wishlist/000000000000000000000000");
+    assert.equal(unknown.status, 404);
+
+    const invalid = await server.as(USERS.student).post("/wishlist/abc");
+    assert.equal(invalid.status, 400);
+  });
+
+  it("requires a token", async () => {
+    const res = await server.request().get("/wishlist");
+    assert.equal(res.status, 401);
+  });
+});